@@ -212,4 +212,185 @@ const generateResetPasswordOtpEmail = (name, email, otp) => {
 
 
 
-export {generateWelcomeEmail,generateLoginEmail,generateOtpVerificationEmail,generateResetPasswordOtpEmail}
+// Values chosen by users (names, emails) are escaped before going into HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const generateOrgInvitationEmail = (orgName, inviterEmail, role, inviteLink, expiresAt) => {
+  orgName = escapeHtml(orgName);
+  inviterEmail = escapeHtml(inviterEmail);
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Organization Invitation - MERN Pass</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f6fa; padding: 20px;">
+    <div style="max-width: 600px; margin: auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); padding: 32px;">
+      <div style="text-align: center;">
+        <img src="https://cdn-icons-png.flaticon.com/512/3064/3064197.png" width="72" alt="Invitation Icon" style="margin-bottom: 20px;" />
+        <h2 style="color: #4A6CF7;">You're invited to join ${orgName}</h2>
+      </div>
+
+      <p style="font-size: 16px; color: #333;">
+        <strong>${inviterEmail}</strong> invited you to the <strong>${orgName}</strong> organization on <strong>MERN Pass</strong> as <strong>${role}</strong>.
+      </p>
+
+      <p style="font-size: 16px; color: #333;">
+        Members of an organization share access to its vault collections.
+      </p>
+
+      <div style="margin: 30px 0; text-align: center;">
+        <a href="${inviteLink}" style="background-color: #4A6CF7; padding: 14px 28px; color: #fff; border-radius: 6px; text-decoration: none; font-weight: bold;">Accept Invitation</a>
+      </div>
+
+      <p style="font-size: 14px; color: #777; margin-top: 20px;">
+        ⚠️ This invitation expires on <strong>${expiresAt.toUTCString()}</strong>. You need to sign in with this email address to accept it.
+      </p>
+
+      <p style="font-size: 14px; color: #777;">
+        Not expecting this invitation? You can safely ignore this email.
+      </p>
+
+      <hr style="margin: 30px 0; border: none; height: 1px; background-color: #eee;" />
+
+      <p style="font-size: 12px; color: #999; text-align: center;">
+        © ${new Date().getFullYear()} MERN Pass. All rights reserved.
+      </p>
+    </div>
+  </body>
+  </html>
+  `;
+};
+
+const generateEmergencyAccessRequestEmail = (granteeEmail, accessType, approvesAt, manageLink) => {
+  granteeEmail = escapeHtml(granteeEmail);
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Emergency Access Requested - MERN Pass</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f6fa; padding: 20px;">
+    <div style="max-width: 600px; margin: auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); padding: 32px;">
+      <div style="text-align: center;">
+        <img src="https://cdn-icons-png.flaticon.com/512/595/595067.png" width="72" alt="Warning Icon" style="margin-bottom: 20px;" />
+        <h2 style="color: #d9534f;">Emergency access to your vault was requested</h2>
+      </div>
+
+      <p style="font-size: 16px; color: #333;">
+        Your trusted contact <strong>${granteeEmail}</strong> requested <strong>${accessType === 'takeover' ? 'takeover' : 'read-only'}</strong> access to your <strong>MERN Pass</strong> vault.
+      </p>
+
+      <p style="background-color: #fff4e5; padding: 12px 18px; border-radius: 8px; font-size: 16px; color: #333;">
+        ⏳ Access will be granted automatically on <strong>${approvesAt.toUTCString()}</strong> unless you reject the request.
+      </p>
+
+      <div style="margin: 30px 0; text-align: center;">
+        <a href="${manageLink}" style="background-color: #d9534f; padding: 14px 28px; color: #fff; border-radius: 6px; text-decoration: none; font-weight: bold;">Review Request</a>
+      </div>
+
+      <p style="font-size: 14px; color: #777;">
+        If you expected this request, you don't need to do anything.
+      </p>
+
+      <hr style="margin: 30px 0; border: none; height: 1px; background-color: #eee;" />
+
+      <p style="font-size: 12px; color: #999; text-align: center;">
+        © ${new Date().getFullYear()} MERN Pass. All rights reserved.
+      </p>
+    </div>
+  </body>
+  </html>
+  `;
+};
+
+const generateEmergencyAccessNoticeEmail = (heading, message) => {
+  heading = escapeHtml(heading);
+  message = escapeHtml(message);
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${heading} - MERN Pass</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f6fa; padding: 20px;">
+    <div style="max-width: 600px; margin: auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); padding: 32px;">
+      <div style="text-align: center;">
+        <img src="https://cdn-icons-png.flaticon.com/512/3064/3064197.png" width="72" alt="Emergency Access Icon" style="margin-bottom: 20px;" />
+        <h2 style="color: #4A6CF7;">${heading}</h2>
+      </div>
+
+      <p style="font-size: 16px; line-height: 1.6; color: #333;">
+        ${message}
+      </p>
+
+      <p style="font-size: 14px; color: #555;">
+        <strong>Time:</strong> ${new Date().toUTCString()}
+      </p>
+
+      <hr style="margin: 30px 0; border: none; height: 1px; background-color: #eee;" />
+
+      <p style="font-size: 12px; color: #999; text-align: center;">
+        © ${new Date().getFullYear()} MERN Pass. All rights reserved.
+      </p>
+    </div>
+  </body>
+  </html>
+  `;
+};
+
+const generateRotationReminderEmail = (dueSoonCount, overdueCount, nextDueAt, manageLink) => {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Credential Rotation Reminder - MERN Pass</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f6fa; padding: 20px;">
+    <div style="max-width: 600px; margin: auto; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); padding: 32px;">
+      <div style="text-align: center;">
+        <img src="https://cdn-icons-png.flaticon.com/512/595/595067.png" width="72" alt="Reminder Icon" style="margin-bottom: 20px;" />
+        <h2 style="color: ${overdueCount > 0 ? '#d9534f' : '#4A6CF7'};">Some credentials need to be rotated</h2>
+      </div>
+
+      ${overdueCount > 0 ? `
+      <p style="background-color: #fdecea; padding: 12px 18px; border-radius: 8px; font-size: 16px; color: #333;">
+        ⚠️ <strong>${overdueCount}</strong> item${overdueCount === 1 ? ' is' : 's are'} past the rotation deadline.
+      </p>` : ''}
+
+      ${dueSoonCount > 0 ? `
+      <p style="background-color: #fff4e5; padding: 12px 18px; border-radius: 8px; font-size: 16px; color: #333;">
+        ⏳ <strong>${dueSoonCount}</strong> item${dueSoonCount === 1 ? ' is' : 's are'} due for rotation soon${nextDueAt ? `, the first on <strong>${nextDueAt.toUTCString()}</strong>` : ''}.
+      </p>` : ''}
+
+      <p style="font-size: 16px; color: #333;">
+        Item names are encrypted, so they are not included in this email. Open your <strong>MERN Pass</strong> vault to see which items are affected.
+      </p>
+
+      <div style="margin: 30px 0; text-align: center;">
+        <a href="${manageLink}" style="background-color: #4A6CF7; padding: 14px 28px; color: #fff; border-radius: 6px; text-decoration: none; font-weight: bold;">Review Items</a>
+      </div>
+
+      <hr style="margin: 30px 0; border: none; height: 1px; background-color: #eee;" />
+
+      <p style="font-size: 12px; color: #999; text-align: center;">
+        © ${new Date().getFullYear()} MERN Pass. All rights reserved.
+      </p>
+    </div>
+  </body>
+  </html>
+  `;
+};
+
+
+
+export {generateWelcomeEmail,generateLoginEmail,generateOtpVerificationEmail,generateResetPasswordOtpEmail,generateOrgInvitationEmail,generateEmergencyAccessRequestEmail,generateEmergencyAccessNoticeEmail,generateRotationReminderEmail}
@@ -1,29 +1,27 @@
-// import multer from "multer";
+import multer from "multer"
+import { ATTACHMENT_MAX_BYTES } from './vault.js'
 
-// const storage = multer.diskStorage({
-//   destination: function (req, file, cb) {
-//     cb(null, 'uploads/') // Make sure this directory exists
-//   },
-//   filename: function (req, file, cb) {
-//     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-//     cb(null, file.fieldname + '-' + uniqueSuffix)
-//   }
-// })
+// Attachments arrive already encrypted by the client, so there is no file type
+// to filter on. The blob is kept in memory and handed to the storage backend.
+const storage = multer.memoryStorage()
 
-// const fileFilter = (req, file, cb) => {
-//   if (file.mimetype.startsWith('image/')) {
-//     cb(null, true)
-//   } else {
-//     cb(new Error('Not an image! Please upload only images.'), false)
-//   }
-// }
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: ATTACHMENT_MAX_BYTES,
+    files: 1
+  }
+})
 
-// const upload = multer({
-//   storage: storage,
-//   limits: {
-//     fileSize: 1024 * 1024 * 5 // 5MB limit
-//   },
-//   fileFilter: fileFilter
-// })
+// Turn multer errors into the usual JSON error response
+export const handleUploadErrors = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: err.message
+    })
+  }
+  next(err)
+}
 
-// export default upload;
\ No newline at end of file
+export default upload;
@@ -0,0 +1,79 @@
+import dotenv from 'dotenv'
+dotenv.config()
+
+const toPositiveInt = (value, fallback) => {
+    const parsed = parseInt(value, 10)
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback
+}
+
+const toNonNegativeInt = (value, fallback) => {
+    const parsed = parseInt(value, 10)
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback
+}
+
+// Number of previous revisions kept per vault item
+export const REVISION_LIMIT = toPositiveInt(process.env.VAULT_REVISION_LIMIT, 10)
+
+// Days an item stays in the trash before it is purged for good
+export const TRASH_RETENTION_DAYS = toPositiveInt(process.env.VAULT_TRASH_RETENTION_DAYS, 30)
+
+// How often the trash purge job runs, in minutes
+export const TRASH_PURGE_INTERVAL_MINUTES = toPositiveInt(process.env.VAULT_TRASH_PURGE_INTERVAL_MINUTES, 60)
+
+// Maximum number of items accepted by a single import request
+export const IMPORT_MAX_ITEMS = toPositiveInt(process.env.VAULT_IMPORT_MAX_ITEMS, 5000)
+
+// Body size limit for the bulk import and restore endpoints
+export const BULK_BODY_LIMIT = process.env.VAULT_BULK_BODY_LIMIT || '20mb'
+
+// Days an organization invitation stays valid
+export const ORG_INVITATION_TTL_DAYS = toPositiveInt(process.env.ORG_INVITATION_TTL_DAYS, 7)
+
+// Base URL of the web client, used for links in emails
+export const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173'
+
+// Default waiting period before a trusted contact gets emergency access
+export const EMERGENCY_ACCESS_DEFAULT_WAIT_DAYS = toPositiveInt(process.env.EMERGENCY_ACCESS_DEFAULT_WAIT_DAYS, 7)
+
+// How often expired emergency access waiting periods are checked, in minutes
+export const EMERGENCY_ACCESS_CHECK_INTERVAL_MINUTES = toPositiveInt(process.env.EMERGENCY_ACCESS_CHECK_INTERVAL_MINUTES, 60)
+
+// Repeated views of a vault through emergency access within this many minutes are audited once
+export const EMERGENCY_ACCESS_VIEW_EVENT_MINUTES = toPositiveInt(process.env.EMERGENCY_ACCESS_VIEW_EVENT_MINUTES, 60)
+
+// Largest attachment accepted in one upload, in bytes
+export const ATTACHMENT_MAX_BYTES = toPositiveInt(process.env.VAULT_ATTACHMENT_MAX_BYTES, 25 * 1024 * 1024)
+
+// Attachment storage each user gets unless their account sets its own quota, in bytes
+export const STORAGE_QUOTA_BYTES = toPositiveInt(process.env.VAULT_STORAGE_QUOTA_BYTES, 1024 * 1024 * 1024)
+
+// Storage backend for attachments (see storage/index.js) and where the local backend keeps them
+export const ATTACHMENT_STORAGE = process.env.VAULT_ATTACHMENT_STORAGE || 'local'
+export const ATTACHMENT_STORAGE_DIR = process.env.VAULT_ATTACHMENT_STORAGE_DIR || 'uploads/attachments'
+
+// Items whose password was not changed for this many days are reported as old by the health report
+export const HEALTH_MAX_AGE_DAYS = toPositiveInt(process.env.VAULT_HEALTH_MAX_AGE_DAYS, 365)
+
+// Strength scores (0-4) at or below this are reported as weak
+export const HEALTH_WEAK_STRENGTH = toNonNegativeInt(process.env.VAULT_HEALTH_WEAK_STRENGTH, 2)
+
+// Days before a rotation deadline the owner gets a reminder email
+export const ROTATION_REMINDER_DAYS = toPositiveInt(process.env.VAULT_ROTATION_REMINDER_DAYS, 7)
+
+// How often the rotation reminder job runs, in minutes
+export const ROTATION_CHECK_INTERVAL_MINUTES = toPositiveInt(process.env.VAULT_ROTATION_CHECK_INTERVAL_MINUTES, 60)
+
+// Key derivation parameters for new accounts and for prelogin answers to unknown emails
+export const KDF_DEFAULT_ALGORITHM = process.env.KDF_DEFAULT_ALGORITHM === 'argon2id' ? 'argon2id' : 'pbkdf2-sha256'
+export const KDF_PBKDF2_ITERATIONS = toPositiveInt(process.env.KDF_PBKDF2_ITERATIONS, 600000)
+export const KDF_ARGON2_ITERATIONS = toPositiveInt(process.env.KDF_ARGON2_ITERATIONS, 3)
+export const KDF_ARGON2_MEMORY_KIB = toPositiveInt(process.env.KDF_ARGON2_MEMORY_KIB, 64 * 1024)
+export const KDF_ARGON2_PARALLELISM = toPositiveInt(process.env.KDF_ARGON2_PARALLELISM, 4)
+
+// Seconds a client has to answer an SRP login challenge
+export const SRP_CHALLENGE_TTL_SECONDS = toPositiveInt(process.env.SRP_CHALLENGE_TTL_SECONDS, 120)
+
+// Minutes an unlocked vault stays unlocked without activity, and at most in total,
+// unless the user chose their own timeouts
+export const UNLOCK_IDLE_MINUTES = toPositiveInt(process.env.VAULT_UNLOCK_IDLE_MINUTES, 15)
+export const UNLOCK_MAX_MINUTES = toPositiveInt(process.env.VAULT_UNLOCK_MAX_MINUTES, 12 * 60)
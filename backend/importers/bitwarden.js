@@ -0,0 +1,113 @@
+// Bitwarden importer.
+// Accepts the unencrypted JSON export ("File > Export vault > .json")
+// and the CSV export (folder,favorite,type,name,notes,fields,reprompt,
+// login_uri,login_username,login_password,login_totp).
+
+import { parseCsvRecords } from './csv.js';
+import { clean, toUris, loginEntry, noteEntry } from './shape.js';
+
+const LOGIN = 1;
+const SECURE_NOTE = 2;
+const CARD = 3;
+const IDENTITY = 4;
+const SSH_KEY = 5;
+
+const fromJsonItem = (item, folderNames) => {
+  const folder = item.folderId ? folderNames.get(item.folderId) : null;
+  const title = item.name;
+  const notes = item.notes;
+
+  switch (item.type) {
+    case LOGIN: {
+      const login = item.login || {};
+      return loginEntry({
+        title,
+        uris: toUris((login.uris || []).map(entry => entry.uri)),
+        username: login.username,
+        password: login.password,
+        totp: login.totp,
+        notes,
+        folder
+      });
+    }
+    case CARD: {
+      const card = item.card || {};
+      const expMonth = parseInt(card.expMonth, 10);
+      const expYear = parseInt(card.expYear, 10);
+      return {
+        type: 'card',
+        title,
+        metadata: clean({
+          brand: card.brand,
+          last4: card.number ? card.number.replace(/\D/g, '').slice(-4) : undefined,
+          expMonth: Number.isInteger(expMonth) ? expMonth : undefined,
+          expYear: Number.isInteger(expYear) ? expYear : undefined
+        }),
+        payload: clean({
+          cardholderName: card.cardholderName,
+          number: card.number,
+          expMonth: card.expMonth,
+          expYear: card.expYear,
+          code: card.code,
+          notes
+        }),
+        tags: [],
+        folder
+      };
+    }
+    case IDENTITY:
+      return {
+        type: 'identity',
+        title,
+        metadata: {},
+        payload: clean({ ...(item.identity || {}), notes }),
+        tags: [],
+        folder
+      };
+    case SSH_KEY: {
+      const sshKey = item.sshKey || {};
+      return {
+        type: 'sshKey',
+        title,
+        metadata: clean({
+          fingerprint: sshKey.keyFingerprint,
+          publicKey: sshKey.publicKey
+        }),
+        payload: clean({ privateKey: sshKey.privateKey, notes }),
+        tags: [],
+        folder
+      };
+    }
+    case SECURE_NOTE:
+    default:
+      return noteEntry({ title, notes, folder });
+  }
+};
+
+const parseBitwardenJson = (text) => {
+  const data = JSON.parse(text);
+  if (data.encrypted) {
+    throw new Error('Encrypted Bitwarden exports are not supported, export as unencrypted JSON');
+  }
+  const folderNames = new Map((data.folders || []).map(folder => [folder.id, folder.name]));
+  return (data.items || []).map(item => fromJsonItem(item, folderNames));
+};
+
+const parseBitwardenCsv = (text) =>
+  parseCsvRecords(text).map(record => {
+    const folder = record.folder || null;
+    if (record.type === 'note') {
+      return noteEntry({ title: record.name, notes: record.notes, folder });
+    }
+    return loginEntry({
+      title: record.name,
+      uris: toUris((record.login_uri || '').split(',')),
+      username: record.login_username,
+      password: record.login_password,
+      totp: record.login_totp,
+      notes: record.notes,
+      folder
+    });
+  });
+
+export { parseBitwardenJson, parseBitwardenCsv };
@@ -0,0 +1,39 @@
+// Parsers that turn other password managers' exports into vault entries.
+// They have no Node.js dependencies so clients can bundle them directly.
+//
+// Each parser takes the export file contents as a string and returns
+// [{ type, title, metadata, payload, tags, folder }]. Clients encrypt
+// `payload` into encryptedData/iv, encrypt the title and turn each tag into
+// { token, name } (see utils/blindIndex.js), and send the rest as-is to
+// POST /api/vault/import.
+
+import { parseBitwardenJson, parseBitwardenCsv } from './bitwarden.js';
+import { parseOnePasswordCsv } from './onePassword.js';
+import { parseLastPassCsv } from './lastPass.js';
+import { parseKeePassCsv } from './keePass.js';
+
+const importers = {
+  'bitwarden-json': parseBitwardenJson,
+  'bitwarden-csv': parseBitwardenCsv,
+  '1password-csv': parseOnePasswordCsv,
+  'lastpass-csv': parseLastPassCsv,
+  'keepass-csv': parseKeePassCsv
+};
+
+const parseExport = (format, text) => {
+  const parser = importers[format];
+  if (!parser) {
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+  return parser(text);
+};
+
+export {
+  importers,
+  parseExport,
+  parseBitwardenJson,
+  parseBitwardenCsv,
+  parseOnePasswordCsv,
+  parseLastPassCsv,
+  parseKeePassCsv
+};
@@ -0,0 +1,34 @@
+// KeePass importer.
+// Accepts the KeePassXC CSV export
+// ("Group","Title","Username","Password","URL","Notes","TOTP",...).
+// The top-level "Root" group is dropped from folder paths.
+
+import { parseCsvRecords } from './csv.js';
+import { toUris, loginEntry, noteEntry } from './shape.js';
+
+const toFolder = (group) => {
+  const segments = (group || '').split('/').filter(Boolean);
+  if (segments[0] === 'Root') segments.shift();
+  return segments.length > 0 ? segments.join('/') : null;
+};
+
+const parseKeePassCsv = (text) =>
+  parseCsvRecords(text).map(record => {
+    const folder = toFolder(record.Group);
+    const uris = toUris(record.URL);
+
+    if (!record.Username && !record.Password && uris.length === 0) {
+      return noteEntry({ title: record.Title, notes: record.Notes, folder });
+    }
+    return loginEntry({
+      title: record.Title,
+      uris,
+      username: record.Username,
+      password: record.Password,
+      totp: record.TOTP,
+      notes: record.Notes,
+      folder
+    });
+  });
+
+export { parseKeePassCsv };
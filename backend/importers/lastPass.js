@@ -0,0 +1,30 @@
+// LastPass importer.
+// Accepts the CSV export (url,username,password,totp,extra,name,grouping,fav).
+// Secure notes are exported with the url "http://sn" and their text in "extra".
+
+import { parseCsvRecords } from './csv.js';
+import { toUris, loginEntry, noteEntry } from './shape.js';
+
+const SECURE_NOTE_URL = 'http://sn';
+
+// LastPass separates nested groups with a backslash
+const toFolder = (grouping) => (grouping ? grouping.split('\\').join('/') : null);
+
+const parseLastPassCsv = (text) =>
+  parseCsvRecords(text).map(record => {
+    const folder = toFolder(record.grouping);
+    if (record.url === SECURE_NOTE_URL) {
+      return noteEntry({ title: record.name, notes: record.extra, folder });
+    }
+    return loginEntry({
+      title: record.name,
+      uris: toUris(record.url),
+      username: record.username,
+      password: record.password,
+      totp: record.totp,
+      notes: record.extra,
+      folder
+    });
+  });
+
+export { parseLastPassCsv };
@@ -0,0 +1,38 @@
+// 1Password importer.
+// Accepts the CSV export (Title,Url,Username,Password,OTPAuth,Favorite,Archived,Tags,Notes).
+// Column names are matched case-insensitively since they vary between app versions.
+
+import { parseCsvRecords } from './csv.js';
+import { toUris, toTags, loginEntry, noteEntry } from './shape.js';
+
+const pick = (record, ...names) => {
+  const key = Object.keys(record).find(column => names.includes(column.toLowerCase()));
+  return key ? record[key] : '';
+};
+
+const parseOnePasswordCsv = (text) =>
+  parseCsvRecords(text)
+    .filter(record => pick(record, 'archived').toLowerCase() !== 'true')
+    .map(record => {
+      const title = pick(record, 'title');
+      const uris = toUris(pick(record, 'url', 'urls', 'website').split(/\s+/));
+      const username = pick(record, 'username');
+      const password = pick(record, 'password');
+      const notes = pick(record, 'notes', 'notesplain');
+      const tags = toTags(pick(record, 'tags'), /[,;]/);
+
+      if (!username && !password && uris.length === 0) {
+        return noteEntry({ title, notes, tags });
+      }
+      return loginEntry({
+        title,
+        uris,
+        username,
+        password,
+        totp: pick(record, 'otpauth', 'one-time password'),
+        notes,
+        tags
+      });
+    });
+
+export { parseOnePasswordCsv };
@@ -0,0 +1,41 @@
+// Helpers to build the importer output shape:
+// { type, title, metadata, payload, tags, folder }
+// payload holds the plaintext fields the client encrypts into encryptedData/iv.
+
+const clean = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) =>
+      value !== undefined && value !== null && value !== '')
+  );
+
+const toUris = (...values) =>
+  values
+    .flat()
+    .map(value => (typeof value === 'string' ? value.trim() : ''))
+    .filter(Boolean);
+
+const toTags = (value, separator = ',') =>
+  (value || '')
+    .split(separator)
+    .map(tag => tag.trim())
+    .filter(Boolean);
+
+const loginEntry = ({ title, uris, username, password, totp, notes, tags, folder }) => ({
+  type: 'login',
+  title: title || uris[0] || 'Untitled login',
+  metadata: uris.length > 0 ? { uris } : {},
+  payload: clean({ username, password, totp, notes }),
+  tags: tags || [],
+  folder: folder || null
+});
+
+const noteEntry = ({ title, notes, tags, folder }) => ({
+  type: 'secureNote',
+  title: title || 'Untitled note',
+  metadata: {},
+  payload: clean({ notes }),
+  tags: tags || [],
+  folder: folder || null
+});
+
+export { clean, toUris, toTags, loginEntry, noteEntry };
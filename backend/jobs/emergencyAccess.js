@@ -0,0 +1,23 @@
+import { approveExpiredRequests } from '../utils/emergencyAccess.js';
+import { EMERGENCY_ACCESS_CHECK_INTERVAL_MINUTES } from '../config/vault.js';
+
+// Grant emergency access requests nobody rejected during the waiting period
+const checkEmergencyAccessRequests = async () => {
+  try {
+    const approved = await approveExpiredRequests();
+    if (approved > 0) {
+      console.log(`Approved ${approved} emergency access request(s)`);
+    }
+  } catch (error) {
+    console.error('Emergency access check error:', error);
+  }
+};
+
+const startEmergencyAccessJob = () => {
+  checkEmergencyAccessRequests();
+  const timer = setInterval(checkEmergencyAccessRequests, EMERGENCY_ACCESS_CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+export { checkEmergencyAccessRequests, startEmergencyAccessJob };
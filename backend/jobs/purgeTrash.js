@@ -0,0 +1,24 @@
+import { purgeItems } from '../utils/trash.js';
+import { TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL_MINUTES } from '../config/vault.js';
+
+// Remove items that have been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const purged = await purgeItems({ deletedAt: { $ne: null, $lte: cutoff } });
+    if (purged > 0) {
+      console.log(`Purged ${purged} expired trash item(s)`);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+};
+
+const startTrashPurgeJob = () => {
+  purgeExpiredTrash();
+  const timer = setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+export { purgeExpiredTrash, startTrashPurgeJob };
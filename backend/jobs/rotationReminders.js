@@ -0,0 +1,85 @@
+import VaultItem from '../models/VaultItem.js';
+import User from '../models/user.js';
+import transporter from '../config/nodemailer.js';
+import { generateRotationReminderEmail } from '../config/emailTemplate.js';
+import {
+  ROTATION_REMINDER_DAYS,
+  ROTATION_CHECK_INTERVAL_MINUTES,
+  CLIENT_URL
+} from '../config/vault.js';
+
+// Email owners about items coming up to or past their rotation deadline.
+// Each deadline gets at most one "due soon" and one "overdue" email: items
+// are marked once the email went out, failed emails are retried next run.
+const sendRotationReminders = async () => {
+  try {
+    const now = new Date();
+    const soon = new Date(now.getTime() + ROTATION_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+
+    const items = await VaultItem.find({
+      deletedAt: null,
+      $or: [
+        { rotationDueAt: { $lte: now }, rotationNoticeSent: { $ne: 'overdue' } },
+        { rotationDueAt: { $gt: now, $lte: soon }, rotationNoticeSent: null }
+      ]
+    }).select('userId rotationDueAt');
+
+    const itemsByUser = new Map();
+    for (const item of items) {
+      const key = String(item.userId);
+      if (!itemsByUser.has(key)) itemsByUser.set(key, { overdue: [], dueSoon: [] });
+      itemsByUser.get(key)[item.rotationDueAt <= now ? 'overdue' : 'dueSoon'].push(item);
+    }
+
+    let sent = 0;
+    for (const [userId, { overdue, dueSoon }] of itemsByUser) {
+      const user = await User.findById(userId).select('email');
+      if (!user) continue;
+
+      const nextDueAt = dueSoon.length > 0
+        ? new Date(Math.min(...dueSoon.map(item => item.rotationDueAt.getTime())))
+        : null;
+
+      try {
+        await transporter.sendMail({
+          from: process.env.SENDER_EMAIL,
+          to: user.email,
+          subject: overdue.length > 0 ? 'Credentials past their rotation deadline' : 'Credentials due for rotation',
+          html: generateRotationReminderEmail(dueSoon.length, overdue.length, nextDueAt, `${CLIENT_URL}/vault/overdue`)
+        });
+      } catch (emailError) {
+        console.error('Failed to send rotation reminder:', emailError.message);
+        continue;
+      }
+
+      if (overdue.length > 0) {
+        await VaultItem.updateMany(
+          { _id: { $in: overdue.map(item => item._id) } },
+          { rotationNoticeSent: 'overdue' }
+        );
+      }
+      if (dueSoon.length > 0) {
+        await VaultItem.updateMany(
+          { _id: { $in: dueSoon.map(item => item._id) } },
+          { rotationNoticeSent: 'dueSoon' }
+        );
+      }
+      sent++;
+    }
+
+    if (sent > 0) {
+      console.log(`Sent ${sent} rotation reminder email(s)`);
+    }
+  } catch (error) {
+    console.error('Rotation reminder error:', error);
+  }
+};
+
+const startRotationReminderJob = () => {
+  sendRotationReminders();
+  const timer = setInterval(sendRotationReminders, ROTATION_CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+export { sendRotationReminders, startRotationReminderJob };
@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/user.js';
 
 const auth = async (req, res, next) => {
   try {
@@ -12,6 +13,16 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+
+    // Sessions end when the user's sessionVersion moves past the token's
+    const user = await User.findById(decoded.userId).select('sessionVersion');
+    if (!user || (user.sessionVersion || 0) !== (decoded.sv || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+
     req.userId = decoded.userId;
     next();
   } catch (error) {
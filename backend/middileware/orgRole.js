@@ -0,0 +1,35 @@
+import { getMembership } from '../utils/orgAccess.js';
+import { hasOrgRole } from '../utils/orgRoles.js';
+
+// Require a confirmed membership with at least minimumRole in the
+// organization from req.params.orgId. Must run after auth.
+const orgRole = (minimumRole) => async (req, res, next) => {
+  try {
+    const membership = await getMembership(req.params.orgId, req.userId);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    if (!hasOrgRole(membership.role, minimumRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to do this in the organization'
+      });
+    }
+
+    req.membership = membership;
+    next();
+  } catch (error) {
+    console.error('Organization role check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check organization membership'
+    });
+  }
+};
+
+export default orgRole;
@@ -0,0 +1,28 @@
+import { UNLOCK_HEADER, touchUnlockSession } from '../utils/unlock.js';
+
+// Requires an unlocked vault (see utils/unlock.js). Runs after auth.
+// A locked vault gets 401 like a missing login, locked: true tells the two apart.
+const requireUnlock = async (req, res, next) => {
+  try {
+    const unlockSession = await touchUnlockSession(req.get(UNLOCK_HEADER), req.userId, req.cookies.token);
+
+    if (!unlockSession) {
+      return res.status(401).json({
+        success: false,
+        locked: true,
+        message: 'Vault is locked, verify the master key to unlock it'
+      });
+    }
+
+    req.unlockSession = unlockSession;
+    next();
+  } catch (error) {
+    console.error('Unlock check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check vault unlock'
+    });
+  }
+};
+
+export default requireUnlock;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// One SHA-1 password hash from the breach corpus, split into the 5 character
+// prefix clients query by and the rest. Loaded with scripts/importBreachCorpus.js.
+const breachedPasswordSchema = new mongoose.Schema({
+  prefix: {
+    type: String,
+    required: true
+  },
+  suffix: {
+    type: String,
+    required: true
+  },
+  // Times the password was seen in breaches
+  count: {
+    type: Number,
+    default: 1
+  }
+}, {
+  versionKey: false
+});
+
+breachedPasswordSchema.index({ prefix: 1, suffix: 1 }, { unique: true });
+
+export default mongoose.model('BreachedPassword', breachedPasswordSchema);
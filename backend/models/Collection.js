@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Group of organization-owned vault items
+const collectionSchema = new mongoose.Schema({
+  orgId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ orgId: 1 });
+
+export default mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const EMERGENCY_ACCESS_STATUSES = [
+  'invited',            // grantor named the contact
+  'accepted',           // contact accepted, grantor still has to hand over the key
+  'confirmed',          // contact holds the wrapped key and can request access
+  'recoveryInitiated',  // contact requested access, waiting period running
+  'recoveryApproved',   // waiting period over (or grantor approved early)
+  'takenOver',          // contact took over the account, the grant is used up
+  'revoked'             // removed by either side, kept for its audit trail
+];
+
+const emergencyAccessEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A trusted contact (grantee) who may get access to the grantor's vault
+const emergencyAccessSchema = new mongoose.Schema({
+  grantorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Set once the contact accepts
+  granteeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  accessType: {
+    type: String,
+    enum: ['view', 'takeover'],
+    required: true
+  },
+  waitTimeDays: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 90
+  },
+  status: {
+    type: String,
+    enum: EMERGENCY_ACCESS_STATUSES,
+    default: 'invited'
+  },
+  // Grantor's vault key wrapped to the grantee's public key
+  keyEncrypted: {
+    type: String,
+    default: null
+  },
+  recoveryInitiatedAt: {
+    type: Date,
+    default: null
+  },
+  // Audit trail of every step, never rewritten
+  events: [emergencyAccessEventSchema]
+}, {
+  timestamps: true
+});
+
+emergencyAccessSchema.index({ grantorId: 1, email: 1 }, { unique: true });
+emergencyAccessSchema.index({ granteeId: 1 });
+emergencyAccessSchema.index({ status: 1, recoveryInitiatedAt: 1 });
+
+export { EMERGENCY_ACCESS_STATUSES };
+export default mongoose.model('EmergencyAccess', emergencyAccessSchema);
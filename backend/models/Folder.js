@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const folderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // null for top-level folders
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+folderSchema.index({ userId: 1, parentId: 1 });
+
+export default mongoose.model('Folder', folderSchema);
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Named generator settings, saved by a user or shared by an organization.
+// options holds the normalized options of utils/generator.js.
+const generatorProfileSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set for organization profiles, userId is then the creator
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+generatorProfileSchema.index({ userId: 1, organizationId: 1 });
+generatorProfileSchema.index({ organizationId: 1 });
+
+export default mongoose.model('GeneratorProfile', generatorProfileSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Snapshot of a vault item taken right before it was overwritten
+const itemRevisionSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VaultItem',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: String,
+  title: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  encryptedData: {
+    type: String,
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  encryptedItemKey: String,
+  tags: [{ _id: false, token: String, name: String }],
+  searchTokens: [String],
+  titleSortKey: String,
+  passwordFingerprint: String,
+  passwordStrength: Number,
+  passwordBreached: Boolean,
+  // updatedAt of the item when this revision was the current version
+  revisionDate: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+itemRevisionSchema.index({ itemId: 1, createdAt: -1 });
+
+export default mongoose.model('ItemRevision', itemRevisionSchema);
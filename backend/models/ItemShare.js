@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// A vault item shared by its owner with another user.
+// wrappedKey is the item key encrypted to the recipient's public key.
+const itemShareSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VaultItem',
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  permission: {
+    type: String,
+    enum: ['read', 'write'],
+    default: 'read'
+  }
+}, {
+  timestamps: true
+});
+
+itemShareSchema.index({ itemId: 1, recipientId: 1 }, { unique: true });
+itemShareSchema.index({ recipientId: 1 });
+itemShareSchema.index({ ownerId: 1 });
+
+export default mongoose.model('ItemShare', itemShareSchema);
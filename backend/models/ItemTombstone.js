@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Left behind when a personal vault item is permanently deleted,
+// so syncing clients know to drop their copy
+const itemTombstoneSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+itemTombstoneSchema.index({ userId: 1, revision: 1 });
+
+export default mongoose.model('ItemTombstone', itemTombstoneSchema);
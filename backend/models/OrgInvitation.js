@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import { ORG_ROLES } from '../utils/orgRoles.js';
+
+const orgInvitationSchema = new mongoose.Schema({
+  orgId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: ORG_ROLES,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token sent by email, the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+orgInvitationSchema.index({ orgId: 1, email: 1 });
+
+export default mongoose.model('OrgInvitation', orgInvitationSchema);
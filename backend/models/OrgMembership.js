@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import { ORG_ROLES } from '../utils/orgRoles.js';
+
+// A user's membership in an organization.
+// Members join as 'accepted' after taking an invitation and become 'confirmed'
+// once an admin has wrapped the organization key to their public key.
+const orgMembershipSchema = new mongoose.Schema({
+  orgId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ORG_ROLES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['accepted', 'confirmed'],
+    default: 'accepted'
+  },
+  // Organization key encrypted to the member's public key
+  encryptedOrgKey: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+orgMembershipSchema.index({ orgId: 1, userId: 1 }, { unique: true });
+orgMembershipSchema.index({ userId: 1 });
+
+export default mongoose.model('OrgMembership', orgMembershipSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// A named vault search of a user, query is in the language of utils/vaultQuery.js
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the search runs against an organization vault
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  query: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Server side of an SRP login between /srp/init and /srp/verify (see utils/srp.js).
+// Used once, and removed by MongoDB once expired.
+const srpChallengeSchema = new mongoose.Schema({
+  // null when the email has no account or no verifier, the challenge then always fails
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  clientPublic: {
+    type: String,
+    required: true
+  },
+  serverSecret: {
+    type: String,
+    required: true
+  },
+  serverPublic: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+srpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('SrpChallenge', srpChallengeSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Per-user color and description for a tag, keyed by the tag's blind index
+// token (see utils/blindIndex.js). Tags themselves live in VaultItem.tags,
+// this only decorates them.
+const tagSettingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  // #rrggbb
+  color: {
+    type: String,
+    default: null
+  },
+  // Encrypted on the client
+  description: {
+    type: String,
+    maxlength: 1024,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+tagSettingSchema.index({ userId: 1, token: 1 }, { unique: true });
+
+export default mongoose.model('TagSetting', tagSettingSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// An unlocked vault: issued by /verify-master-key, tied to the login session
+// it was issued in and sent back as the X-Unlock-Token header
+const unlockSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the unlock token and of the session cookie, neither is stored itself
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sessionHash: {
+    type: String,
+    required: true
+  },
+  idleTimeoutMinutes: {
+    type: Number,
+    required: true
+  },
+  // Moved forward on every use, never past expiresAt
+  idleExpiresAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+unlockSessionSchema.index({ userId: 1 });
+unlockSessionSchema.index({ sessionHash: 1 });
+unlockSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('UnlockSession', unlockSessionSchema);
@@ -1,4 +1,45 @@
 import mongoose from 'mongoose';
+import { ITEM_TYPE_NAMES, DEFAULT_ITEM_TYPE } from '../utils/vaultItemTypes.js';
+import { MAX_ROTATE_EVERY_DAYS, rotationDueDate } from '../utils/rotation.js';
+
+// A client-encrypted file stored next to the item (see storage/index.js).
+// fileName and key are encrypted on the client as well.
+const attachmentSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  // Attachment key wrapped with the item key, null when the item key is used directly
+  key: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A tag: name is encrypted on the client, token is its blind index
+// (see utils/blindIndex.js), which the tag routes and tag: searches go by
+const tagSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  }
+}, {
+  _id: false
+});
 
 const vaultItemSchema = new mongoose.Schema({
   userId: {
@@ -6,10 +47,37 @@ const vaultItemSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set for items owned by an organization, userId is then the creator
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null
+  },
+  // null when the item is not filed in any folder
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ITEM_TYPE_NAMES,
+    default: DEFAULT_ITEM_TYPE
+  },
   title: {
     type: String,
     required: true
   },
+  // Plaintext fields allowed for the item type, see utils/vaultItemTypes.js
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   encryptedData: {
     type: String,
     required: true
@@ -18,9 +86,146 @@ const vaultItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  tags: [String]
+  // Per-item key wrapped with the owner's key. Needed to share the item,
+  // since shares hand out this key wrapped to the recipient instead.
+  encryptedItemKey: {
+    type: String,
+    default: null
+  },
+  tags: {
+    type: [tagSchema],
+    default: []
+  },
+  // Client-computed blind index tokens for title and tags, see utils/blindIndex.js
+  searchTokens: {
+    type: [String],
+    default: []
+  },
+  // Client-computed string that sorts like the decrypted title, used for sort=title
+  // (see utils/pagination.js). It gives away the order of titles, not the titles.
+  titleSortKey: {
+    type: String,
+    maxlength: 256,
+    default: null
+  },
+  // Set when the item is moved to the trash, null while it is live
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Owner's vault revision of the last change, used by delta sync
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Goes up with every change, exposed to clients as the item's ETag
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Keyed password fingerprint and 0-4 strength score, see utils/passwordHealth.js
+  passwordFingerprint: {
+    type: String,
+    default: null
+  },
+  passwordStrength: {
+    type: Number,
+    min: 0,
+    max: 4,
+    default: null
+  },
+  // Set by clients after a breach range lookup, null when not checked
+  passwordBreached: {
+    type: Boolean,
+    default: null
+  },
+  // Rotation policy, see utils/rotation.js
+  rotateEvery: {
+    type: Number,
+    min: 1,
+    max: MAX_ROTATE_EVERY_DAYS,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  rotationDueAt: {
+    type: Date,
+    default: null
+  },
+  // Last rotation email sent for the current deadline: 'dueSoon' or 'overdue'
+  rotationNoticeSent: {
+    type: String,
+    enum: ['dueSoon', 'overdue', null],
+    default: null
+  },
+  favorite: {
+    type: Boolean,
+    default: false
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  // Position in the user's manual order, items never placed stay at 0
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Recorded through POST /items/:id/used
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  attachments: [attachmentSchema],
+  // Set on copies kept when an update conflicted with a newer server version
+  conflictOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VaultItem',
+    default: null
+  }
 }, {
-  timestamps: true
+  timestamps: true,
+  minimize: false
+});
+
+vaultItemSchema.pre('save', function () {
+  if (!this.isNew && this.isModified()) {
+    this.version += 1;
+  }
 });
 
+// A new deadline starts over with the reminder emails.
+// rotatedAt is set by the routes that change the password.
+vaultItemSchema.pre('save', function () {
+  const dueAt = rotationDueDate(this);
+  if (String(dueAt) !== String(this.rotationDueAt)) {
+    this.rotationDueAt = dueAt;
+    this.rotationNoticeSent = null;
+  }
+});
+
+vaultItemSchema.index({ userId: 1, type: 1 });
+vaultItemSchema.index({ userId: 1, folderId: 1 });
+vaultItemSchema.index({ deletedAt: 1 });
+vaultItemSchema.index({ organizationId: 1, collectionId: 1 });
+vaultItemSchema.index({ userId: 1, searchTokens: 1 });
+vaultItemSchema.index({ userId: 1, 'tags.token': 1 });
+vaultItemSchema.index({ userId: 1, revision: 1 });
+vaultItemSchema.index({ userId: 1, passwordFingerprint: 1 });
+vaultItemSchema.index({ rotationDueAt: 1, deletedAt: 1 });
+vaultItemSchema.index({ userId: 1, lastUsedAt: -1 });
+vaultItemSchema.index({ userId: 1, useCount: -1 });
+vaultItemSchema.index({ userId: 1, sortOrder: 1 });
+vaultItemSchema.index({ userId: 1, titleSortKey: 1 });
+
 export default mongoose.model('VaultItem', vaultItemSchema);
\ No newline at end of file
@@ -7,13 +7,97 @@ const userSchema = new mongoose.Schema({
     unique: true,
     lowercase: true
   },
+  // bcrypt hash, null for accounts that only log in with SRP
   password: {
     type: String,
-    required: true
+    default: null,
+    required: function () {
+      return !(this.srp && this.srp.verifier);
+    }
   },
   masterKey: {
     type: String,
     required: true
+  },
+  // Key pair used for sharing. The private key is wrapped (encrypted) on the
+  // client with the user's key, the server only ever stores it in that form.
+  publicKey: {
+    type: String,
+    default: null
+  },
+  encryptedPrivateKey: {
+    type: String,
+    default: null
+  },
+  privateKeyIv: {
+    type: String,
+    default: null
+  },
+  // Part of every session token, bumping it signs out every session
+  sessionVersion: {
+    type: Number,
+    default: 0
+  },
+  // Bumped on every change to the personal vault, see utils/sync.js
+  vaultRevision: {
+    type: Number,
+    default: 0
+  },
+  // Bytes of attachments stored on items this user created
+  storageUsed: {
+    type: Number,
+    default: 0
+  },
+  // Attachment storage limit in bytes, null uses STORAGE_QUOTA_BYTES
+  storageQuota: {
+    type: Number,
+    default: null
+  },
+  // Vault unlock timeouts in minutes, null uses UNLOCK_IDLE_MINUTES / UNLOCK_MAX_MINUTES
+  unlockIdleMinutes: {
+    type: Number,
+    default: null
+  },
+  unlockMaxMinutes: {
+    type: Number,
+    default: null
+  },
+  // How clients derive the user's key from the master key (see utils/kdf.js).
+  // Unset for accounts created before this was stored, they get the defaults
+  // and a salt derived from the email.
+  kdf: {
+    algorithm: {
+      type: String,
+      enum: ['pbkdf2-sha256', 'argon2id', null],
+      default: null
+    },
+    iterations: {
+      type: Number,
+      default: null
+    },
+    memory: {
+      type: Number,
+      default: null
+    },
+    parallelism: {
+      type: Number,
+      default: null
+    },
+    salt: {
+      type: String,
+      default: null
+    }
+  },
+  // SRP-6a salt and verifier, both hex (see utils/srp.js)
+  srp: {
+    salt: {
+      type: String,
+      default: null
+    },
+    verifier: {
+      type: String,
+      default: null
+    }
   }
 }, {
   timestamps: true
@@ -0,0 +1,189 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, param, validationResult } from 'express-validator';
+import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
+import upload, { handleUploadErrors } from '../config/multer.js';
+import { findAccessibleItem } from '../utils/itemAccess.js';
+import { saveWithRevision } from '../utils/sync.js';
+import { reserveStorage, releaseStorage } from '../utils/attachments.js';
+import { getStorage } from '../storage/index.js';
+
+// Mounted at /api/vault/items/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+// Upload a client-encrypted file as multipart form data.
+// file is the encrypted blob, fileName the encrypted file name and key the
+// attachment key wrapped with the item key.
+router.post('/', [
+  auth,
+  requireUnlock,
+  param('id').isMongoId(),
+  upload.single('file'),
+  handleUploadErrors,
+  body('fileName').isString().isLength({ min: 1, max: 1024 }),
+  body('key').optional().isString().isLength({ max: 8192 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'File is required'
+      });
+    }
+
+    // Owners and organization members can attach files, share recipients cannot
+    const access = await findAccessibleItem(req.params.id, req.userId, { write: true });
+    if (!access || access.share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const vaultItem = access.item;
+    const size = req.file.size;
+
+    if (!(await reserveStorage(vaultItem.userId, size))) {
+      return res.status(413).json({
+        success: false,
+        message: 'Storage quota exceeded'
+      });
+    }
+
+    const attachmentId = new mongoose.Types.ObjectId();
+    const storageKey = `${vaultItem.userId}/${attachmentId}`;
+    const storage = getStorage();
+
+    try {
+      await storage.put(storageKey, req.file.buffer);
+
+      vaultItem.attachments.push({
+        _id: attachmentId,
+        fileName: req.body.fileName,
+        key: req.body.key || null,
+        size,
+        storageKey
+      });
+      await saveWithRevision(vaultItem);
+    } catch (error) {
+      await storage.remove(storageKey).catch(() => {});
+      await releaseStorage(vaultItem.userId, size);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      attachment: vaultItem.attachments.id(attachmentId)
+    });
+
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload attachment'
+    });
+  }
+});
+
+// Download the encrypted blob of an attachment
+router.get('/:attachmentId', [
+  auth,
+  requireUnlock,
+  param('id').isMongoId(),
+  param('attachmentId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Anyone who can read the item, share recipients included
+    const access = await findAccessibleItem(req.params.id, req.userId);
+    const attachment = access && access.item.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const blob = await getStorage().get(attachment.storageKey);
+
+    // The real file name is encrypted, clients restore it after decrypting
+    res.attachment(`${attachment._id}.bin`);
+    res.type('application/octet-stream');
+    res.send(blob);
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment'
+    });
+  }
+});
+
+// Delete an attachment and free its storage
+router.delete('/:attachmentId', [
+  auth,
+  requireUnlock,
+  param('id').isMongoId(),
+  param('attachmentId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessibleItem(req.params.id, req.userId, { write: true });
+    const attachment = access && !access.share && access.item.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const vaultItem = access.item;
+    attachment.deleteOne();
+    await saveWithRevision(vaultItem);
+
+    await getStorage().remove(attachment.storageKey);
+    await releaseStorage(vaultItem.userId, attachment.size);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete attachment'
+    });
+  }
+});
+
+export default router;
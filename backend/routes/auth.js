@@ -1,15 +1,34 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { body, validationResult } from 'express-validator';
+import { body, query, matchedData, validationResult } from 'express-validator';
 import User from '../models/user.js';
+import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
+import { normalizeKdf, isWeakerKdf, preloginKdf } from '../utils/kdf.js';
+import { isSrpSalt, isGroupElement } from '../utils/srp.js';
+import { endUnlockSessionsFor } from '../utils/unlock.js';
+import { validateReencryptedItem, rekeyVault } from '../utils/masterKeyChange.js';
 
 const router = express.Router();
 
 // Register
+// kdf (see utils/kdf.js) is optional, the defaults and a new salt are used without it.
+// With srp ({ salt, verifier }, see utils/srp.js) the password can be left out,
+// the account then logs in through /api/auth/srp only.
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 })
+  body('password').if((value, { req }) => value !== undefined || !req.body.srp).isLength({ min: 6 }),
+  body('kdf').optional().isObject(),
+  body('srp').optional().isObject(),
+  body('srp.salt').if(body('srp').exists()).custom(value => {
+    if (!isSrpSalt(value)) throw new Error('salt must be hex of 16 to 64 bytes');
+    return true;
+  }),
+  body('srp.verifier').if(body('srp').exists()).custom(value => {
+    if (!isGroupElement(value)) throw new Error('verifier must be a hex number between 1 and N - 1');
+    return true;
+  })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -21,7 +40,7 @@ router.post('/register', [
       });
     }
 
-    const { email, password, masterKey } = req.body;
+    const { email, password, masterKey, srp } = req.body;
 
     // Check if user exists
     const existingUser = await User.findOne({ email });
@@ -32,22 +51,33 @@ router.post('/register', [
       });
     }
 
+    const { kdf, errors: kdfErrors } = normalizeKdf(req.body.kdf || {});
+    if (kdfErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid KDF parameters',
+        errors: kdfErrors
+      });
+    }
+
     // Hash password and master key
-    const hashedPassword = await bcrypt.hash(password, 12);
+    const hashedPassword = password ? await bcrypt.hash(password, 12) : null;
     const hashedMasterKey = await bcrypt.hash(masterKey, 12);
 
     // Create user
     const user = new User({
       email,
       password: hashedPassword,
-      masterKey: hashedMasterKey
+      masterKey: hashedMasterKey,
+      kdf,
+      srp: srp ? { salt: srp.salt.toLowerCase(), verifier: srp.verifier.toLowerCase() } : undefined
     });
 
     await user.save();
 
     // Generate token
     const token = jwt.sign(
-      { userId: user._id }, 
+      { userId: user._id, sv: user.sessionVersion }, 
       process.env.JWT_SECRET || 'fallback-secret',
       { expiresIn: '7d' }
     );
@@ -63,7 +93,8 @@ router.post('/register', [
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      user: { id: user._id, email: user.email }
+      user: { id: user._id, email: user.email },
+      kdf
     });
 
   } catch (error) {
@@ -91,6 +122,37 @@ router.post('/register', [
   }
 });
 
+// KDF parameters for an email, needed before the client can derive the key.
+// Unknown emails get made-up parameters that stay the same on every call.
+router.post('/prelogin', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed' 
+      });
+    }
+
+    const { email } = req.body;
+    const user = await User.findOne({ email }).select('kdf');
+
+    res.json({
+      success: true,
+      kdf: preloginKdf(user, email)
+    });
+
+  } catch (error) {
+    console.error('Prelogin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during prelogin'
+    });
+  }
+});
+
 // Login
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
@@ -107,9 +169,9 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    // Find user
+    // Find user, accounts without a password log in through /api/auth/srp
     const user = await User.findOne({ email });
-    if (!user) {
+    if (!user || !user.password) {
       return res.status(400).json({
         success: false,
         message: 'Invalid credentials'
@@ -127,7 +189,7 @@ router.post('/login', [
 
     // Generate token
     const token = jwt.sign(
-      { userId: user._id }, 
+      { userId: user._id, sv: user.sessionVersion }, 
       process.env.JWT_SECRET || 'fallback-secret',
       { expiresIn: '7d' }
     );
@@ -155,8 +217,16 @@ router.post('/login', [
   }
 });
 
-// Logout
-router.post('/logout', (req, res) => {
+// Logout, which also locks every vault unlocked in this session
+router.post('/logout', async (req, res) => {
+  try {
+    if (req.cookies.token) {
+      await endUnlockSessionsFor(req.cookies.token);
+    }
+  } catch (error) {
+    console.error('Logout unlock cleanup error:', error);
+  }
+
   res.clearCookie('token');
   res.json({
     success: true,
@@ -178,7 +248,7 @@ router.get('/check', async (req, res) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
     const user = await User.findById(decoded.userId).select('-password -masterKey');
     
-    if (!user) {
+    if (!user || (user.sessionVersion || 0) !== (decoded.sv || 0)) {
       return res.json({ 
         success: false, 
         isAuthenticated: false 
@@ -199,4 +269,231 @@ router.get('/check', async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// Get own sharing key pair
+router.get('/keys', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+      .select('publicKey encryptedPrivateKey privateKeyIv');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      keys: {
+        publicKey: user.publicKey,
+        encryptedPrivateKey: user.encryptedPrivateKey,
+        privateKeyIv: user.privateKeyIv
+      }
+    });
+
+  } catch (error) {
+    console.error('Get keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch keys'
+    });
+  }
+});
+
+// Set sharing key pair (the private key arrives already wrapped by the client).
+// Replacing the key pair cuts off every item shared with me, so like the other
+// routes that change the vault it needs an unlocked vault, not only a login.
+router.put('/keys', [
+  auth,
+  requireUnlock,
+  body('publicKey').isString().isLength({ min: 1, max: 8192 }),
+  body('encryptedPrivateKey').isString().isLength({ min: 1, max: 16384 }),
+  body('privateKeyIv').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { publicKey, encryptedPrivateKey, privateKeyIv } = req.body;
+
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      { publicKey, encryptedPrivateKey, privateKeyIv },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Keys saved successfully'
+    });
+
+  } catch (error) {
+    console.error('Save keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save keys'
+    });
+  }
+});
+
+// Look up another user's public key by email, to wrap an item key for them
+router.get('/public-key', [
+  auth,
+  query('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed' 
+      });
+    }
+
+    // Query params are re-parsed on every access, so read the normalized email from matchedData
+    const { email } = matchedData(req);
+    const user = await User.findOne({ email })
+      .select('email publicKey');
+
+    if (!user || !user.publicKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user with a public key found for this email'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: { id: user._id, email: user.email, publicKey: user.publicKey }
+    });
+
+  } catch (error) {
+    console.error('Get public key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch public key'
+    });
+  }
+});
+
+// Raise the KDF strength. The derived key changes with the parameters, so like
+// /api/vault/change-master-key this takes the whole re-encrypted personal vault.
+// newMasterKey is only needed when the master key hash the client sends changes too.
+router.put('/kdf', [
+  auth,
+  body('currentMasterKey').isString().notEmpty(),
+  body('newMasterKey').optional().isString().notEmpty(),
+  body('kdf').isObject(),
+  body('items').isArray(),
+  body('encryptedPrivateKey').optional().isString().notEmpty(),
+  body('privateKeyIv').optional().isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentMasterKey, newMasterKey, items, encryptedPrivateKey, privateKeyIv } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isMasterKeyValid = await bcrypt.compare(currentMasterKey, user.masterKey);
+    if (!isMasterKeyValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid master key'
+      });
+    }
+
+    const { kdf, errors: kdfErrors } = normalizeKdf(req.body.kdf);
+    if (kdfErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid KDF parameters',
+        errors: kdfErrors
+      });
+    }
+
+    if (isWeakerKdf(kdf, preloginKdf(user, user.email))) {
+      return res.status(400).json({
+        success: false,
+        message: 'KDF parameters cannot be weaker than the current ones'
+      });
+    }
+
+    // The sharing private key is wrapped with the user's key as well
+    if (user.encryptedPrivateKey && !(encryptedPrivateKey && privateKeyIv)) {
+      return res.status(400).json({
+        success: false,
+        message: 'encryptedPrivateKey and privateKeyIv re-wrapped with the new key are required'
+      });
+    }
+
+    const rowErrors = items
+      .map((row, index) => ({ row: index, errors: validateReencryptedItem(row) }))
+      .filter(result => result.errors.length > 0);
+
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'KDF change failed validation, nothing was changed',
+        errors: rowErrors
+      });
+    }
+
+    const result = await rekeyVault(user, items, {
+      masterKeyHash: newMasterKey ? await bcrypt.hash(newMasterKey, 12) : null,
+      encryptedPrivateKey,
+      privateKeyIv,
+      kdf
+    });
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'The batch does not match your vault, nothing was changed',
+        errors: result.errors
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'KDF parameters updated successfully',
+      kdf,
+      itemsUpdated: result.itemsUpdated
+    });
+
+  } catch (error) {
+    console.error('Update KDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update KDF parameters, nothing was changed'
+    });
+  }
+});
+
+export default router;
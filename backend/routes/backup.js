@@ -0,0 +1,216 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import VaultItem from '../models/VaultItem.js';
+import Folder from '../models/Folder.js';
+import ItemRevision from '../models/ItemRevision.js';
+import ItemShare from '../models/ItemShare.js';
+import User from '../models/user.js';
+import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
+import { buildArchive, verifyArchive } from '../utils/vaultArchive.js';
+import { saveRevision } from '../utils/revisions.js';
+import { nextRevision, recordTombstones } from '../utils/sync.js';
+import { removeAttachments } from '../utils/attachments.js';
+import { rotationDueDate } from '../utils/rotation.js';
+
+const router = express.Router();
+
+// Export the whole vault (folders and every item, trash included) as one archive.
+// Items stay encrypted with the user's key, the archive adds a SHA-256 checksum.
+// Attachment blobs are not part of the archive.
+router.get('/export', auth, requireUnlock, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [folders, items] = await Promise.all([
+      Folder.find({ userId: req.userId }).sort({ createdAt: 1 }),
+      VaultItem.find({ userId: req.userId, organizationId: null }).sort({ createdAt: 1 })
+    ]);
+
+    const archive = buildArchive({ email: user.email, folders, items });
+
+    res.attachment(`vault-export-${archive.exportedAt.slice(0, 10)}.json`);
+    res.json(archive);
+
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export vault'
+    });
+  }
+});
+
+const toObjectId = (id) => (mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(id) : null);
+
+// Restore an exported archive. Every item is validated like on POST /items
+// (tag limits included) and the folders must form a tree like the folder
+// routes keep it, the first problem rejects the whole restore.
+// mode=merge (default) keeps the current vault: items already in it are only
+// overwritten when the archive copy is newer, everything else is added.
+// mode=replace deletes the current vault first.
+router.post('/restore', [
+  auth,
+  requireUnlock,
+  body('archive').exists(),
+  body('mode').optional().isIn(['merge', 'replace'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { archive } = req.body;
+    const mode = req.body.mode || 'merge';
+
+    const archiveError = verifyArchive(archive);
+    if (archiveError) {
+      return res.status(400).json({
+        success: false,
+        message: archiveError
+      });
+    }
+
+    const userId = new mongoose.Types.ObjectId(req.userId);
+    let summary;
+    // Attachment blobs live outside the database, they are removed once the transaction committed
+    let replacedItems = [];
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        summary = { foldersCreated: 0, itemsCreated: 0, itemsUpdated: 0, itemsUnchanged: 0 };
+        replacedItems = [];
+
+        let existingFolderIds = new Set();
+        let existingItems = new Map();
+
+        if (mode === 'replace') {
+          const items = await VaultItem.find({ userId, organizationId: null })
+            .select('_id userId organizationId attachments')
+            .session(session);
+          replacedItems = items;
+          const itemIds = items.map(item => item._id);
+          await VaultItem.deleteMany({ _id: { $in: itemIds } }, { session });
+          await ItemRevision.deleteMany({ itemId: { $in: itemIds } }, { session });
+          await ItemShare.deleteMany({ itemId: { $in: itemIds } }, { session });
+          await Folder.deleteMany({ userId }, { session });
+          await recordTombstones(items, session);
+        } else {
+          // One session runs one operation at a time
+          const folders = await Folder.find({ userId }).select('_id').session(session);
+          const items = await VaultItem.find({ userId, organizationId: null }).session(session);
+          existingFolderIds = new Set(folders.map(folder => String(folder._id)));
+          existingItems = new Map(items.map(item => [String(item._id), item]));
+        }
+
+        // Folders already in the vault keep their id, the rest get a new one
+        const folderIdMap = new Map();
+        for (const folder of archive.folders) {
+          folderIdMap.set(
+            folder.id,
+            existingFolderIds.has(folder.id) ? toObjectId(folder.id) : new mongoose.Types.ObjectId()
+          );
+        }
+
+        const newFolders = archive.folders
+          .filter(folder => !existingFolderIds.has(folder.id))
+          .map(folder => ({
+            _id: folderIdMap.get(folder.id),
+            userId,
+            name: folder.name.trim().slice(0, 100),
+            parentId: (folder.parentId && folderIdMap.get(folder.parentId)) || null
+          }));
+
+        if (newFolders.length > 0) {
+          await Folder.insertMany(newFolders, { session });
+        }
+        summary.foldersCreated = newFolders.length;
+
+        // Everything restored shares one vault revision
+        const revision = await nextRevision(userId, session);
+        const newItems = [];
+        for (const item of archive.items) {
+          const fields = {
+            folderId: (item.folderId && folderIdMap.get(item.folderId)) || null,
+            type: item.type,
+            title: item.title,
+            metadata: item.metadata || {},
+            encryptedData: item.encryptedData,
+            iv: item.iv,
+            encryptedItemKey: typeof item.encryptedItemKey === 'string' ? item.encryptedItemKey : null,
+            tags: Array.isArray(item.tags) ? item.tags : [],
+            searchTokens: Array.isArray(item.searchTokens) ? item.searchTokens : [],
+            titleSortKey: item.titleSortKey || null,
+            passwordFingerprint: item.passwordFingerprint || null,
+            passwordStrength: item.passwordStrength ?? null,
+            passwordBreached: item.passwordBreached ?? null,
+            rotateEvery: item.rotateEvery ?? null,
+            expiresAt: item.expiresAt ? new Date(item.expiresAt) : null,
+            rotatedAt: item.rotatedAt ? new Date(item.rotatedAt) : null,
+            favorite: item.favorite === true,
+            pinned: item.pinned === true,
+            sortOrder: Number.isInteger(item.sortOrder) ? item.sortOrder : 0,
+            deletedAt: item.deletedAt ? new Date(item.deletedAt) : null,
+            revision
+          };
+
+          const existing = existingItems.get(item.id);
+          if (!existing) {
+            // insertMany skips the save hook that keeps rotationDueAt up to date
+            newItems.push({ userId, ...fields, rotationDueAt: rotationDueDate(fields) });
+            continue;
+          }
+
+          const archivedAt = item.updatedAt ? new Date(item.updatedAt) : null;
+          if (!archivedAt || archivedAt <= existing.updatedAt) {
+            summary.itemsUnchanged++;
+            continue;
+          }
+
+          await saveRevision(existing, session);
+          existing.set(fields);
+          await existing.save({ session });
+          summary.itemsUpdated++;
+        }
+
+        if (newItems.length > 0) {
+          await VaultItem.insertMany(newItems, { session });
+        }
+        summary.itemsCreated = newItems.length;
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await removeAttachments(replacedItems);
+
+    res.json({
+      success: true,
+      message: 'Vault restored successfully',
+      mode,
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Restore error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore vault, no changes were made'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,44 @@
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import auth from '../middileware/auth.js';
+import { PREFIX_PATTERN, findBreachRange } from '../utils/breachCorpus.js';
+
+const router = express.Router();
+
+// k-anonymity range lookup: every breached SHA-1 hash starting with prefix
+// (5 hex characters), as suffixes with their breach counts.
+// Clients mark items whose hash suffix is in the list as breached.
+router.get('/range/:prefix', [
+  auth,
+  param('prefix').matches(PREFIX_PATTERN)
+    .withMessage('prefix must be the first 5 hex characters of a SHA-1 hash')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const prefix = req.params.prefix.toUpperCase();
+    const suffixes = await findBreachRange(prefix);
+
+    res.json({
+      success: true,
+      prefix,
+      suffixes
+    });
+
+  } catch (error) {
+    console.error('Breach range error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check breaches'
+    });
+  }
+});
+
+export default router;
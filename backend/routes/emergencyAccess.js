@@ -0,0 +1,603 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import { body, param, validationResult } from 'express-validator';
+import EmergencyAccess from '../models/EmergencyAccess.js';
+import VaultItem from '../models/VaultItem.js';
+import User from '../models/user.js';
+import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
+import { normalizeKdf } from '../utils/kdf.js';
+import { validateReencryptedItem, rekeyVault } from '../utils/masterKeyChange.js';
+import {
+  recordEvent,
+  recordViewEvent,
+  approvalDate,
+  sendEmergencyMail,
+  approveIfWaitOver
+} from '../utils/emergencyAccess.js';
+import {
+  generateEmergencyAccessRequestEmail,
+  generateEmergencyAccessNoticeEmail
+} from '../config/emailTemplate.js';
+import { EMERGENCY_ACCESS_DEFAULT_WAIT_DAYS, CLIENT_URL } from '../config/vault.js';
+
+const router = express.Router();
+
+const idValidator = param('id').isMongoId();
+
+// Trusted contacts I named, and vaults I am a trusted contact for
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('email');
+    const [trustedContacts, grantedToMe] = await Promise.all([
+      EmergencyAccess.find({ grantorId: req.userId, status: { $ne: 'revoked' } })
+        .select('-keyEncrypted')
+        .sort({ createdAt: -1 }),
+      EmergencyAccess.find({
+        $or: [
+          { granteeId: req.userId, status: { $ne: 'revoked' } },
+          { email: user ? user.email : null, status: 'invited' }
+        ]
+      })
+        .select('-keyEncrypted')
+        .populate('grantorId', 'email')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      trustedContacts,
+      grantedToMe
+    });
+
+  } catch (error) {
+    console.error('Get emergency access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch emergency access'
+    });
+  }
+});
+
+// Name a trusted contact
+router.post('/', [
+  auth,
+  body('email').isEmail().normalizeEmail(),
+  body('accessType').isIn(['view', 'takeover']),
+  body('waitTimeDays').optional().isInt({ min: 1, max: 90 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, accessType } = req.body;
+    const waitTimeDays = parseInt(req.body.waitTimeDays, 10) || EMERGENCY_ACCESS_DEFAULT_WAIT_DAYS;
+
+    const grantor = await User.findById(req.userId).select('email');
+    if (grantor.email === email) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot be your own trusted contact'
+      });
+    }
+
+    // A removed contact is invited again on the same record, keeping its history
+    let access = await EmergencyAccess.findOne({ grantorId: req.userId, email });
+    if (access && access.status !== 'revoked') {
+      return res.status(400).json({
+        success: false,
+        message: 'This contact is already a trusted contact'
+      });
+    }
+
+    if (access) {
+      access.set({ granteeId: null, accessType, waitTimeDays, status: 'invited', keyEncrypted: null });
+    } else {
+      access = new EmergencyAccess({
+        grantorId: req.userId,
+        email,
+        accessType,
+        waitTimeDays
+      });
+    }
+    recordEvent(access, 'invited', req.userId);
+    await access.save();
+
+    await sendEmergencyMail(email, 'You were named as a trusted contact', generateEmergencyAccessNoticeEmail(
+      'You were named as a trusted contact',
+      `${grantor.email} named you as a trusted contact for emergency ${accessType === 'takeover' ? 'takeover' : 'read-only'} access to their vault. Sign in with this email address to accept.`
+    ));
+
+    res.status(201).json({
+      success: true,
+      message: 'Trusted contact invited successfully',
+      emergencyAccess: access
+    });
+
+  } catch (error) {
+    console.error('Invite trusted contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invite trusted contact'
+    });
+  }
+});
+
+// Accept being a trusted contact (as the invited user)
+router.post('/:id/accept', [auth, idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId).select('email');
+    const access = await EmergencyAccess.findOne({
+      _id: req.params.id,
+      email: user ? user.email : null,
+      status: 'invited'
+    });
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    access.granteeId = req.userId;
+    access.status = 'accepted';
+    recordEvent(access, 'accepted', req.userId);
+    await access.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted, waiting for the vault owner to confirm',
+      emergencyAccess: access
+    });
+
+  } catch (error) {
+    console.error('Accept emergency access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+});
+
+// Confirm a contact that accepted, handing over the vault key wrapped to their public key
+router.post('/:id/confirm', [
+  auth,
+  idValidator,
+  body('keyEncrypted').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await EmergencyAccess.findOne({
+      _id: req.params.id,
+      grantorId: req.userId,
+      status: 'accepted'
+    });
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'No accepted trusted contact found'
+      });
+    }
+
+    access.keyEncrypted = req.body.keyEncrypted;
+    access.status = 'confirmed';
+    recordEvent(access, 'confirmed', req.userId);
+    await access.save();
+
+    res.json({
+      success: true,
+      message: 'Trusted contact confirmed successfully'
+    });
+
+  } catch (error) {
+    console.error('Confirm emergency access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm trusted contact'
+    });
+  }
+});
+
+// Request access (as the trusted contact). Starts the waiting period.
+router.post('/:id/initiate', [auth, idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await EmergencyAccess.findOne({
+      _id: req.params.id,
+      granteeId: req.userId,
+      status: 'confirmed'
+    });
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'No confirmed emergency access found'
+      });
+    }
+
+    access.status = 'recoveryInitiated';
+    access.recoveryInitiatedAt = new Date();
+    recordEvent(access, 'recoveryInitiated', req.userId);
+    await access.save();
+
+    const [grantor, grantee] = await Promise.all([
+      User.findById(access.grantorId).select('email'),
+      User.findById(req.userId).select('email')
+    ]);
+    if (grantor) {
+      await sendEmergencyMail(grantor.email, 'Emergency access requested', generateEmergencyAccessRequestEmail(
+        grantee.email,
+        access.accessType,
+        approvalDate(access),
+        `${CLIENT_URL}/emergency-access`
+      ));
+    }
+
+    res.json({
+      success: true,
+      message: 'Emergency access requested',
+      approvesAt: approvalDate(access)
+    });
+
+  } catch (error) {
+    console.error('Initiate emergency access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request emergency access'
+    });
+  }
+});
+
+// Approve a pending request before the waiting period is over (as the grantor)
+router.post('/:id/approve', [auth, idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await EmergencyAccess.findOne({
+      _id: req.params.id,
+      grantorId: req.userId,
+      status: 'recoveryInitiated'
+    });
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending emergency access request found'
+      });
+    }
+
+    access.status = 'recoveryApproved';
+    recordEvent(access, 'recoveryApproved', req.userId);
+    await access.save();
+
+    const grantee = await User.findById(access.granteeId).select('email');
+    if (grantee) {
+      await sendEmergencyMail(grantee.email, 'Emergency access granted', generateEmergencyAccessNoticeEmail(
+        'Emergency access granted',
+        'The vault owner approved your emergency access request.'
+      ));
+    }
+
+    res.json({
+      success: true,
+      message: 'Emergency access approved'
+    });
+
+  } catch (error) {
+    console.error('Approve emergency access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve emergency access'
+    });
+  }
+});
+
+// Reject a pending request, or take back access already granted (as the grantor)
+router.post('/:id/reject', [auth, idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await EmergencyAccess.findOne({
+      _id: req.params.id,
+      grantorId: req.userId,
+      status: { $in: ['recoveryInitiated', 'recoveryApproved'] }
+    });
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'No emergency access request found'
+      });
+    }
+
+    access.status = 'confirmed';
+    access.recoveryInitiatedAt = null;
+    recordEvent(access, 'recoveryRejected', req.userId);
+    await access.save();
+
+    const grantee = await User.findById(access.granteeId).select('email');
+    if (grantee) {
+      await sendEmergencyMail(grantee.email, 'Emergency access rejected', generateEmergencyAccessNoticeEmail(
+        'Emergency access rejected',
+        'The vault owner rejected your emergency access request.'
+      ));
+    }
+
+    res.json({
+      success: true,
+      message: 'Emergency access rejected'
+    });
+
+  } catch (error) {
+    console.error('Reject emergency access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject emergency access'
+    });
+  }
+});
+
+// Approved contacts with a request granted (view or takeover) can read the vault
+const findApprovedAccess = async (id, granteeId) => {
+  const access = await EmergencyAccess.findOne({
+    _id: id,
+    granteeId,
+    status: { $in: ['recoveryInitiated', 'recoveryApproved'] }
+  });
+  if (!access) return null;
+  await approveIfWaitOver(access);
+  return access.status === 'recoveryApproved' ? access : null;
+};
+
+// Read the grantor's vault (as an approved trusted contact)
+router.get('/:id/vault', [auth, requireUnlock, idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findApprovedAccess(req.params.id, req.userId);
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: 'Emergency access has not been granted'
+      });
+    }
+
+    const items = await VaultItem.find({
+      userId: access.grantorId,
+      organizationId: null,
+      deletedAt: null
+    }).sort({ createdAt: -1 });
+
+    if (recordViewEvent(access, req.userId)) {
+      await access.save();
+    }
+
+    res.json({
+      success: true,
+      keyEncrypted: access.keyEncrypted,
+      items
+    });
+
+  } catch (error) {
+    console.error('Emergency vault view error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vault'
+    });
+  }
+});
+
+// Take over the grantor's account by setting a new password, master key and
+// KDF parameters (as an approved trusted contact with takeover access).
+// The grantee re-encrypts the whole personal vault for the new key first, it is
+// swapped in one transaction like /api/vault/change-master-key, and every
+// session of the grantor is signed out.
+router.post('/:id/takeover', [
+  auth,
+  idValidator,
+  body('password').isLength({ min: 6 }),
+  body('masterKey').isString().notEmpty(),
+  body('kdf').isObject(),
+  body('items').isArray(),
+  body('encryptedPrivateKey').optional().isString().notEmpty(),
+  body('privateKeyIv').optional().isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findApprovedAccess(req.params.id, req.userId);
+    if (!access || access.accessType !== 'takeover') {
+      return res.status(403).json({
+        success: false,
+        message: 'Takeover access has not been granted'
+      });
+    }
+
+    const grantor = await User.findById(access.grantorId);
+    if (!grantor) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { items, encryptedPrivateKey, privateKeyIv } = req.body;
+
+    const { kdf, errors: kdfErrors } = normalizeKdf(req.body.kdf);
+    if (kdfErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid KDF parameters',
+        errors: kdfErrors
+      });
+    }
+
+    // The sharing private key is wrapped with the grantor's key as well
+    if (grantor.encryptedPrivateKey && !(encryptedPrivateKey && privateKeyIv)) {
+      return res.status(400).json({
+        success: false,
+        message: 'encryptedPrivateKey and privateKeyIv re-wrapped with the new key are required'
+      });
+    }
+
+    const rowErrors = items
+      .map((row, index) => ({ row: index, errors: validateReencryptedItem(row) }))
+      .filter(result => result.errors.length > 0);
+
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Takeover failed validation, nothing was changed',
+        errors: rowErrors
+      });
+    }
+
+    const result = await rekeyVault(grantor, items, {
+      masterKeyHash: await bcrypt.hash(req.body.masterKey, 12),
+      passwordHash: await bcrypt.hash(req.body.password, 12),
+      encryptedPrivateKey,
+      privateKeyIv,
+      kdf,
+      // The old SRP verifier would still accept the old password
+      srp: { salt: null, verifier: null },
+      revokeSessions: true,
+      // The grant is used up, the contact cannot take over a second time
+      takeover: { accessId: access._id, actorId: req.userId }
+    });
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'The batch does not match the vault, nothing was changed',
+        errors: result.errors
+      });
+    }
+
+    await sendEmergencyMail(grantor.email, 'Your account was taken over', generateEmergencyAccessNoticeEmail(
+      'Your account was taken over',
+      'A trusted contact used emergency takeover access and set a new password and master key for your account.'
+    ));
+
+    res.json({
+      success: true,
+      message: 'Account takeover completed',
+      itemsUpdated: result.itemsUpdated
+    });
+
+  } catch (error) {
+    console.error('Emergency takeover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to take over account'
+    });
+  }
+});
+
+// Remove a trusted contact (as the grantor) or step down (as the contact)
+router.delete('/:id', [auth, idValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await EmergencyAccess.findOne({
+      _id: req.params.id,
+      $or: [{ grantorId: req.userId }, { granteeId: req.userId }],
+      status: { $ne: 'revoked' }
+    });
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency access not found'
+      });
+    }
+
+    // The record stays with its audit trail, only the key is dropped
+    access.status = 'revoked';
+    access.keyEncrypted = null;
+    access.recoveryInitiatedAt = null;
+    recordEvent(access, 'removed', req.userId);
+    await access.save();
+
+    res.json({
+      success: true,
+      message: 'Emergency access removed'
+    });
+
+  } catch (error) {
+    console.error('Remove emergency access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove emergency access'
+    });
+  }
+});
+
+export default router;
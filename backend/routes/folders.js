@@ -0,0 +1,241 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Folder from '../models/Folder.js';
+import VaultItem from '../models/VaultItem.js';
+import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
+import { getDescendantFolderIds, checkFolderPlacement } from '../utils/folderTree.js';
+import { withRevision } from '../utils/sync.js';
+
+const router = express.Router();
+
+// Get all folders (flat list, clients build the tree from parentId)
+router.get('/', auth, async (req, res) => {
+  try {
+    const folders = await Folder.find({ userId: req.userId })
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      folders
+    });
+  } catch (error) {
+    console.error('Get folders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch folders'
+    });
+  }
+});
+
+// Create folder
+router.post('/', [
+  auth,
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+  body('parentId').optional({ values: 'null' }).isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.body;
+    const parentId = req.body.parentId || null;
+
+    const placementError = await checkFolderPlacement(req.userId, null, parentId);
+    if (placementError) {
+      return res.status(400).json({
+        success: false,
+        message: placementError
+      });
+    }
+
+    const folder = new Folder({
+      userId: req.userId,
+      name,
+      parentId
+    });
+
+    await folder.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created successfully',
+      folder
+    });
+  } catch (error) {
+    console.error('Create folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create folder'
+    });
+  }
+});
+
+// Rename folder
+router.put('/:id', [
+  auth,
+  param('id').isMongoId(),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const folder = await Folder.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      { name: req.body.name },
+      { new: true }
+    );
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Folder updated successfully',
+      folder
+    });
+  } catch (error) {
+    console.error('Update folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update folder'
+    });
+  }
+});
+
+// Move folder under another folder, or to the top level with parentId null
+router.put('/:id/move', [
+  auth,
+  param('id').isMongoId(),
+  body('parentId').optional({ values: 'null' }).isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const folder = await Folder.findOne({ _id: req.params.id, userId: req.userId });
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const parentId = req.body.parentId || null;
+    const placementError = await checkFolderPlacement(req.userId, folder._id, parentId);
+    if (placementError) {
+      return res.status(400).json({
+        success: false,
+        message: placementError
+      });
+    }
+
+    folder.parentId = parentId;
+    await folder.save();
+
+    res.json({
+      success: true,
+      message: 'Folder moved successfully',
+      folder
+    });
+  } catch (error) {
+    console.error('Move folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move folder'
+    });
+  }
+});
+
+// Delete folder and all of its subfolders.
+// items=move (default) moves the contained items to the deleted folder's parent,
+// items=delete moves them to the trash.
+router.delete('/:id', [
+  auth,
+  requireUnlock,
+  param('id').isMongoId(),
+  query('items').optional().isIn(['move', 'delete'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const folder = await Folder.findOne({ _id: req.params.id, userId: req.userId });
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const descendantIds = await getDescendantFolderIds(req.userId, folder._id);
+    const folderIds = [folder._id, ...descendantIds];
+    const itemFilter = { userId: req.userId, folderId: { $in: folderIds } };
+
+    const itemResult = await withRevision(req.userId, async (revision, session) => {
+      let result;
+      if (req.query.items === 'delete') {
+        result = await VaultItem.updateMany(
+          { ...itemFilter, deletedAt: null },
+          { deletedAt: new Date(), folderId: null, revision, $inc: { version: 1 } },
+          { session }
+        );
+        // Items already in the trash lose their folder as well
+        await VaultItem.updateMany(itemFilter, { folderId: null, revision, $inc: { version: 1 } }, { session });
+      } else {
+        result = await VaultItem.updateMany(
+          itemFilter,
+          { folderId: folder.parentId, revision, $inc: { version: 1 } },
+          { session }
+        );
+      }
+
+      await Folder.deleteMany({ userId: req.userId, _id: { $in: folderIds } }, { session });
+      return result;
+    });
+
+    res.json({
+      success: true,
+      message: 'Folder deleted successfully',
+      deletedFolders: folderIds.length,
+      affectedItems: itemResult.modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete folder'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,293 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import GeneratorProfile from '../models/GeneratorProfile.js';
+import auth from '../middileware/auth.js';
+import { normalizeGeneratorOptions, generateSecret } from '../utils/generator.js';
+import { getMembership, resolveVaultScope } from '../utils/orgAccess.js';
+import { hasOrgRole } from '../utils/orgRoles.js';
+
+const router = express.Router();
+
+// A profile the user may use (minimumRole readonly) or change (admin).
+// Personal profiles are only visible to their owner.
+const findProfile = async (profileId, userId, minimumRole) => {
+  const profile = await GeneratorProfile.findById(profileId);
+  if (!profile) return null;
+
+  if (profile.organizationId) {
+    const membership = await getMembership(profile.organizationId, userId);
+    return membership && hasOrgRole(membership.role, minimumRole) ? profile : null;
+  }
+
+  return profile.userId.equals(userId) ? profile : null;
+};
+
+// Generate a password or passphrase.
+// The body holds generator options (see utils/generator.js). With profileId
+// the saved profile's options are used, options in the body override them.
+router.post('/generate', [
+  auth,
+  body('profileId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { profileId, ...overrides } = req.body || {};
+    let input = overrides;
+
+    if (profileId) {
+      const profile = await findProfile(profileId, req.userId, 'readonly');
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Generator profile not found'
+        });
+      }
+      input = { ...profile.options, ...overrides };
+    }
+
+    const { options, errors: optionErrors } = normalizeGeneratorOptions(input);
+    if (optionErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid generator options',
+        errors: optionErrors
+      });
+    }
+
+    const { value, entropy } = generateSecret(options);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      value,
+      entropy,
+      options
+    });
+
+  } catch (error) {
+    console.error('Generate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate'
+    });
+  }
+});
+
+// My generator profiles, or the organization's with organizationId
+router.get('/generator-profiles', [
+  auth,
+  query('organizationId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.query.organizationId);
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const profiles = await GeneratorProfile.find(scope.filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      profiles
+    });
+
+  } catch (error) {
+    console.error('Get generator profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch generator profiles'
+    });
+  }
+});
+
+// Save a generator profile. Organization admins can save one for the organization.
+router.post('/generator-profiles', [
+  auth,
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('options').isObject(),
+  body('organizationId').optional({ values: 'null' }).isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.body.organizationId, 'admin');
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const { options, errors: optionErrors } = normalizeGeneratorOptions(req.body.options);
+    if (optionErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid generator options',
+        errors: optionErrors
+      });
+    }
+
+    if (await GeneratorProfile.exists({ ...scope.filter, name: req.body.name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A generator profile with this name already exists'
+      });
+    }
+
+    const profile = new GeneratorProfile({
+      userId: req.userId,
+      organizationId: req.body.organizationId || null,
+      name: req.body.name,
+      options
+    });
+    await profile.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Generator profile saved successfully',
+      profile
+    });
+
+  } catch (error) {
+    console.error('Create generator profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save generator profile'
+    });
+  }
+});
+
+// Rename a generator profile or change its options
+router.put('/generator-profiles/:id', [
+  auth,
+  param('id').isMongoId(),
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+  body('options').optional().isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await findProfile(req.params.id, req.userId, 'admin');
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Generator profile not found'
+      });
+    }
+
+    if (req.body.options !== undefined) {
+      const { options, errors: optionErrors } = normalizeGeneratorOptions(req.body.options);
+      if (optionErrors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid generator options',
+          errors: optionErrors
+        });
+      }
+      profile.options = options;
+    }
+
+    if (req.body.name !== undefined && req.body.name !== profile.name) {
+      const scopeFilter = profile.organizationId
+        ? { organizationId: profile.organizationId }
+        : { userId: profile.userId, organizationId: null };
+      if (await GeneratorProfile.exists({ ...scopeFilter, name: req.body.name })) {
+        return res.status(400).json({
+          success: false,
+          message: 'A generator profile with this name already exists'
+        });
+      }
+      profile.name = req.body.name;
+    }
+
+    await profile.save();
+
+    res.json({
+      success: true,
+      message: 'Generator profile updated successfully',
+      profile
+    });
+
+  } catch (error) {
+    console.error('Update generator profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update generator profile'
+    });
+  }
+});
+
+// Delete a generator profile
+router.delete('/generator-profiles/:id', [
+  auth,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await findProfile(req.params.id, req.userId, 'admin');
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Generator profile not found'
+      });
+    }
+
+    await profile.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Generator profile deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete generator profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete generator profile'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,225 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import VaultItem from '../models/VaultItem.js';
+import Folder from '../models/Folder.js';
+import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
+import {
+  ITEM_TYPE_NAMES,
+  DEFAULT_ITEM_TYPE,
+  validateItemMetadata
+} from '../utils/vaultItemTypes.js';
+import { validateSearchTokens, validateTags } from '../utils/blindIndex.js';
+import { isFingerprint, isStrength } from '../utils/passwordHealth.js';
+import { MAX_ROTATE_EVERY_DAYS, isRotateEvery, isDateString, rotationDueDate } from '../utils/rotation.js';
+import { MAX_FOLDER_DEPTH, splitFolderPath, planFolderPaths } from '../utils/folderTree.js';
+import { nextRevision } from '../utils/sync.js';
+import { IMPORT_MAX_ITEMS } from '../config/vault.js';
+
+const router = express.Router();
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Returns the list of problems with one import row
+const validateRow = (row) => {
+  if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+    return ['Row must be an object'];
+  }
+
+  const errors = [];
+  const type = row.type || DEFAULT_ITEM_TYPE;
+
+  if (!ITEM_TYPE_NAMES.includes(type)) errors.push(`Unknown item type: ${type}`);
+  if (!isNonEmptyString(row.title)) errors.push('title is required');
+  if (!isNonEmptyString(row.encryptedData)) errors.push('encryptedData is required');
+  if (!isNonEmptyString(row.iv)) errors.push('iv is required');
+
+  if (row.tags !== undefined) {
+    const tagError = validateTags(row.tags);
+    if (tagError) errors.push(tagError);
+  }
+
+  if (row.searchTokens !== undefined) {
+    const tokenError = validateSearchTokens(row.searchTokens);
+    if (tokenError) errors.push(tokenError);
+  }
+
+  if (row.titleSortKey !== undefined && row.titleSortKey !== null &&
+    (typeof row.titleSortKey !== 'string' || row.titleSortKey.length > 256)) {
+    errors.push('titleSortKey must be a string of at most 256 characters');
+  }
+
+  if (row.passwordFingerprint !== undefined && row.passwordFingerprint !== null &&
+    !isFingerprint(row.passwordFingerprint)) {
+    errors.push('passwordFingerprint is invalid');
+  }
+  if (row.passwordStrength !== undefined && row.passwordStrength !== null &&
+    !isStrength(row.passwordStrength)) {
+    errors.push('passwordStrength must be an integer from 0 to 4');
+  }
+  if (row.passwordBreached !== undefined && row.passwordBreached !== null &&
+    typeof row.passwordBreached !== 'boolean') {
+    errors.push('passwordBreached must be a boolean');
+  }
+  if (row.rotateEvery !== undefined && row.rotateEvery !== null && !isRotateEvery(row.rotateEvery)) {
+    errors.push(`rotateEvery must be an integer from 1 to ${MAX_ROTATE_EVERY_DAYS}`);
+  }
+  if (row.expiresAt !== undefined && row.expiresAt !== null && !isDateString(row.expiresAt)) {
+    errors.push('expiresAt must be a date');
+  }
+
+  if (row.folder !== undefined && row.folder !== null) {
+    if (typeof row.folder !== 'string') {
+      errors.push('folder must be a string');
+    } else {
+      const segments = splitFolderPath(row.folder);
+      if (segments.length > MAX_FOLDER_DEPTH) {
+        errors.push(`folder cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`);
+      }
+      if (segments.some(segment => segment.length > 100)) {
+        errors.push('folder names cannot exceed 100 characters');
+      }
+    }
+  }
+
+  if (ITEM_TYPE_NAMES.includes(type)) {
+    errors.push(...validateItemMetadata(type, row.metadata));
+  }
+
+  return errors;
+};
+
+// Items are considered duplicates when type, title and login URIs all match.
+// Encrypted titles differ on every encryption, so items with blind index
+// tokens are compared by their tokens instead.
+const duplicateKey = (item) => [
+  item.type || DEFAULT_ITEM_TYPE,
+  item.searchTokens && item.searchTokens.length > 0
+    ? [...item.searchTokens].sort().join(',')
+    : item.title.trim().toLowerCase(),
+  ((item.metadata && item.metadata.uris) || []).join('\n')
+].join('\u0000');
+
+// Bulk import client-encrypted items.
+// Every row is validated first; if any row fails nothing is imported.
+// duplicates=skip (default) leaves out rows matching an existing or earlier row,
+// duplicates=import imports them anyway, duplicates=fail rejects the whole batch.
+router.post('/', [
+  auth,
+  requireUnlock,
+  body('items').isArray({ min: 1, max: IMPORT_MAX_ITEMS }),
+  body('duplicates').optional().isIn(['skip', 'import', 'fail'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items } = req.body;
+    const duplicates = req.body.duplicates || 'skip';
+
+    const rowErrors = items
+      .map((row, index) => ({ row: index, errors: validateRow(row) }))
+      .filter(result => result.errors.length > 0);
+
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import failed validation, nothing was imported',
+        errors: rowErrors
+      });
+    }
+
+    const existingItems = await VaultItem.find({ userId: req.userId, organizationId: null, deletedAt: null })
+      .select('type title metadata searchTokens');
+    const seen = new Set(existingItems.map(duplicateKey));
+
+    const accepted = [];
+    const duplicateRows = [];
+    items.forEach((row, index) => {
+      const key = duplicateKey(row);
+      if (seen.has(key)) {
+        duplicateRows.push(index);
+        if (duplicates !== 'import') return;
+      }
+      seen.add(key);
+      accepted.push(row);
+    });
+
+    if (duplicates === 'fail' && duplicateRows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Duplicate items found, nothing was imported',
+        duplicates: duplicateRows
+      });
+    }
+
+    const folderPaths = [...new Set(
+      accepted.map(row => row.folder).filter(folder => folder && splitFolderPath(folder).length > 0)
+    )];
+    const { folderIdByPath, newFolders } = await planFolderPaths(req.userId, folderPaths);
+
+    const now = new Date();
+    const documents = accepted.map(row => ({
+      userId: req.userId,
+      folderId: (row.folder && folderIdByPath.get(row.folder)) || null,
+      type: row.type || DEFAULT_ITEM_TYPE,
+      title: row.title,
+      metadata: row.metadata || {},
+      encryptedData: row.encryptedData,
+      iv: row.iv,
+      encryptedItemKey: typeof row.encryptedItemKey === 'string' ? row.encryptedItemKey : null,
+      tags: row.tags || [],
+      searchTokens: row.searchTokens || [],
+      titleSortKey: row.titleSortKey || null,
+      passwordFingerprint: row.passwordFingerprint || null,
+      passwordStrength: row.passwordStrength ?? null,
+      passwordBreached: row.passwordBreached ?? null,
+      rotateEvery: row.rotateEvery ?? null,
+      expiresAt: row.expiresAt ? new Date(row.expiresAt) : null,
+      rotatedAt: now,
+      // insertMany skips the save hook that keeps rotationDueAt up to date
+      rotationDueAt: rotationDueDate({ rotateEvery: row.rotateEvery, expiresAt: row.expiresAt, rotatedAt: now })
+    }));
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (newFolders.length > 0) {
+          await Folder.insertMany(newFolders, { session });
+        }
+        if (documents.length > 0) {
+          // The whole batch shares one vault revision, taken in the same transaction
+          const revision = await nextRevision(req.userId, session);
+          await VaultItem.insertMany(documents.map(document => ({ ...document, revision })), { session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Import completed successfully',
+      imported: documents.length,
+      foldersCreated: newFolders.length,
+      duplicates: duplicateRows,
+      skipped: duplicates === 'skip' ? duplicateRows.length : 0
+    });
+
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Import failed, nothing was imported'
+    });
+  }
+});
+
+export default router;
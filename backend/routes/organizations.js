@@ -0,0 +1,789 @@
+import express from 'express';
+import crypto from 'crypto';
+import { body, param, validationResult } from 'express-validator';
+import Organization from '../models/Organization.js';
+import OrgMembership from '../models/OrgMembership.js';
+import OrgInvitation from '../models/OrgInvitation.js';
+import Collection from '../models/Collection.js';
+import GeneratorProfile from '../models/GeneratorProfile.js';
+import SavedSearch from '../models/SavedSearch.js';
+import VaultItem from '../models/VaultItem.js';
+import User from '../models/user.js';
+import auth from '../middileware/auth.js';
+import orgRole from '../middileware/orgRole.js';
+import { ORG_ROLES, hasOrgRole } from '../utils/orgRoles.js';
+import { purgeItems } from '../utils/trash.js';
+import transporter from '../config/nodemailer.js';
+import { generateOrgInvitationEmail } from '../config/emailTemplate.js';
+import { ORG_INVITATION_TTL_DAYS, CLIENT_URL } from '../config/vault.js';
+
+const router = express.Router();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Only owners can hand out or change the owner and admin roles
+const canAssignRole = (actorRole, role) =>
+  actorRole === 'owner' || !hasOrgRole(role, 'admin');
+
+// Create an organization. The creator becomes its confirmed owner;
+// encryptedOrgKey is the new organization key wrapped to the creator's public key.
+router.post('/', [
+  auth,
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+  body('encryptedOrgKey').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, encryptedOrgKey } = req.body;
+
+    const organization = await Organization.create({ name, ownerId: req.userId });
+    await OrgMembership.create({
+      orgId: organization._id,
+      userId: req.userId,
+      role: 'owner',
+      status: 'confirmed',
+      encryptedOrgKey
+    });
+    const collection = await Collection.create({ orgId: organization._id, name: 'Default collection' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      organization,
+      collections: [collection]
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create organization'
+    });
+  }
+});
+
+// Organizations I belong to, with my role and my copy of the organization key
+router.get('/', auth, async (req, res) => {
+  try {
+    const memberships = await OrgMembership.find({ userId: req.userId })
+      .populate('orgId')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      organizations: memberships
+        .filter(membership => membership.orgId)
+        .map(membership => ({
+          id: membership.orgId._id,
+          name: membership.orgId.name,
+          role: membership.role,
+          status: membership.status,
+          encryptedOrgKey: membership.encryptedOrgKey
+        }))
+    });
+
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch organizations'
+    });
+  }
+});
+
+// Accept an invitation with the token from the invitation email.
+// The signed-in user's email must match the invited email.
+router.post('/invitations/accept', [
+  auth,
+  body('token').isString().isLength({ min: 64, max: 64 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await OrgInvitation.findOne({ tokenHash: hashToken(req.body.token) });
+    if (!invitation || invitation.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(req.userId).select('email');
+    if (!user || user.email !== invitation.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    const existing = await OrgMembership.findOne({ orgId: invitation.orgId, userId: req.userId });
+    if (existing) {
+      await invitation.deleteOne();
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this organization'
+      });
+    }
+
+    const membership = await OrgMembership.create({
+      orgId: invitation.orgId,
+      userId: req.userId,
+      role: invitation.role
+    });
+    await invitation.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted, an admin needs to confirm your membership',
+      membership
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+});
+
+// Get organization details
+router.get('/:orgId', [
+  auth,
+  param('orgId').isMongoId(),
+  orgRole('readonly')
+], async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.orgId);
+
+    res.json({
+      success: true,
+      organization,
+      role: req.membership.role
+    });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch organization'
+    });
+  }
+});
+
+// Rename organization
+router.put('/:orgId', [
+  auth,
+  param('orgId').isMongoId(),
+  orgRole('admin'),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.params.orgId,
+      { name: req.body.name },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      organization
+    });
+
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update organization'
+    });
+  }
+});
+
+// Delete organization with its members, invitations, collections and items
+router.delete('/:orgId', [
+  auth,
+  param('orgId').isMongoId(),
+  orgRole('owner')
+], async (req, res) => {
+  try {
+    const orgId = req.params.orgId;
+
+    await purgeItems({ organizationId: orgId });
+    await Collection.deleteMany({ orgId });
+    await OrgInvitation.deleteMany({ orgId });
+    await OrgMembership.deleteMany({ orgId });
+    await GeneratorProfile.deleteMany({ organizationId: orgId });
+    await SavedSearch.deleteMany({ organizationId: orgId });
+    await Organization.findByIdAndDelete(orgId);
+
+    res.json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete organization'
+    });
+  }
+});
+
+// List members. Admins use publicKey to wrap the organization key when confirming.
+router.get('/:orgId/members', [
+  auth,
+  param('orgId').isMongoId(),
+  orgRole('readonly')
+], async (req, res) => {
+  try {
+    const memberships = await OrgMembership.find({ orgId: req.params.orgId })
+      .populate('userId', 'email publicKey')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      members: memberships.map(membership => ({
+        id: membership._id,
+        userId: membership.userId ? membership.userId._id : null,
+        email: membership.userId ? membership.userId.email : null,
+        publicKey: membership.userId ? membership.userId.publicKey : null,
+        role: membership.role,
+        status: membership.status
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch members'
+    });
+  }
+});
+
+// Confirm an accepted member by handing them the organization key
+router.post('/:orgId/members/:memberId/confirm', [
+  auth,
+  param('orgId').isMongoId(),
+  param('memberId').isMongoId(),
+  orgRole('admin'),
+  body('encryptedOrgKey').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const membership = await OrgMembership.findOne({
+      _id: req.params.memberId,
+      orgId: req.params.orgId,
+      status: 'accepted'
+    });
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'No member waiting for confirmation found'
+      });
+    }
+
+    membership.encryptedOrgKey = req.body.encryptedOrgKey;
+    membership.status = 'confirmed';
+    await membership.save();
+
+    res.json({
+      success: true,
+      message: 'Member confirmed successfully'
+    });
+
+  } catch (error) {
+    console.error('Confirm member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm member'
+    });
+  }
+});
+
+// Change a member's role
+router.put('/:orgId/members/:memberId', [
+  auth,
+  param('orgId').isMongoId(),
+  param('memberId').isMongoId(),
+  orgRole('admin'),
+  body('role').isIn(ORG_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const membership = await OrgMembership.findOne({
+      _id: req.params.memberId,
+      orgId: req.params.orgId
+    });
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const { role } = req.body;
+    const actorRole = req.membership.role;
+    if (!canAssignRole(actorRole, role) || !canAssignRole(actorRole, membership.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can manage owners and admins'
+      });
+    }
+
+    if (membership.role === 'owner' && role !== 'owner') {
+      const owners = await OrgMembership.countDocuments({ orgId: req.params.orgId, role: 'owner' });
+      if (owners <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'An organization must keep at least one owner'
+        });
+      }
+    }
+
+    membership.role = role;
+    await membership.save();
+
+    res.json({
+      success: true,
+      message: 'Member updated successfully',
+      member: membership
+    });
+
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update member'
+    });
+  }
+});
+
+// Remove a member. Admins can remove others, any member can remove themselves.
+router.delete('/:orgId/members/:memberId', [
+  auth,
+  param('orgId').isMongoId(),
+  param('memberId').isMongoId(),
+  orgRole('readonly')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const membership = await OrgMembership.findOne({
+      _id: req.params.memberId,
+      orgId: req.params.orgId
+    });
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const isSelf = membership._id.equals(req.membership._id);
+    const actorRole = req.membership.role;
+    if (!isSelf && (!hasOrgRole(actorRole, 'admin') || !canAssignRole(actorRole, membership.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to remove this member'
+      });
+    }
+
+    if (membership.role === 'owner') {
+      const owners = await OrgMembership.countDocuments({ orgId: req.params.orgId, role: 'owner' });
+      if (owners <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'An organization must keep at least one owner'
+        });
+      }
+    }
+
+    await membership.deleteOne();
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the organization' : 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member'
+    });
+  }
+});
+
+// Invite someone by email
+router.post('/:orgId/invitations', [
+  auth,
+  param('orgId').isMongoId(),
+  orgRole('admin'),
+  body('email').isEmail().normalizeEmail(),
+  body('role').isIn(ORG_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role } = req.body;
+
+    if (!canAssignRole(req.membership.role, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can invite owners and admins'
+      });
+    }
+
+    const invitedUser = await User.findOne({ email }).select('_id');
+    if (invitedUser && await OrgMembership.exists({ orgId: req.params.orgId, userId: invitedUser._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the organization'
+      });
+    }
+
+    const [organization, inviter] = await Promise.all([
+      Organization.findById(req.params.orgId),
+      User.findById(req.userId).select('email')
+    ]);
+
+    // A new invitation replaces any earlier one for the same email
+    await OrgInvitation.deleteMany({ orgId: organization._id, email });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ORG_INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const invitation = await OrgInvitation.create({
+      orgId: organization._id,
+      email,
+      role,
+      invitedBy: req.userId,
+      tokenHash: hashToken(token),
+      expiresAt
+    });
+
+    const inviteLink = `${CLIENT_URL}/invitations/accept?token=${token}`;
+    const mailOptions = {
+      from: process.env.SENDER_EMAIL,
+      to: email,
+      subject: `You're invited to join ${organization.name}`,
+      html: generateOrgInvitationEmail(organization.name, inviter.email, role, inviteLink, expiresAt)
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+    } catch (emailError) {
+      console.error('Failed to send invitation email:', emailError.message);
+      await invitation.deleteOne();
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send invitation email'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      invitation: {
+        id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invitation'
+    });
+  }
+});
+
+// List pending invitations
+router.get('/:orgId/invitations', [
+  auth,
+  param('orgId').isMongoId(),
+  orgRole('admin')
+], async (req, res) => {
+  try {
+    const invitations = await OrgInvitation.find({ orgId: req.params.orgId })
+      .select('-tokenHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      invitations
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations'
+    });
+  }
+});
+
+// Cancel an invitation
+router.delete('/:orgId/invitations/:invitationId', [
+  auth,
+  param('orgId').isMongoId(),
+  param('invitationId').isMongoId(),
+  orgRole('admin')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await OrgInvitation.findOneAndDelete({
+      _id: req.params.invitationId,
+      orgId: req.params.orgId
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation cancelled successfully'
+    });
+
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel invitation'
+    });
+  }
+});
+
+// List collections
+router.get('/:orgId/collections', [
+  auth,
+  param('orgId').isMongoId(),
+  orgRole('readonly')
+], async (req, res) => {
+  try {
+    const collections = await Collection.find({ orgId: req.params.orgId })
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      collections
+    });
+
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch collections'
+    });
+  }
+});
+
+// Create collection
+router.post('/:orgId/collections', [
+  auth,
+  param('orgId').isMongoId(),
+  orgRole('admin'),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await Collection.create({
+      orgId: req.params.orgId,
+      name: req.body.name
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      collection
+    });
+
+  } catch (error) {
+    console.error('Create collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create collection'
+    });
+  }
+});
+
+// Rename collection
+router.put('/:orgId/collections/:collectionId', [
+  auth,
+  param('orgId').isMongoId(),
+  param('collectionId').isMongoId(),
+  orgRole('admin'),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await Collection.findOneAndUpdate(
+      { _id: req.params.collectionId, orgId: req.params.orgId },
+      { name: req.body.name },
+      { new: true }
+    );
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      collection
+    });
+
+  } catch (error) {
+    console.error('Update collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update collection'
+    });
+  }
+});
+
+// Delete collection, its items are moved to the trash
+router.delete('/:orgId/collections/:collectionId', [
+  auth,
+  param('orgId').isMongoId(),
+  param('collectionId').isMongoId(),
+  orgRole('admin')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const collection = await Collection.findOneAndDelete({
+      _id: req.params.collectionId,
+      orgId: req.params.orgId
+    });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    // Trashed items no longer point at the deleted collection,
+    // restoring them asks for a new one
+    const result = await VaultItem.updateMany(
+      { organizationId: req.params.orgId, collectionId: collection._id, deletedAt: null },
+      { deletedAt: new Date(), collectionId: null, $inc: { version: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully',
+      trashedItems: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete collection'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,249 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import SavedSearch from '../models/SavedSearch.js';
+import VaultItem from '../models/VaultItem.js';
+import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
+import { listQueryValidators, paginate } from '../utils/pagination.js';
+import { resolveVaultScope } from '../utils/orgAccess.js';
+import { parseVaultQuery, MAX_QUERY_LENGTH } from '../utils/vaultQuery.js';
+
+const router = express.Router();
+
+const vaultQueryValidator = (value) => {
+  const { errors } = parseVaultQuery(value);
+  if (errors) throw new Error(errors.join('; '));
+  return true;
+};
+
+// My saved searches
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.userId }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      searches
+    });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved searches'
+    });
+  }
+});
+
+// Save a search. With organizationId it runs against the organization vault.
+router.post('/', [
+  auth,
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('query').isString().trim().notEmpty().isLength({ max: MAX_QUERY_LENGTH }).custom(vaultQueryValidator),
+  body('organizationId').optional({ values: 'null' }).isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.body.organizationId);
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const search = new SavedSearch({
+      userId: req.userId,
+      organizationId: req.body.organizationId || null,
+      name: req.body.name,
+      query: req.body.query
+    });
+    await search.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      search
+    });
+
+  } catch (error) {
+    // Names are unique per user, the index decides between concurrent requests
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A saved search with this name already exists'
+      });
+    }
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save search'
+    });
+  }
+});
+
+// Rename a saved search or change its query
+router.put('/:id', [
+  auth,
+  param('id').isMongoId(),
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+  body('query').optional().isString().trim().notEmpty().isLength({ max: MAX_QUERY_LENGTH })
+    .custom(vaultQueryValidator)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.userId });
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    if (req.body.name !== undefined) {
+      search.name = req.body.name;
+    }
+
+    if (req.body.query !== undefined) {
+      search.query = req.body.query;
+    }
+
+    await search.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      search
+    });
+
+  } catch (error) {
+    // Names are unique per user, the index decides between concurrent requests
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A saved search with this name already exists'
+      });
+    }
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update saved search'
+    });
+  }
+});
+
+// Delete a saved search
+router.delete('/:id', [
+  auth,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.userId });
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete saved search'
+    });
+  }
+});
+
+// Run a saved search, paginated like /api/vault/search.
+// Relative dates (updated:<30d) are evaluated at the time of the run.
+router.get('/:id/run', [
+  auth,
+  requireUnlock,
+  param('id').isMongoId(),
+  ...listQueryValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.userId });
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    // Membership is checked again, the user may have left the organization since
+    const scope = await resolveVaultScope(req.userId, search.organizationId);
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const { filter, errors: queryErrors } = parseVaultQuery(search.query);
+    if (queryErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Saved search query is no longer valid',
+        errors: queryErrors
+      });
+    }
+
+    const page = await paginate(VaultItem, { ...scope.filter, deletedAt: null, ...filter }, req.query);
+
+    res.json({
+      success: true,
+      search: { id: search._id, name: search.name, query: search.query },
+      ...page
+    });
+
+  } catch (error) {
+    console.error('Run saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run saved search'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,208 @@
+import express from 'express';
+import { body, param, query, matchedData, validationResult } from 'express-validator';
+import ItemShare from '../models/ItemShare.js';
+import VaultItem from '../models/VaultItem.js';
+import User from '../models/user.js';
+import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
+
+const router = express.Router();
+
+// Share one of my items with another user by email.
+// wrappedKey is the item key encrypted to the recipient's public key.
+router.post('/', [
+  auth,
+  requireUnlock,
+  body('itemId').isMongoId(),
+  body('email').isEmail().normalizeEmail(),
+  body('wrappedKey').isString().isLength({ min: 1, max: 8192 }),
+  body('permission').optional().isIn(['read', 'write'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { itemId, email, wrappedKey } = req.body;
+    const permission = req.body.permission || 'read';
+
+    // Organization items are shared through organization membership instead
+    const vaultItem = await VaultItem.findOne({
+      _id: itemId,
+      userId: req.userId,
+      organizationId: null,
+      deletedAt: null
+    });
+    if (!vaultItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    if (!vaultItem.encryptedItemKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'Item must be encrypted with its own item key before it can be shared'
+      });
+    }
+
+    const recipient = await User.findOne({ email }).select('_id publicKey');
+    if (!recipient || !recipient.publicKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user with a public key found for this email'
+      });
+    }
+
+    if (recipient._id.equals(req.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot share an item with yourself'
+      });
+    }
+
+    // Sharing again with the same user updates the key and permission
+    const share = await ItemShare.findOneAndUpdate(
+      { itemId: vaultItem._id, recipientId: recipient._id },
+      { ownerId: req.userId, wrappedKey, permission },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Item shared successfully',
+      share
+    });
+
+  } catch (error) {
+    console.error('Share item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to share item'
+    });
+  }
+});
+
+// Items other users have shared with me
+router.get('/incoming', auth, requireUnlock, async (req, res) => {
+  try {
+    const shares = await ItemShare.find({ recipientId: req.userId })
+      .populate('ownerId', 'email')
+      .populate({ path: 'itemId', match: { deletedAt: null } })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      shares: shares
+        .filter(share => share.itemId)
+        .map(share => ({
+          id: share._id,
+          permission: share.permission,
+          wrappedKey: share.wrappedKey,
+          owner: share.ownerId ? { id: share.ownerId._id, email: share.ownerId.email } : null,
+          item: share.itemId,
+          sharedAt: share.createdAt
+        }))
+    });
+
+  } catch (error) {
+    console.error('Get incoming shares error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shared items'
+    });
+  }
+});
+
+// Shares I have created, optionally for a single item
+router.get('/outgoing', [
+  auth,
+  requireUnlock,
+  query('itemId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { ownerId: req.userId };
+    const { itemId } = matchedData(req);
+    if (itemId) {
+      filter.itemId = itemId;
+    }
+
+    const shares = await ItemShare.find(filter)
+      .select('-wrappedKey')
+      .populate('recipientId', 'email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      shares
+    });
+
+  } catch (error) {
+    console.error('Get outgoing shares error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shares'
+    });
+  }
+});
+
+// Revoke a share. The owner can revoke any of their shares,
+// a recipient can remove an item shared with them.
+// The recipient may still hold the item key, so owners should re-key the item afterwards.
+router.delete('/:id', [
+  auth,
+  requireUnlock,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const share = await ItemShare.findOneAndDelete({
+      _id: req.params.id,
+      $or: [{ ownerId: req.userId }, { recipientId: req.userId }]
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke share'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,212 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import { body, validationResult } from 'express-validator';
+import User from '../models/user.js';
+import SrpChallenge from '../models/SrpChallenge.js';
+import auth from '../middileware/auth.js';
+import {
+  isSrpSalt,
+  isGroupElement,
+  generateSrpSalt,
+  fakeSrpSalt,
+  createServerEphemeral,
+  verifyClientProof
+} from '../utils/srp.js';
+import { SRP_CHALLENGE_TTL_SECONDS } from '../config/vault.js';
+
+const router = express.Router();
+
+// Step 1 of an SRP login: the client sends its public ephemeral A and gets
+// the salt and the server's public ephemeral B back.
+// Unknown emails get a challenge as well, it just never succeeds.
+router.post('/init', [
+  body('email').isEmail().normalizeEmail(),
+  body('A').custom(value => {
+    if (!isGroupElement(value)) throw new Error('A must be a hex number between 1 and N - 1');
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed' 
+      });
+    }
+
+    const { email, A } = req.body;
+    const user = await User.findOne({ email }).select('srp');
+    const hasVerifier = Boolean(user && user.srp && user.srp.verifier);
+
+    const salt = hasVerifier ? user.srp.salt : fakeSrpSalt(email);
+    const ephemeral = createServerEphemeral(
+      hasVerifier ? user.srp.verifier : generateSrpSalt()
+    );
+
+    const challenge = await SrpChallenge.create({
+      userId: hasVerifier ? user._id : null,
+      clientPublic: A,
+      serverSecret: ephemeral.secret,
+      serverPublic: ephemeral.public,
+      expiresAt: new Date(Date.now() + SRP_CHALLENGE_TTL_SECONDS * 1000)
+    });
+
+    res.json({
+      success: true,
+      challengeId: challenge._id,
+      salt,
+      B: ephemeral.public
+    });
+
+  } catch (error) {
+    console.error('SRP init error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// Step 2: the client proves it knows the password with M1. On success the
+// session cookie is set like /login does, and M2 proves the server knew the verifier.
+router.post('/verify', [
+  body('challengeId').isMongoId(),
+  body('M1').isHexadecimal().isLength({ min: 64, max: 64 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed' 
+      });
+    }
+
+    // A challenge can only be answered once
+    const challenge = await SrpChallenge.findOneAndDelete({
+      _id: req.body.challengeId,
+      expiresAt: { $gt: new Date() }
+    });
+
+    const user = challenge && challenge.userId
+      ? await User.findById(challenge.userId).select('email srp sessionVersion')
+      : null;
+
+    const M2 = user && user.srp && user.srp.verifier
+      ? verifyClientProof({
+        identity: user.email,
+        salt: user.srp.salt,
+        verifier: user.srp.verifier,
+        clientPublic: challenge.clientPublic,
+        serverSecret: challenge.serverSecret,
+        serverPublic: challenge.serverPublic,
+        clientProof: req.body.M1
+      })
+      : null;
+
+    if (!M2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Generate token
+    const token = jwt.sign(
+      { userId: user._id, sv: user.sessionVersion }, 
+      process.env.JWT_SECRET || 'fallback-secret',
+      { expiresIn: '7d' }
+    );
+
+    // Set cookie
+    res.cookie('token', token, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      maxAge: 7 * 24 * 60 * 60 * 1000
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: { id: user._id, email: user.email },
+      M2
+    });
+
+  } catch (error) {
+    console.error('SRP verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// Set or replace my SRP salt and verifier, e.g. to move an existing account to SRP
+// or after a password change. A session cookie alone is not enough to replace the
+// login secret: accounts that still have a password confirm it, SRP-only accounts
+// confirm their current master key (currentMasterKey).
+router.put('/verifier', [
+  auth,
+  body('salt').custom(value => {
+    if (!isSrpSalt(value)) throw new Error('salt must be hex of 16 to 64 bytes');
+    return true;
+  }),
+  body('verifier').custom(value => {
+    if (!isGroupElement(value)) throw new Error('verifier must be a hex number between 1 and N - 1');
+    return true;
+  }),
+  body('password').optional().isString(),
+  body('currentMasterKey').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId).select('password masterKey srp');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { password, currentMasterKey } = req.body;
+    const confirmed = user.password
+      ? password && await bcrypt.compare(password, user.password)
+      : currentMasterKey && await bcrypt.compare(currentMasterKey, user.masterKey);
+    if (!confirmed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { srp: { salt: req.body.salt.toLowerCase(), verifier: req.body.verifier.toLowerCase() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'SRP verifier saved successfully'
+    });
+
+  } catch (error) {
+    console.error('Save SRP verifier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save SRP verifier'
+    });
+  }
+});
+
+export default router;
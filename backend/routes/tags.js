@@ -0,0 +1,334 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, param, query, validationResult } from 'express-validator';
+import VaultItem from '../models/VaultItem.js';
+import TagSetting from '../models/TagSetting.js';
+import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
+import { resolveVaultScope } from '../utils/orgAccess.js';
+import { nextRevision } from '../utils/sync.js';
+import { TOKEN_PATTERN, MAX_TAG_NAME_LENGTH, validateTag } from '../utils/blindIndex.js';
+
+const router = express.Router();
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Tags are encrypted on the client (see utils/blindIndex.js): routes name a tag
+// by its token, and a new tag comes as { token, name } with name encrypted.
+// New tags go through validateTag, the check the item routes apply to every tag.
+const tokenValidator = (field) => body(field).isString().matches(TOKEN_PATTERN);
+const newTagValidator = (field) => body(field).custom((value) => {
+  const tagError = validateTag(value);
+  if (tagError) throw new Error(tagError);
+  return true;
+});
+
+// Replace every tag in sources (tokens) with target (or just remove them without
+// a target) on all items matching filter, trash included. Returns the ids of the
+// changed items. Clients that put tags in the items' blind index as well should
+// refresh searchTokens of the returned items.
+const replaceTags = async (filter, sources, target, session) => {
+  const itemIds = await VaultItem.distinct('_id', { ...filter, 'tags.token': { $in: sources } })
+    .session(session);
+  if (itemIds.length === 0) return [];
+
+  const staleSources = target ? sources.filter(source => source !== target.token) : sources;
+  const update = {
+    $pull: { tags: { token: { $in: staleSources } } },
+    $inc: { version: 1 }
+  };
+  // Personal items get a new vault revision so other devices pick up the change
+  if (filter.organizationId === null) {
+    update.$set = { revision: await nextRevision(filter.userId, session) };
+  }
+
+  // Items that already carry the target keep their copy of it
+  if (target) {
+    await VaultItem.updateMany(
+      { _id: { $in: itemIds }, 'tags.token': { $ne: target.token } },
+      { $push: { tags: { token: target.token, name: target.name } } },
+      { session }
+    );
+  }
+  await VaultItem.updateMany({ _id: { $in: itemIds } }, update, { session });
+
+  return itemIds;
+};
+
+// Carry the user's color and description over to the new tag,
+// unless the target already has its own. Settings belong to the user's
+// personal tags, so only rewrites of the personal vault touch them.
+const moveTagSettings = async (userId, sources, target, session) => {
+  const staleSources = target ? sources.filter(source => source !== target.token) : sources;
+  if (target && !(await TagSetting.exists({ userId, token: target.token }).session(session))) {
+    const setting = await TagSetting.findOne({ userId, token: { $in: staleSources } }).session(session);
+    if (setting) {
+      setting.token = target.token;
+      await setting.save({ session });
+    }
+  }
+  await TagSetting.deleteMany({ userId, token: { $in: staleSources } }, { session });
+};
+
+// Run replaceTags and, for the personal vault, moveTagSettings in one transaction
+const rewriteTags = async (userId, filter, sources, target) => {
+  let itemIds = [];
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      itemIds = await replaceTags(filter, sources, target, session);
+      if (filter.organizationId === null) {
+        await moveTagSettings(userId, sources, target, session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+  return itemIds;
+};
+
+// Every tag with its encrypted name and the number of live items carrying it,
+// plus my color and description in the personal vault. Tags that only have
+// settings are listed with a count of 0 and no name. Names are encrypted, so
+// tags come sorted by token and clients sort them by name after decrypting.
+router.get('/', [
+  auth,
+  query('organizationId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.query.organizationId);
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    // aggregate() does not cast ids the way find() does
+    const match = { ...scope.filter, deletedAt: null };
+    if (match.userId) {
+      match.userId = new mongoose.Types.ObjectId(req.userId);
+    }
+
+    const [counts, settings] = await Promise.all([
+      VaultItem.aggregate([
+        { $match: match },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags.token', name: { $first: '$tags.name' }, count: { $sum: 1 } } }
+      ]),
+      // My settings decorate my personal tags only
+      scope.filter.organizationId === null ? TagSetting.find({ userId: req.userId }) : []
+    ]);
+
+    const tags = new Map(counts.map(({ _id, name, count }) => [_id, { token: _id, name, count, color: null, description: null }]));
+    for (const setting of settings) {
+      const tag = tags.get(setting.token) || { token: setting.token, name: null, count: 0 };
+      tags.set(setting.token, { ...tag, color: setting.color, description: setting.description });
+    }
+
+    res.json({
+      success: true,
+      tags: [...tags.values()].sort((a, b) => a.token.localeCompare(b.token))
+    });
+
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tags'
+    });
+  }
+});
+
+// Rename a tag on every item: from is the token of the tag, to the new
+// { token, name }. Renaming to an existing tag merges the two.
+router.post('/rename', [
+  auth,
+  requireUnlock,
+  tokenValidator('from'),
+  newTagValidator('to'),
+  body('organizationId').optional({ values: 'null' }).isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.body.organizationId, 'admin');
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const { from, to } = req.body;
+    if (from === to.token) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new tag name is the same as the old one'
+      });
+    }
+
+    const itemIds = await rewriteTags(req.userId, scope.filter, [from], to);
+
+    res.json({
+      success: true,
+      message: 'Tag renamed successfully',
+      updatedItems: itemIds
+    });
+
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rename tag'
+    });
+  }
+});
+
+// Merge several tags (by token) into one { token, name }, on every item
+router.post('/merge', [
+  auth,
+  requireUnlock,
+  body('from').isArray({ min: 1, max: 50 }),
+  body('from.*').isString().matches(TOKEN_PATTERN),
+  newTagValidator('to'),
+  body('organizationId').optional({ values: 'null' }).isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.body.organizationId, 'admin');
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const from = [...new Set(req.body.from)];
+    const itemIds = await rewriteTags(req.userId, scope.filter, from, req.body.to);
+
+    res.json({
+      success: true,
+      message: 'Tags merged successfully',
+      updatedItems: itemIds
+    });
+
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge tags'
+    });
+  }
+});
+
+// Set my color and description for a tag. The description is encrypted
+// on the client like the tag name.
+router.put('/:token', [
+  auth,
+  param('token').matches(TOKEN_PATTERN),
+  body('color').optional({ values: 'null' }).matches(COLOR_PATTERN),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: MAX_TAG_NAME_LENGTH })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const update = {};
+    if (req.body.color !== undefined) update.color = req.body.color ? req.body.color.toLowerCase() : null;
+    if (req.body.description !== undefined) update.description = req.body.description || null;
+
+    const setting = await TagSetting.findOneAndUpdate(
+      { userId: req.userId, token: req.params.token },
+      update,
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      tag: setting
+    });
+
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tag'
+    });
+  }
+});
+
+// Remove a tag from every item, together with my settings for it
+router.delete('/:token', [
+  auth,
+  requireUnlock,
+  param('token').matches(TOKEN_PATTERN),
+  query('organizationId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.query.organizationId, 'admin');
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const itemIds = await rewriteTags(req.userId, scope.filter, [req.params.token], null);
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully',
+      updatedItems: itemIds
+    });
+
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tag'
+    });
+  }
+});
+
+export default router;
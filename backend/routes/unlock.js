@@ -0,0 +1,152 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import UnlockSession from '../models/UnlockSession.js';
+import User from '../models/user.js';
+import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
+import {
+  UNLOCK_IDLE_LIMITS,
+  UNLOCK_MAX_LIMITS,
+  UNLOCK_HEADER,
+  hashToken,
+  unlockTimeouts
+} from '../utils/unlock.js';
+
+const router = express.Router();
+
+// Lock the vault: ends the unlock session of the X-Unlock-Token header,
+// or every unlock session of the user with all=true (e.g. a lost device)
+router.post('/lock', [
+  auth,
+  body('all').optional().isBoolean({ strict: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const token = req.get(UNLOCK_HEADER);
+    if (!req.body.all && !token) {
+      return res.status(400).json({
+        success: false,
+        message: `${UNLOCK_HEADER} header is required unless all is set`
+      });
+    }
+
+    const filter = req.body.all
+      ? { userId: req.userId }
+      : { userId: req.userId, tokenHash: hashToken(token) };
+    const result = await UnlockSession.deleteMany(filter);
+
+    res.json({
+      success: true,
+      message: 'Vault locked',
+      sessionsEnded: result.deletedCount
+    });
+
+  } catch (error) {
+    console.error('Lock vault error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lock vault'
+    });
+  }
+});
+
+// Keep the vault unlocked while the user is active without touching an item.
+// Cannot extend it past its total lifetime.
+router.post('/keep-alive', auth, requireUnlock, (req, res) => {
+  res.json({
+    success: true,
+    idleExpiresAt: req.unlockSession.idleExpiresAt,
+    expiresAt: req.unlockSession.expiresAt
+  });
+});
+
+// My unlock timeouts, in minutes
+router.get('/unlock-settings', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('unlockIdleMinutes unlockMaxMinutes');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      settings: unlockTimeouts(user)
+    });
+
+  } catch (error) {
+    console.error('Get unlock settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unlock settings'
+    });
+  }
+});
+
+// Change my unlock timeouts; null goes back to the server default.
+// They apply from the next unlock on.
+router.put('/unlock-settings', [
+  auth,
+  body('idleTimeoutMinutes').optional({ values: 'null' }).isInt(UNLOCK_IDLE_LIMITS).toInt(),
+  body('maxLifetimeMinutes').optional({ values: 'null' }).isInt(UNLOCK_MAX_LIMITS).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.userId).select('unlockIdleMinutes unlockMaxMinutes');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.body.idleTimeoutMinutes !== undefined) user.unlockIdleMinutes = req.body.idleTimeoutMinutes;
+    if (req.body.maxLifetimeMinutes !== undefined) user.unlockMaxMinutes = req.body.maxLifetimeMinutes;
+
+    const settings = unlockTimeouts(user);
+    if (settings.idleTimeoutMinutes > settings.maxLifetimeMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: 'The idle timeout cannot be longer than the total lifetime'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { unlockIdleMinutes: user.unlockIdleMinutes, unlockMaxMinutes: user.unlockMaxMinutes }
+    );
+
+    res.json({
+      success: true,
+      message: 'Unlock settings updated successfully',
+      settings
+    });
+
+  } catch (error) {
+    console.error('Update unlock settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update unlock settings'
+    });
+  }
+});
+
+export default router;
@@ -1,189 +1,1332 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import mongoose from 'mongoose';
+import { body, param, query, validationResult } from 'express-validator';
 import VaultItem from '../models/VaultItem.js';
+import Folder from '../models/Folder.js';
+import Collection from '../models/Collection.js';
+import ItemRevision from '../models/ItemRevision.js';
+import ItemTombstone from '../models/ItemTombstone.js';
+import BreachedPassword from '../models/BreachedPassword.js';
 import auth from '../middileware/auth.js';
+import requireUnlock from '../middileware/unlock.js';
 import User from '../models/user.js';
 import bcrypt from 'bcryptjs';
+import {
+  ITEM_TYPE_NAMES,
+  DEFAULT_ITEM_TYPE,
+  validateItemMetadata,
+  describeItemTypes
+} from '../utils/vaultItemTypes.js';
+import { saveEditWithRevision } from '../utils/revisions.js';
+import { purgeItems } from '../utils/trash.js';
+import { listQueryValidators, paginate } from '../utils/pagination.js';
+import { validateSearchTokens, validateTags, MAX_QUERY_TOKENS } from '../utils/blindIndex.js';
+import { findAccessibleItem } from '../utils/itemAccess.js';
+import { getMembership, resolveVaultScope } from '../utils/orgAccess.js';
+import { hasOrgRole } from '../utils/orgRoles.js';
+import { withRevision, writeWithRevision, saveWithRevision } from '../utils/sync.js';
+import { itemETag, matchesETag } from '../utils/itemVersion.js';
+import { storageQuota } from '../utils/attachments.js';
+import { FINGERPRINT_PATTERN, MAX_STRENGTH, buildHealthReport } from '../utils/passwordHealth.js';
+import { MAX_ROTATE_EVERY_DAYS } from '../utils/rotation.js';
+import { parseVaultQuery } from '../utils/vaultQuery.js';
+import { validateReencryptedItem, rekeyVault } from '../utils/masterKeyChange.js';
+import { issueUnlockSession } from '../utils/unlock.js';
+import { HEALTH_MAX_AGE_DAYS, HEALTH_WEAK_STRENGTH } from '../config/vault.js';
 const router = express.Router();
 
-// Get all vault items
-router.get('/items', auth, async (req, res) => {
+// A trashed item the user may restore or purge: their own personal item,
+// or an organization item when they are an admin of the organization
+const findTrashedItem = async (itemId, userId) => {
+  const vaultItem = await VaultItem.findOne({ _id: itemId, deletedAt: { $ne: null } });
+  if (!vaultItem) return null;
+
+  if (vaultItem.organizationId) {
+    const membership = await getMembership(vaultItem.organizationId, userId);
+    return membership && hasOrgRole(membership.role, 'admin') ? vaultItem : null;
+  }
+
+  return vaultItem.userId.equals(userId) ? vaultItem : null;
+};
+
+const passwordHealthValidators = [
+  body('passwordFingerprint').optional({ values: 'null' }).matches(FINGERPRINT_PATTERN),
+  body('passwordStrength').optional({ values: 'null' }).isInt({ min: 0, max: MAX_STRENGTH }).toInt(),
+  body('passwordBreached').optional({ values: 'null' }).isBoolean({ strict: true })
+];
+
+const rotationValidators = [
+  body('rotateEvery').optional({ values: 'null' }).isInt({ min: 1, max: MAX_ROTATE_EVERY_DAYS }).toInt(),
+  body('expiresAt').optional({ values: 'null' }).isISO8601()
+];
+
+// Edits that leave the password alone keep the rotation deadline.
+// Clients send passwordChanged, a new fingerprint from the owner counts as well.
+const passwordChangeValidators = [
+  body('passwordChanged').optional().isBoolean({ strict: true })
+];
+
+// Most items a single manual order request can place
+const MAX_ORDERED_ITEMS = 1000;
+
+const tagsValidator = (value) => {
+  const tagError = validateTags(value);
+  if (tagError) throw new Error(tagError);
+  return true;
+};
+
+const searchTokensValidator = (value) => {
+  const tokenError = validateSearchTokens(value);
+  if (tokenError) throw new Error(tokenError);
+  return true;
+};
+
+const vaultQueryValidator = (value) => {
+  const { errors } = parseVaultQuery(value);
+  if (errors) throw new Error(errors.join('; '));
+  return true;
+};
+
+// Get the supported item types and their schemas
+router.get('/types', auth, (req, res) => {
+  res.json({
+    success: true,
+    types: describeItemTypes()
+  });
+});
+
+// Every item route needs an unlocked vault.
+// Attachments are mounted on their own router, which checks it itself.
+router.use('/items', auth, requireUnlock);
+
+// Get vault items, one page at a time
+router.get('/items', [
+  auth,
+  ...listQueryValidators,
+  query('type').optional().isIn(ITEM_TYPE_NAMES),
+  query('folderId').optional().custom(value => value === 'none' || /^[a-f\d]{24}$/i.test(value)),
+  query('organizationId').optional().isMongoId(),
+  query('collectionId').optional().isMongoId(),
+  query('favorite').optional().isIn(['true', 'false']),
+  query('pinned').optional().isIn(['true', 'false'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Personal vault by default, an organization's vault with organizationId
+    const scope = await resolveVaultScope(req.userId, req.query.organizationId);
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const filter = { ...scope.filter, deletedAt: null };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+    if (req.query.collectionId) {
+      filter.collectionId = req.query.collectionId;
+    }
+    if (req.query.folderId) {
+      // folderId=none lists the items that are not in any folder
+      filter.folderId = req.query.folderId === 'none' ? null : req.query.folderId;
+    }
+    // Clients list pinned=true above the rest
+    if (req.query.favorite) {
+      filter.favorite = req.query.favorite === 'true';
+    }
+    if (req.query.pinned) {
+      filter.pinned = req.query.pinned === 'true';
+    }
+
+    const page = await paginate(VaultItem, filter, req.query);
+    
+    res.json({
+      success: true,
+      ...page
+    });
+  } catch (error) {
+    console.error('Get items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vault items'
+    });
+  }
+});
+
+// Create vault item
+router.post('/items', [
+  auth,
+  body('type').optional().isIn(ITEM_TYPE_NAMES),
+  body('folderId').optional({ values: 'null' }).isMongoId(),
+  body('title').notEmpty(),
+  body('encryptedData').notEmpty(),
+  body('iv').notEmpty(),
+  body('tags').optional().custom(tagsValidator),
+  body('searchTokens').optional().custom(searchTokensValidator),
+  body('titleSortKey').optional({ values: 'null' }).isString().isLength({ max: 256 }),
+  body('encryptedItemKey').optional({ values: 'null' }).isString(),
+  body('organizationId').optional({ values: 'null' }).isMongoId(),
+  body('collectionId').optional({ values: 'null' }).isMongoId(),
+  ...passwordHealthValidators,
+  ...rotationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed' 
+      });
+    }
+
+    const { title, encryptedData, iv, tags, metadata, searchTokens, encryptedItemKey } = req.body;
+    const type = req.body.type || DEFAULT_ITEM_TYPE;
+    const folderId = req.body.folderId || null;
+    const organizationId = req.body.organizationId || null;
+    const collectionId = req.body.collectionId || null;
+
+    // Organization items live in a collection instead of a personal folder
+    if (organizationId) {
+      const membership = await getMembership(organizationId, req.userId);
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+      if (!hasOrgRole(membership.role, 'member')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to add items to this organization'
+        });
+      }
+      if (folderId || !collectionId ||
+        !(await Collection.exists({ _id: collectionId, orgId: organizationId }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Organization items need a collection of the organization and no folder'
+        });
+      }
+    } else if (collectionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only organization items can be placed in a collection'
+      });
+    }
+
+    if (folderId && !(await Folder.exists({ _id: folderId, userId: req.userId }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const metadataErrors = validateItemMetadata(type, metadata);
+    if (metadataErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid metadata',
+        errors: metadataErrors
+      });
+    }
+
+    const vaultItem = new VaultItem({
+      userId: req.userId,
+      organizationId,
+      collectionId,
+      folderId,
+      type,
+      title,
+      metadata: metadata || {},
+      encryptedData,
+      iv,
+      encryptedItemKey: encryptedItemKey || null,
+      tags: tags || [],
+      searchTokens: searchTokens || [],
+      titleSortKey: req.body.titleSortKey || null,
+      passwordFingerprint: req.body.passwordFingerprint || null,
+      passwordStrength: req.body.passwordStrength ?? null,
+      passwordBreached: req.body.passwordBreached ?? null,
+      rotateEvery: req.body.rotateEvery ?? null,
+      expiresAt: req.body.expiresAt || null,
+      rotatedAt: new Date()
+    });
+
+    await saveWithRevision(vaultItem);
+
+    res.set('ETag', itemETag(vaultItem));
+    res.status(201).json({
+      success: true,
+      message: 'Item saved successfully',
+      item: vaultItem
+    });
+
+  } catch (error) {
+    console.error('Create item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save item'
+    });
+  }
+});
+
+// Get a single vault item, owned by me or shared with me
+router.get('/items/:id', [
+  auth,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessibleItem(req.params.id, req.userId);
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    res.set('ETag', itemETag(access.item));
+    res.json({
+      success: true,
+      item: access.item,
+      // Recipients decrypt the item with this key instead of encryptedItemKey
+      share: access.share
+        ? { id: access.share._id, permission: access.share.permission, wrappedKey: access.share.wrappedKey }
+        : null
+    });
+
+  } catch (error) {
+    console.error('Get item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch item'
+    });
+  }
+});
+
+// Save the manual order: itemIds lists items in the order they should appear
+// with sort=sortOrder&order=asc. Items not in the list keep their position.
+// Organization members can order the organization's items with organizationId.
+router.put('/items/order', [
+  auth,
+  body('itemIds').isArray({ min: 1, max: MAX_ORDERED_ITEMS }),
+  body('itemIds.*').isMongoId(),
+  body('organizationId').optional({ values: 'null' }).isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.body.organizationId, 'member');
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const itemIds = [...new Set(req.body.itemIds)];
+    const found = await VaultItem.countDocuments({ ...scope.filter, _id: { $in: itemIds }, deletedAt: null });
+    if (found !== itemIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some items were not found'
+      });
+    }
+
+    // Ordering is not an edit of the item, so updatedAt and the version stay
+    const reorder = (revisionFields, session) => VaultItem.bulkWrite(itemIds.map((itemId, index) => ({
+      updateOne: {
+        filter: { _id: itemId },
+        update: { $set: { sortOrder: index + 1, ...revisionFields } },
+        timestamps: false
+      }
+    })), { session });
+    if (scope.membership) {
+      await reorder({}, null);
+    } else {
+      await withRevision(req.userId, (revision, session) => reorder({ revision }, session));
+    }
+
+    res.json({
+      success: true,
+      message: 'Order saved successfully'
+    });
+
+  } catch (error) {
+    console.error('Order items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save order'
+    });
+  }
+});
+
+// Update vault item.
+// Requires If-Match with the ETag the client last saw. When the item changed
+// since, the update is rejected with 409 and the server copy, or with
+// onConflict=copy the client's version is saved as a separate conflict copy.
+router.put('/items/:id', [
+  auth,
+  body('type').optional().isIn(ITEM_TYPE_NAMES),
+  body('folderId').optional({ values: 'null' }).isMongoId(),
+  body('title').notEmpty(),
+  body('encryptedData').notEmpty(),
+  body('iv').notEmpty(),
+  body('tags').optional().custom(tagsValidator),
+  body('searchTokens').optional().custom(searchTokensValidator),
+  body('titleSortKey').optional({ values: 'null' }).isString().isLength({ max: 256 }),
+  body('encryptedItemKey').optional({ values: 'null' }).isString(),
+  body('collectionId').optional().isMongoId(),
+  body('onConflict').optional().isIn(['reject', 'copy']),
+  ...passwordHealthValidators,
+  ...rotationValidators,
+  ...passwordChangeValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed' 
+      });
+    }
+
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch) {
+      return res.status(428).json({
+        success: false,
+        message: 'If-Match header with the item ETag is required'
+      });
+    }
+
+    const { title, encryptedData, iv, tags, metadata, searchTokens } = req.body;
+    const itemId = req.params.id;
+
+    // Owners, organization members and recipients of a write share can update the item
+    const access = await findAccessibleItem(itemId, req.userId, { write: true });
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const vaultItem = access.item;
+    const isOwner = !access.share;
+
+    // Rejects the update with the server copy, or with onConflict=copy keeps
+    // the client's version as a conflict copy next to it
+    const resolveConflict = async (serverItem) => {
+      if (req.body.onConflict !== 'copy') {
+        res.set('ETag', itemETag(serverItem));
+        return res.status(409).json({
+          success: false,
+          message: 'Item was changed since it was last fetched',
+          item: serverItem
+        });
+      }
+
+      const conflictCopy = new VaultItem({
+        userId: vaultItem.userId,
+        organizationId: vaultItem.organizationId,
+        collectionId: vaultItem.collectionId,
+        folderId: vaultItem.folderId,
+        type,
+        title,
+        metadata: metadata || {},
+        encryptedData,
+        iv,
+        encryptedItemKey: isOwner && req.body.encryptedItemKey !== undefined
+          ? req.body.encryptedItemKey || null
+          : vaultItem.encryptedItemKey,
+        tags: isOwner ? tags || [] : vaultItem.tags,
+        searchTokens: isOwner ? searchTokens || [] : vaultItem.searchTokens,
+        titleSortKey: isOwner ? req.body.titleSortKey || null : vaultItem.titleSortKey,
+        passwordFingerprint: isOwner ? req.body.passwordFingerprint || null : null,
+        passwordStrength: req.body.passwordStrength ?? null,
+        passwordBreached: req.body.passwordBreached ?? null,
+        rotateEvery: vaultItem.rotateEvery,
+        expiresAt: vaultItem.expiresAt,
+        rotatedAt: vaultItem.rotatedAt,
+        conflictOf: vaultItem._id
+      });
+      await saveWithRevision(conflictCopy);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Item was changed since it was last fetched, your version was saved as a conflict copy',
+        item: serverItem,
+        conflictCopy
+      });
+    };
+
+    const conflict = !matchesETag(ifMatch, vaultItem);
+    if (conflict && req.body.onConflict !== 'copy') {
+      return resolveConflict(vaultItem);
+    }
+    // Placement changes below are applied to the conflict copy, not the server copy
+    const serverItem = conflict ? vaultItem.toObject() : null;
+    // Kept as a revision once the update is saved
+    const previous = vaultItem.toObject();
+    // The save only goes through while the item still has the version that was matched,
+    // an update that landed in between is handled like any other conflict
+    vaultItem.$where = { version: vaultItem.version };
+
+    // Folder, tags, search tokens and the item key belong to the owner's vault
+    if (!isOwner && (req.body.folderId !== undefined || req.body.encryptedItemKey !== undefined)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can move or re-key a shared item'
+      });
+    }
+
+    if (vaultItem.organizationId && req.body.folderId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization items cannot be placed in personal folders'
+      });
+    }
+
+    if (req.body.collectionId !== undefined) {
+      if (!vaultItem.organizationId ||
+        !(await Collection.exists({ _id: req.body.collectionId, orgId: vaultItem.organizationId }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+      vaultItem.collectionId = req.body.collectionId;
+    }
+
+    const type = req.body.type || vaultItem.type;
+    const metadataErrors = validateItemMetadata(type, metadata);
+    if (metadataErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid metadata',
+        errors: metadataErrors
+      });
+    }
+
+    if (req.body.folderId !== undefined) {
+      const folderId = req.body.folderId || null;
+      if (folderId && !(await Folder.exists({ _id: folderId, userId: req.userId }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Folder not found'
+        });
+      }
+      vaultItem.folderId = folderId;
+    }
+
+    if (conflict) {
+      return resolveConflict(serverItem);
+    }
+
+    vaultItem.type = type;
+    vaultItem.title = title;
+    vaultItem.metadata = metadata || {};
+    vaultItem.encryptedData = encryptedData;
+    vaultItem.iv = iv;
+    vaultItem.passwordStrength = req.body.passwordStrength ?? null;
+    vaultItem.passwordBreached = req.body.passwordBreached ?? null;
+    // The rotation policy is left alone unless the client sends it
+    if (req.body.rotateEvery !== undefined) {
+      vaultItem.rotateEvery = req.body.rotateEvery;
+    }
+    if (req.body.expiresAt !== undefined) {
+      vaultItem.expiresAt = req.body.expiresAt || null;
+    }
+    // Fingerprints are keyed with the owner's key, so a recipient's edit leaves none
+    vaultItem.passwordFingerprint = isOwner ? req.body.passwordFingerprint || null : null;
+    if (req.body.passwordChanged === true || (vaultItem.passwordFingerprint &&
+      vaultItem.passwordFingerprint !== previous.passwordFingerprint)) {
+      vaultItem.rotatedAt = new Date();
+    }
+    if (isOwner) {
+      vaultItem.tags = tags || [];
+      // Tokens and the sort key describe the new title and tags, so they are replaced as well
+      vaultItem.searchTokens = searchTokens || [];
+      vaultItem.titleSortKey = req.body.titleSortKey || null;
+      if (req.body.encryptedItemKey !== undefined) {
+        vaultItem.encryptedItemKey = req.body.encryptedItemKey || null;
+      }
+    }
+
+    try {
+      await saveEditWithRevision(vaultItem, previous);
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.DocumentNotFoundError)) throw error;
+      const current = await VaultItem.findById(vaultItem._id);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Item not found'
+        });
+      }
+      return resolveConflict(current);
+    }
+
+    res.set('ETag', itemETag(vaultItem));
+    res.json({
+      success: true,
+      message: 'Item updated successfully',
+      item: vaultItem
+    });
+
+  } catch (error) {
+    console.error('Update item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update item'
+    });
+  }
+});
+
+// List previous revisions of a vault item, newest first
+router.get('/items/:id/revisions', [
+  auth,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Revisions may use earlier item keys, so they are not exposed through shares
+    const access = await findAccessibleItem(req.params.id, req.userId);
+    if (!access || access.share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const revisions = await ItemRevision.find({ itemId: access.item._id })
+      .sort({ createdAt: -1, _id: -1 });
+
+    res.json({
+      success: true,
+      revisions
+    });
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revisions'
+    });
+  }
+});
+
+// Restore a previous revision as the current version.
+// The version being replaced is kept as a new revision.
+router.post('/items/:id/revisions/:revisionId/restore', [
+  auth,
+  param('id').isMongoId(),
+  param('revisionId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessibleItem(req.params.id, req.userId, { write: true });
+    if (!access || access.share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const vaultItem = access.item;
+    const revision = await ItemRevision.findOne({
+      _id: req.params.revisionId,
+      itemId: vaultItem._id
+    });
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const previous = vaultItem.toObject();
+    vaultItem.type = revision.type;
+    vaultItem.title = revision.title;
+    vaultItem.metadata = revision.metadata || {};
+    vaultItem.encryptedData = revision.encryptedData;
+    vaultItem.iv = revision.iv;
+    vaultItem.tags = revision.tags || [];
+    vaultItem.searchTokens = revision.searchTokens || [];
+    vaultItem.titleSortKey = revision.titleSortKey || null;
+    vaultItem.encryptedItemKey = revision.encryptedItemKey || null;
+    vaultItem.passwordFingerprint = revision.passwordFingerprint ?? null;
+    vaultItem.passwordStrength = revision.passwordStrength ?? null;
+    vaultItem.passwordBreached = revision.passwordBreached ?? null;
+
+    await saveEditWithRevision(vaultItem, previous);
+
+    res.json({
+      success: true,
+      message: 'Revision restored successfully',
+      item: vaultItem
+    });
+
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore revision'
+    });
+  }
+});
+
+// Move vault item into a folder, or out of all folders with folderId null
+router.put('/items/:id/move', [
+  auth,
+  param('id').isMongoId(),
+  body('folderId').optional({ values: 'null' }).isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const folderId = req.body.folderId || null;
+    if (folderId && !(await Folder.exists({ _id: folderId, userId: req.userId }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const vaultItem = await withRevision(req.userId, (revision, session) => VaultItem.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId, organizationId: null, deletedAt: null },
+      { folderId, revision, $inc: { version: 1 } },
+      { new: true, session }
+    ));
+
+    if (!vaultItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Item moved successfully',
+      item: vaultItem
+    });
+
+  } catch (error) {
+    console.error('Move item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move item'
+    });
+  }
+});
+
+// Mark an item as favorite and/or pinned
+router.put('/items/:id/flags', [
+  auth,
+  param('id').isMongoId(),
+  body('favorite').optional().isBoolean({ strict: true }),
+  body('pinned').optional().isBoolean({ strict: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Flags belong to the owner's vault, share recipients cannot set them
+    const access = await findAccessibleItem(req.params.id, req.userId, { write: true });
+    if (!access || access.share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const flags = {};
+    for (const flag of ['favorite', 'pinned']) {
+      if (req.body[flag] !== undefined) flags[flag] = req.body[flag];
+    }
+
+    // Flags are not an edit of the item, so updatedAt and the version stay
+    const vaultItem = await writeWithRevision(access.item, (revisionFields, session) => VaultItem.findByIdAndUpdate(
+      access.item._id,
+      { $set: { ...flags, ...revisionFields } },
+      { new: true, timestamps: false, session }
+    ));
+
+    res.json({
+      success: true,
+      message: 'Item updated successfully',
+      item: vaultItem
+    });
+
+  } catch (error) {
+    console.error('Update item flags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update item'
+    });
+  }
+});
+
+// Record that an item was used (copied, autofilled, opened)
+router.post('/items/:id/used', [
+  auth,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const access = await findAccessibleItem(req.params.id, req.userId);
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    // Usage is not an edit of the item, so updatedAt and the version stay
+    const vaultItem = await writeWithRevision(access.item, (revisionFields, session) => VaultItem.findByIdAndUpdate(
+      access.item._id,
+      {
+        $set: { lastUsedAt: new Date(), ...revisionFields },
+        $inc: { useCount: 1 }
+      },
+      { new: true, timestamps: false, session }
+    ));
+
+    res.json({
+      success: true,
+      lastUsedAt: vaultItem.lastUsedAt,
+      useCount: vaultItem.useCount
+    });
+
+  } catch (error) {
+    console.error('Mark item used error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record item use'
+    });
+  }
+});
+
+// Delete vault item (moves it to the trash)
+router.delete('/items/:id', auth, async (req, res) => {
+  try {
+    const itemId = req.params.id;
+
+    // Owners and organization members can trash items, share recipients cannot
+    const access = await findAccessibleItem(itemId, req.userId, { write: true });
+
+    if (!access || access.share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    access.item.deletedAt = new Date();
+    await saveWithRevision(access.item);
+
+    res.json({
+      success: true,
+      message: 'Item moved to trash'
+    });
+
+  } catch (error) {
+    console.error('Delete item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete item'
+    });
+  }
+});
+
+// List items in the trash, most recently deleted first.
+// Organization admins can pass organizationId to see the organization's trash.
+router.get('/trash', [
+  auth,
+  requireUnlock,
+  query('organizationId').optional().isMongoId()
+], async (req, res) => {
   try {
-    const items = await VaultItem.find({ userId: req.userId })
-      .sort({ createdAt: -1 });
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.query.organizationId, 'admin');
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const items = await VaultItem.find({ ...scope.filter, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 });
+
     res.json({
       success: true,
       items
     });
   } catch (error) {
-    console.error('Get items error:', error);
+    console.error('Get trash error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch vault items'
+      message: 'Failed to fetch trash'
     });
   }
 });
 
-// Create vault item
-router.post('/items', [
+// Restore an item from the trash
+// Organization items whose collection is gone need a collectionId to be restored into.
+router.post('/trash/:id/restore', [
   auth,
-  body('title').notEmpty(),
-  body('encryptedData').notEmpty(),
-  body('iv').notEmpty()
+  requireUnlock,
+  param('id').isMongoId(),
+  body('collectionId').optional().isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Validation failed' 
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const { title, encryptedData, iv, tags } = req.body;
+    const vaultItem = await findTrashedItem(req.params.id, req.userId);
 
-    const vaultItem = new VaultItem({
-      userId: req.userId,
-      title,
-      encryptedData,
-      iv,
-      tags: tags || []
-    });
+    if (!vaultItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in trash'
+      });
+    }
 
-    await vaultItem.save();
+    // The folder may have been deleted while the item was in the trash
+    if (vaultItem.folderId && !(await Folder.exists({ _id: vaultItem.folderId, userId: req.userId }))) {
+      vaultItem.folderId = null;
+    }
+    if (vaultItem.organizationId) {
+      const collectionId = (req.body && req.body.collectionId) || vaultItem.collectionId;
+      if (!collectionId ||
+        !(await Collection.exists({ _id: collectionId, orgId: vaultItem.organizationId }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'The item\'s collection no longer exists, choose a collectionId of the organization to restore it into'
+        });
+      }
+      vaultItem.collectionId = collectionId;
+    }
+    vaultItem.deletedAt = null;
+    await saveWithRevision(vaultItem);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Item saved successfully',
+      message: 'Item restored successfully',
       item: vaultItem
     });
 
   } catch (error) {
-    console.error('Create item error:', error);
+    console.error('Restore item error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to save item'
+      message: 'Failed to restore item'
     });
   }
 });
 
-// Update vault item
-router.put('/items/:id', [
+// Empty the trash, or the organization's trash with organizationId
+router.delete('/trash', [
   auth,
-  body('title').notEmpty(),
-  body('encryptedData').notEmpty(),
-  body('iv').notEmpty()
+  requireUnlock,
+  query('organizationId').optional().isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Validation failed' 
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const { title, encryptedData, iv, tags } = req.body;
-    const itemId = req.params.id;
+    const scope = await resolveVaultScope(req.userId, req.query.organizationId, 'admin');
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const deletedCount = await purgeItems({ ...scope.filter, deletedAt: { $ne: null } });
 
-    const vaultItem = await VaultItem.findOne({ 
-      _id: itemId, 
-      userId: req.userId 
+    res.json({
+      success: true,
+      message: 'Trash emptied successfully',
+      deletedCount
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to empty trash'
     });
+  }
+});
+
+// Permanently delete a single item from the trash
+router.delete('/trash/:id', [
+  auth,
+  requireUnlock,
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vaultItem = await findTrashedItem(req.params.id, req.userId);
 
     if (!vaultItem) {
       return res.status(404).json({
         success: false,
-        message: 'Item not found'
+        message: 'Item not found in trash'
       });
     }
 
-    vaultItem.title = title;
-    vaultItem.encryptedData = encryptedData;
-    vaultItem.iv = iv;
-    vaultItem.tags = tags || [];
-
-    await vaultItem.save();
+    await purgeItems({ _id: vaultItem._id });
 
     res.json({
       success: true,
-      message: 'Item updated successfully',
-      item: vaultItem
+      message: 'Item permanently deleted'
     });
 
   } catch (error) {
-    console.error('Update item error:', error);
+    console.error('Permanent delete error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update item'
+      message: 'Failed to delete item'
     });
   }
 });
 
-// Delete vault item
-router.delete('/items/:id', auth, async (req, res) => {
+// Search vault items by blind index tokens (see utils/blindIndex.js) and/or
+// a structured query over unencrypted fields (see utils/vaultQuery.js).
+// tokens is a comma-separated list, items must carry every token to match.
+router.get('/search', [
+  auth,
+  requireUnlock,
+  ...listQueryValidators,
+  query('tokens').optional().isString().custom(value => {
+    const tokens = value.split(',').filter(Boolean);
+    const tokenError = validateSearchTokens(tokens, MAX_QUERY_TOKENS);
+    if (tokenError) throw new Error(tokenError);
+    return true;
+  }),
+  query('q').optional().custom(vaultQueryValidator),
+  query('query').not().exists()
+    .withMessage('Plaintext search is not supported, send blind index tokens instead'),
+  query('organizationId').optional().isMongoId()
+], async (req, res) => {
   try {
-    const itemId = req.params.id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.query.organizationId);
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const filter = { ...scope.filter, deletedAt: null };
 
-    const vaultItem = await VaultItem.findOneAndDelete({ 
-      _id: itemId, 
-      userId: req.userId 
+    const tokens = (req.query.tokens || '').split(',').filter(Boolean);
+    if (tokens.length > 0) {
+      filter.searchTokens = { $all: tokens };
+    }
+
+    if (req.query.q) {
+      Object.assign(filter, parseVaultQuery(req.query.q).filter);
+    }
+
+    const page = await paginate(VaultItem, filter, req.query);
+
+    res.json({
+      success: true,
+      ...page
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed'
     });
+  }
+});
 
-    if (!vaultItem) {
+// Changes to the personal vault since the revision a client last saw:
+// items created, updated or trashed after it, and ids of items deleted for good.
+// since=0 (or a revision the server has never reached) returns the whole vault.
+router.get('/sync', [
+  auth,
+  requireUnlock,
+  query('since').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Revisions commit together with the items stamped with them (see withRevision),
+    // so every change up to the revision read here is already visible
+    const user = await User.findById(req.userId).select('vaultRevision');
+    if (!user) {
       return res.status(404).json({
         success: false,
-        message: 'Item not found'
+        message: 'User not found'
       });
     }
 
+    const since = parseInt(req.query.since, 10) || 0;
+    // A client ahead of the server (e.g. after a database restore) has to start over
+    const fullSync = since === 0 || since > user.vaultRevision;
+
+    const filter = { userId: req.userId, organizationId: null };
+    if (!fullSync) {
+      filter.revision = { $gt: since };
+    }
+
+    const [items, tombstones] = await Promise.all([
+      VaultItem.find(filter).sort({ revision: 1, _id: 1 }),
+      fullSync
+        ? []
+        : ItemTombstone.find({ userId: req.userId, revision: { $gt: since } }).select('itemId')
+    ]);
+
     res.json({
       success: true,
-      message: 'Item deleted successfully'
+      revision: user.vaultRevision,
+      fullSync,
+      items,
+      deleted: tombstones.map(tombstone => tombstone.itemId)
+    });
+  } catch (error) {
+    console.error('Sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync vault'
     });
+  }
+});
+
+// Password health report: groups of items sharing a password, weak passwords,
+// passwords found in breaches and passwords not changed in maxAgeDays (going by updatedAt).
+// Organization members can pass organizationId for the organization's items.
+router.get('/health', [
+  auth,
+  requireUnlock,
+  query('organizationId').optional().isMongoId(),
+  query('maxAgeDays').optional().isInt({ min: 1, max: 3650 }),
+  query('weakStrength').optional().isInt({ min: 0, max: MAX_STRENGTH })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scope = await resolveVaultScope(req.userId, req.query.organizationId);
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
+    const maxAgeDays = parseInt(req.query.maxAgeDays, 10) || HEALTH_MAX_AGE_DAYS;
+    const weakStrength = req.query.weakStrength !== undefined
+      ? parseInt(req.query.weakStrength, 10)
+      : HEALTH_WEAK_STRENGTH;
+
+    const items = await VaultItem.find({ ...scope.filter, deletedAt: null })
+      .select('type title folderId passwordFingerprint passwordStrength passwordBreached updatedAt');
+
+    // Tells clients whether breach lookups can find anything on this server
+    const breachCorpusLoaded = Boolean(await BreachedPassword.exists({}));
 
+    res.json({
+      success: true,
+      maxAgeDays,
+      weakStrength,
+      breachCorpusLoaded,
+      ...buildHealthReport(items, { maxAgeDays, weakStrength })
+    });
   } catch (error) {
-    console.error('Delete item error:', error);
+    console.error('Health report error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete item'
+      message: 'Failed to build health report'
     });
   }
 });
 
-// Search vault items
-// Search vault items - Fix the typo in your backend route
-router.get('/search', auth, async (req, res) => {
+// Items past their rotation deadline (see utils/rotation.js), longest overdue first.
+// Organization members can pass organizationId for the organization's items.
+router.get('/overdue', [
+  auth,
+  requireUnlock,
+  query('organizationId').optional().isMongoId()
+], async (req, res) => {
   try {
-    const { query } = req.query;
-    
-    if (!query || query.trim() === '') {
-      const items = await VaultItem.find({ userId: req.userId })
-        .sort({ createdAt: -1 });
-      return res.json({
-        success: true,
-        items
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
-    
+
+    const scope = await resolveVaultScope(req.userId, req.query.organizationId);
+    if (!scope.filter) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.message
+      });
+    }
+
     const items = await VaultItem.find({
-      userId: req.userId,
-      $or: [
-        { title: { $regex: query, $options: 'i' } },
-        { tags: { $in: [new RegExp(query, 'i')] } }
-      ]
-    }).sort({ createdAt: -1 });
+      ...scope.filter,
+      deletedAt: null,
+      rotationDueAt: { $lte: new Date() }
+    }).sort({ rotationDueAt: 1 });
 
     res.json({
       success: true,
       items
     });
   } catch (error) {
-    console.error('Search error:', error);
+    console.error('Get overdue items error:', error);
     res.status(500).json({
       success: false,
-      message: 'Search failed'
+      message: 'Failed to fetch overdue items'
+    });
+  }
+});
+
+// Attachment storage used by my items and my quota, in bytes
+router.get('/storage', auth, requireUnlock, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('storageUsed storageQuota');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      used: user.storageUsed,
+      quota: storageQuota(user)
+    });
+  } catch (error) {
+    console.error('Get storage usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch storage usage'
     });
   }
 });
@@ -225,9 +1368,15 @@ router.post('/verify-master-key', auth, async (req, res) => {
       });
     }
 
+    // The unlock token goes with the X-Unlock-Token header on /items routes
+    const unlock = await issueUnlockSession(user, req.cookies.token);
+
     res.json({
       success: true,
-      message: 'Master key verified successfully'
+      message: 'Master key verified successfully',
+      unlockToken: unlock.token,
+      idleExpiresAt: unlock.idleExpiresAt,
+      expiresAt: unlock.expiresAt
     });
 
   } catch (error) {
@@ -240,4 +1389,93 @@ router.post('/verify-master-key', auth, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// Change the master key. The client re-encrypts every personal item (trash
+// included) with the new key and sends them all; the new hash and every item
+// are swapped in one transaction, and nothing changes if any item is missing.
+router.post('/change-master-key', [
+  auth,
+  requireUnlock,
+  body('currentMasterKey').isString().notEmpty(),
+  body('newMasterKey').isString().notEmpty(),
+  body('items').isArray(),
+  body('encryptedPrivateKey').optional().isString().notEmpty(),
+  body('privateKeyIv').optional().isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentMasterKey, newMasterKey, items, encryptedPrivateKey, privateKeyIv } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isMasterKeyValid = await bcrypt.compare(currentMasterKey, user.masterKey);
+    if (!isMasterKeyValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid master key'
+      });
+    }
+
+    // The sharing private key is wrapped with the user's key as well
+    if (user.encryptedPrivateKey && !(encryptedPrivateKey && privateKeyIv)) {
+      return res.status(400).json({
+        success: false,
+        message: 'encryptedPrivateKey and privateKeyIv re-wrapped with the new key are required'
+      });
+    }
+
+    const rowErrors = items
+      .map((row, index) => ({ row: index, errors: validateReencryptedItem(row) }))
+      .filter(result => result.errors.length > 0);
+
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Master key change failed validation, nothing was changed',
+        errors: rowErrors
+      });
+    }
+
+    const result = await rekeyVault(user, items, {
+      masterKeyHash: await bcrypt.hash(newMasterKey, 12),
+      encryptedPrivateKey,
+      privateKeyIv
+    });
+
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'The batch does not match your vault, nothing was changed',
+        errors: result.errors
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Master key changed successfully',
+      itemsUpdated: result.itemsUpdated
+    });
+
+  } catch (error) {
+    console.error('Change master key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change master key, nothing was changed'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,29 @@
+// Load a breach corpus into the database for the offline breach check.
+//
+//   npm run import-breaches -- <file or directory>
+//
+// Accepts a file of full SHA-1 hashes (HASH:COUNT per line, the format of the
+// Have I Been Pwned "pwned-passwords-sha1-ordered-by-hash" download) or a
+// directory of range files named after their prefix (ABCDE.txt with
+// SUFFIX:COUNT lines, as written by the PwnedPasswordsDownloader tool).
+
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import { importBreachCorpus } from '../utils/breachCorpus.js';
+
+const source = process.argv[2];
+if (!source) {
+  console.error('Usage: npm run import-breaches -- <file or directory>');
+  process.exit(1);
+}
+
+try {
+  await connectDB();
+  const totals = await importBreachCorpus(source);
+  console.log(`Imported ${totals.imported} hashes from ${totals.files} file(s), skipped ${totals.skipped} invalid line(s)`);
+} catch (error) {
+  console.error('Breach corpus import error:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
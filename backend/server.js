@@ -2,8 +2,26 @@ import express from 'express'
 import cors from 'cors'
 import cookieParser from 'cookie-parser'
 import dotenv from 'dotenv'
+import connectDB from './config/db.js';
 import authRoutes from './routes/auth.js';
+import srpRoutes from './routes/srp.js';
 import vaultRoutes from './routes/vault.js';
+import folderRoutes from './routes/folders.js';
+import importRoutes from './routes/import.js';
+import backupRoutes from './routes/backup.js';
+import shareRoutes from './routes/shares.js';
+import organizationRoutes from './routes/organizations.js';
+import emergencyAccessRoutes from './routes/emergencyAccess.js';
+import attachmentRoutes from './routes/attachments.js';
+import breachRoutes from './routes/breaches.js';
+import generatorRoutes from './routes/generator.js';
+import tagRoutes from './routes/tags.js';
+import savedSearchRoutes from './routes/savedSearches.js';
+import unlockRoutes from './routes/unlock.js';
+import { BULK_BODY_LIMIT } from './config/vault.js';
+import { startTrashPurgeJob } from './jobs/purgeTrash.js';
+import { startEmergencyAccessJob } from './jobs/emergencyAccess.js';
+import { startRotationReminderJob } from './jobs/rotationReminders.js';
 dotenv.config()
 
 const app = express()
@@ -22,17 +40,36 @@ const corsOptions = {
     origin:allowedOrigins,
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
     credentials:true,
-     allowedHeaders: ['Content-Type', 'Authorization', 'Cookie']
+     allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'If-Match', 'X-Unlock-Token'],
+     exposedHeaders: ['ETag']
 }
 app.use(cors(corsOptions))
+// Bulk endpoints get a larger body limit than the rest of the API
+app.use(['/api/vault/import', '/api/vault/restore', '/api/vault/change-master-key', '/api/auth/kdf', '/api/emergency-access/:id/takeover'], express.json({ limit: BULK_BODY_LIMIT }))
 app.use(express.json())
 app.use(cookieParser())
 
 
+app.use('/api/auth/srp', srpRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/orgs', organizationRoutes);
+app.use('/api/emergency-access', emergencyAccessRoutes);
+app.use('/api/breaches', breachRoutes);
+app.use('/api/vault/folders', folderRoutes);
+app.use('/api/vault/import', importRoutes);
+app.use('/api/vault/shares', shareRoutes);
+app.use('/api/vault/tags', tagRoutes);
+app.use('/api/vault/saved-searches', savedSearchRoutes);
+app.use('/api/vault/items/:id/attachments', attachmentRoutes);
+app.use('/api/vault', backupRoutes);
+app.use('/api/vault', generatorRoutes);
+app.use('/api/vault', unlockRoutes);
 app.use('/api/vault', vaultRoutes);
 
 connectDB().then(()=>{
+startTrashPurgeJob()
+startEmergencyAccessJob()
+startRotationReminderJob()
 app.listen(PORT,()=>{
     console.log(`http://localhost:${PORT}`)
 })
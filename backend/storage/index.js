@@ -0,0 +1,29 @@
+// Storage for attachment blobs. Every backend exposes the same interface:
+//   put(key, buffer), get(key) -> Buffer, remove(key)
+// Blobs are encrypted on the client, backends never see plaintext.
+// Pick one with ATTACHMENT_STORAGE, 'local' is the default.
+
+import { createLocalStorage } from './local.js';
+import { ATTACHMENT_STORAGE, ATTACHMENT_STORAGE_DIR } from '../config/vault.js';
+
+const backends = {
+  local: () => createLocalStorage(ATTACHMENT_STORAGE_DIR)
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const createBackend = backends[ATTACHMENT_STORAGE];
+    if (!createBackend) {
+      throw new Error(`Unsupported attachment storage: ${ATTACHMENT_STORAGE}`);
+    }
+    storage = createBackend();
+  }
+  return storage;
+};
+
+export {
+  backends,
+  getStorage
+};
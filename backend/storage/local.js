@@ -0,0 +1,34 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Keeps blobs as files below rootDir, one file per storage key
+const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  return {
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+    },
+
+    async get(key) {
+      return fs.readFile(filePath(key));
+    },
+
+    // Removing a missing blob is not an error
+    async remove(key) {
+      await fs.rm(filePath(key), { force: true });
+    }
+  };
+};
+
+export { createLocalStorage };
@@ -0,0 +1,162 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import VaultItem from '../models/VaultItem.js';
+import attachmentRoutes from '../routes/attachments.js';
+import { reserveStorage, removeAttachments } from '../utils/attachments.js';
+import { getStorage } from '../storage/index.js';
+import { createLocalStorage } from '../storage/local.js';
+import { STORAGE_QUOTA_BYTES } from '../config/vault.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+// A user with storageUsed bytes taken, updateOne applies the reservation
+// filter the way the database would
+const stubStorageUser = (storageUsed, fields = {}) => {
+  const user = { _id: userId, sessionVersion: 0, storageUsed, ...fields };
+  stubUsers(mock, [user]);
+  mock.method(User, 'findByIdAndUpdate', () => ({ select: async () => ({ vaultRevision: 1 }) }));
+  const updateOne = mock.method(User, 'updateOne', async (filter, update) => {
+    const limit = filter.$or ? filter.$or[0].storageUsed.$lte : Infinity;
+    if (user.storageUsed > limit) return { modifiedCount: 0 };
+    user.storageUsed += update.$inc.storageUsed;
+    return { modifiedCount: 1 };
+  });
+  return { user, updateOne };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('storage is reserved up to the quota and not past it', async () => {
+  const { user } = stubStorageUser(STORAGE_QUOTA_BYTES - 100);
+
+  assert.equal(await reserveStorage(userId, 100), true);
+  assert.equal(user.storageUsed, STORAGE_QUOTA_BYTES);
+  assert.equal(await reserveStorage(userId, 1), false);
+  assert.equal(user.storageUsed, STORAGE_QUOTA_BYTES);
+});
+
+test('a reservation larger than the quota never reaches the database', async () => {
+  const { updateOne } = stubStorageUser(0, { storageQuota: 10 });
+
+  assert.equal(await reserveStorage(userId, 11), false);
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test('a reservation that loses the race to another upload reserves nothing', async () => {
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  mock.method(User, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+  assert.equal(await reserveStorage(userId, 100), false);
+});
+
+test('purged attachments give their space back even when a blob cannot be removed', async () => {
+  const { user } = stubStorageUser(300);
+  const storage = getStorage();
+  const remove = mock.method(storage, 'remove', async (key) => {
+    if (key === 'broken') throw new Error('disk error');
+  });
+  mock.method(console, 'error', () => {});
+
+  await removeAttachments([
+    { userId, attachments: [{ storageKey: 'a', size: 100 }, { storageKey: 'broken', size: 50 }] },
+    { userId, attachments: [] }
+  ]);
+  assert.equal(remove.mock.callCount(), 2);
+  assert.equal(user.storageUsed, 150);
+});
+
+// POST /items/:id/attachments
+
+const upload = async (item) => {
+  mock.method(VaultItem, 'findOne', async () => item);
+  mock.method(mongoose.connection, 'transaction', async (fn) => fn(null));
+  const unlockHeaders = stubUnlocked(mock);
+
+  const form = new FormData();
+  form.append('fileName', 'encrypted name');
+  form.append('file', new Blob([Buffer.alloc(100)]), 'blob');
+
+  const app = await startApp([['/api/vault/items/:id/attachments', attachmentRoutes]]);
+  try {
+    const res = await fetch(`${app.url}/api/vault/items/${item._id}/attachments`, {
+      method: 'POST',
+      headers: { Cookie: sessionCookie(String(userId)), ...unlockHeaders },
+      body: form
+    });
+    return res.status;
+  } finally {
+    await app.close();
+  }
+};
+
+const ownItem = () => new VaultItem({ userId, title: 'title', encryptedData: 'data', iv: 'iv' });
+
+test('an upload is stored and counted against the quota', async () => {
+  const { user } = stubStorageUser(0);
+  const put = mock.method(getStorage(), 'put', async () => {});
+  mock.method(VaultItem.prototype, 'save', async function () { return this; });
+
+  const item = ownItem();
+  assert.equal(await upload(item), 201);
+  assert.equal(put.mock.calls[0].arguments[0], `${userId}/${item.attachments[0]._id}`);
+  assert.equal(user.storageUsed, 100);
+});
+
+test('an upload over the quota is refused before anything is stored', async () => {
+  const { user } = stubStorageUser(STORAGE_QUOTA_BYTES - 99);
+  const put = mock.method(getStorage(), 'put', async () => {});
+
+  assert.equal(await upload(ownItem()), 413);
+  assert.equal(put.mock.callCount(), 0);
+  assert.equal(user.storageUsed, STORAGE_QUOTA_BYTES - 99);
+});
+
+test('a failed upload gives the reservation back and removes the blob', async () => {
+  const attempt = async (failPut) => {
+    const { user } = stubStorageUser(0);
+    const storage = getStorage();
+    mock.method(storage, 'put', async () => {
+      if (failPut) throw new Error('disk full');
+    });
+    const remove = mock.method(storage, 'remove', async () => {});
+    mock.method(VaultItem.prototype, 'save', async () => {
+      throw new Error('save failed');
+    });
+    mock.method(console, 'error', () => {});
+
+    const status = await upload(ownItem());
+    mock.restoreAll();
+    return { status, storageUsed: user.storageUsed, removed: remove.mock.callCount() };
+  };
+
+  assert.deepEqual(await attempt(true), { status: 500, storageUsed: 0, removed: 1 });
+  assert.deepEqual(await attempt(false), { status: 500, storageUsed: 0, removed: 1 });
+});
+
+test('local storage keys cannot leave the storage directory', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+  try {
+    const storage = createLocalStorage(root);
+    await storage.put('user/blob', Buffer.from('encrypted'));
+    assert.equal(String(await storage.get('user/blob')), 'encrypted');
+
+    for (const key of ['../outside', 'user/../../outside', path.join(root, '..', 'outside'), '', '.']) {
+      await assert.rejects(storage.put(key, Buffer.from('x')), /Invalid storage key/);
+      await assert.rejects(storage.get(key), /Invalid storage key/);
+      await assert.rejects(storage.remove(key), /Invalid storage key/);
+    }
+    await assert.rejects(fs.access(path.join(root, '..', 'outside')));
+
+    await storage.remove('user/blob');
+    await storage.remove('user/blob');
+    await assert.rejects(storage.get('user/blob'), { code: 'ENOENT' });
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateSearchTokens,
+  validateTags,
+  computeSearchTokens,
+  computeQueryTokens,
+  computeTagToken
+} from '../utils/blindIndex.js';
+
+const key = new Uint8Array(32).fill(7);
+
+test('item tokens are valid and match whole-word and prefix queries', async () => {
+  const tokens = await computeSearchTokens(key, ['GitHub Work']);
+  assert.equal(validateSearchTokens(tokens), null);
+
+  const exact = await computeQueryTokens(key, 'github', { exact: true });
+  const prefix = await computeQueryTokens(key, 'wor');
+  assert.ok(exact.every(token => tokens.includes(token)));
+  assert.ok(prefix.every(token => tokens.includes(token)));
+
+  const other = await computeQueryTokens(key, 'gitlab', { exact: true });
+  assert.ok(!tokens.includes(other[0]));
+});
+
+test('tokens depend on the key', async () => {
+  const [a] = await computeQueryTokens(key, 'github', { exact: true });
+  const [b] = await computeQueryTokens(new Uint8Array(32).fill(8), 'github', { exact: true });
+  assert.notEqual(a, b);
+});
+
+test('malformed tokens are rejected', () => {
+  assert.match(validateSearchTokens('abc'), /array/);
+  assert.match(validateSearchTokens(['short']), /base64url/);
+  assert.match(validateSearchTokens(['a'.repeat(16), 'b'.repeat(16)], 1), /more than 1/);
+});
+
+test('tags differing only in case or spacing share a token', async () => {
+  const token = await computeTagToken(key, 'Two  Words');
+  assert.equal(await computeTagToken(key, ' two words'), token);
+  assert.notEqual(await computeTagToken(key, 'two'), token);
+  assert.equal(validateTags([{ token, name: 'encrypted name' }]), null);
+});
+
+test('malformed tags are rejected', () => {
+  const token = 'a'.repeat(22);
+  assert.match(validateTags('work'), /array/);
+  assert.match(validateTags(['work']), /object/);
+  assert.match(validateTags([{ token: 'work', name: 'x' }]), /token/);
+  assert.match(validateTags([{ token, name: '' }]), /name/);
+  assert.match(validateTags([{ token, name: 'x' }, { token, name: 'y' }]), /twice/);
+});
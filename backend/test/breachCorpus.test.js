@@ -0,0 +1,131 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import BreachedPassword from '../models/BreachedPassword.js';
+import breachRoutes from '../routes/breaches.js';
+import { parseBreachLine, importBreachCorpus } from '../utils/breachCorpus.js';
+import { startApp, sessionCookie, stubUsers } from './helpers.js';
+
+// SHA-1 of "password"
+const HASH = '5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8';
+const PREFIX = HASH.slice(0, 5);
+const SUFFIX = HASH.slice(5);
+
+// Collect what an import would write, one entry per upsert
+const stubBulkWrite = () => {
+  const batches = [];
+  mock.method(BreachedPassword, 'bulkWrite', async (operations, options) => {
+    assert.equal(options.ordered, false);
+    batches.push(operations.map(({ updateOne }) => {
+      assert.equal(updateOne.upsert, true);
+      return { ...updateOne.filter, count: updateOne.update.$set.count };
+    }));
+  });
+  return batches;
+};
+
+const withCorpus = async (files, run) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'breaches-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, name), content);
+    }
+    return await run(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a full hash line is split into prefix and suffix', () => {
+  assert.deepEqual(parseBreachLine(`${HASH}:3730471`), { prefix: PREFIX, suffix: SUFFIX, count: 3730471 });
+  assert.deepEqual(parseBreachLine(`  ${HASH.toLowerCase()}\r`), { prefix: PREFIX, suffix: SUFFIX, count: 1 });
+});
+
+test('a range file line takes its prefix from the file', () => {
+  assert.deepEqual(parseBreachLine(`${SUFFIX}:12`, 'a1b2c'), { prefix: 'A1B2C', suffix: SUFFIX, count: 12 });
+  // Full hashes do not belong in a range file
+  assert.equal(parseBreachLine(HASH, PREFIX), null);
+});
+
+test('lines that are not hashes are refused', () => {
+  assert.equal(parseBreachLine('password'), null);
+  assert.equal(parseBreachLine(SUFFIX), null);
+  assert.equal(parseBreachLine(`${HASH}:`), null);
+  assert.equal(parseBreachLine(`${HASH}:-1`), null);
+  assert.equal(parseBreachLine(`${HASH.slice(0, 39)}G`), null);
+  assert.equal(parseBreachLine(`${HASH}0`), null);
+});
+
+test('a corpus file is imported in batches and bad lines are counted', async () => {
+  const batches = stubBulkWrite();
+  const lines = [
+    `${HASH}:5`,
+    '',
+    'not a hash',
+    '0000000000000000000000000000000000000001:1',
+    '0000000000000000000000000000000000000002:2'
+  ];
+
+  const totals = await withCorpus({ 'pwned.txt': lines.join('\r\n') }, (dir) =>
+    importBreachCorpus(path.join(dir, 'pwned.txt'), { batchSize: 2 }));
+
+  assert.deepEqual(totals, { files: 1, imported: 3, skipped: 1 });
+  assert.deepEqual(batches.map(batch => batch.length), [2, 1]);
+  assert.deepEqual(batches[0][0], { prefix: PREFIX, suffix: SUFFIX, count: 5 });
+});
+
+test('a directory of range files is imported file by file', async () => {
+  const batches = stubBulkWrite();
+
+  const totals = await withCorpus({
+    '0000A.txt': `${SUFFIX}:1\n`,
+    'fffff': `${SUFFIX}:2\n${HASH}:3\n`
+  }, (dir) => importBreachCorpus(dir));
+
+  assert.deepEqual(totals, { files: 2, imported: 2, skipped: 1 });
+  assert.deepEqual(batches.flat(), [
+    { prefix: '0000A', suffix: SUFFIX, count: 1 },
+    { prefix: 'FFFFF', suffix: SUFFIX, count: 2 }
+  ]);
+});
+
+// GET /range/:prefix
+
+test('a range lookup only accepts a five character hex prefix', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  const find = mock.method(BreachedPassword, 'find', (filter) => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      lean: async () => (filter.prefix === PREFIX ? [{ suffix: SUFFIX, count: 5 }] : [])
+    };
+    return query;
+  });
+
+  const app = await startApp([['/api/breaches', breachRoutes]]);
+  const lookup = async (prefix) => {
+    const res = await fetch(`${app.url}/api/breaches/range/${prefix}`, {
+      headers: { Cookie: sessionCookie(String(userId)) }
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  try {
+    const { status, body } = await lookup(PREFIX.toLowerCase());
+    assert.equal(status, 200);
+    assert.equal(body.prefix, PREFIX);
+    assert.deepEqual(body.suffixes, [{ suffix: SUFFIX, count: 5 }]);
+
+    for (const prefix of ['5BAA', '5BAA61', '5BAAG']) {
+      assert.equal((await lookup(prefix)).status, 400);
+    }
+    assert.equal(find.mock.callCount(), 1);
+  } finally {
+    await app.close();
+  }
+});
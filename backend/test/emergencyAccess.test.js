@@ -0,0 +1,155 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import EmergencyAccess from '../models/EmergencyAccess.js';
+import User from '../models/user.js';
+import VaultItem from '../models/VaultItem.js';
+import ItemRevision from '../models/ItemRevision.js';
+import UnlockSession from '../models/UnlockSession.js';
+import emergencyAccessRoutes from '../routes/emergencyAccess.js';
+import { rekeyVault } from '../utils/masterKeyChange.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const grantorId = new mongoose.Types.ObjectId();
+const granteeId = new mongoose.Types.ObjectId();
+
+const request = async (method, path, userId, body, headers = {}) => {
+  const app = await startApp([['/api/emergency-access', emergencyAccessRoutes]]);
+  try {
+    return await fetch(`${app.url}/api/emergency-access${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie(String(userId)), ...headers },
+      body: body && JSON.stringify(body)
+    });
+  } finally {
+    await app.close();
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+test('removing a trusted contact keeps the record and records the step', async () => {
+  stubUsers(mock, [{ _id: grantorId, sessionVersion: 0 }]);
+  const access = new EmergencyAccess({
+    grantorId,
+    granteeId,
+    email: 'contact@example.com',
+    accessType: 'view',
+    waitTimeDays: 7,
+    status: 'confirmed',
+    keyEncrypted: 'wrapped'
+  });
+  mock.method(EmergencyAccess, 'findOne', async () => access);
+  const save = mock.method(access, 'save', async () => access);
+
+  const res = await request('DELETE', `/${access._id}`, grantorId);
+
+  assert.equal(res.status, 200);
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(access.status, 'revoked');
+  assert.equal(access.keyEncrypted, null);
+  assert.equal(access.events.at(-1).action, 'removed');
+  assert.equal(String(access.events.at(-1).actorId), String(grantorId));
+});
+
+test('a takeover needs the re-encrypted vault and new KDF parameters', async () => {
+  stubUsers(mock, [{ _id: granteeId, sessionVersion: 0 }]);
+
+  const res = await request('POST', `/${new mongoose.Types.ObjectId()}/takeover`, granteeId, {
+    password: 'new-password',
+    masterKey: 'new-master-key'
+  });
+
+  assert.equal(res.status, 400);
+  const { errors } = await res.json();
+  assert.deepEqual(errors.map(error => error.path).sort(), ['items', 'kdf']);
+});
+
+test('a session token from before a revocation is rejected', async () => {
+  stubUsers(mock, [{ _id: grantorId, sessionVersion: 1 }]);
+
+  const res = await request('GET', '/', grantorId);
+
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).message, 'Session has been revoked');
+});
+
+const approvedAccess = (fields = {}) => new EmergencyAccess({
+  grantorId,
+  granteeId,
+  email: 'contact@example.com',
+  accessType: 'takeover',
+  waitTimeDays: 7,
+  status: 'recoveryApproved',
+  keyEncrypted: 'wrapped',
+  ...fields
+});
+
+// Answer findOne like the routes' status filters would
+const stubAccess = (access) => {
+  mock.method(EmergencyAccess, 'findOne', async (filter) =>
+    (!filter.status || filter.status.$in.includes(access.status) ? access : null));
+  return mock.method(access, 'save', async () => access);
+};
+
+test('repeated views of the vault are audited once per interval', async () => {
+  stubUsers(mock, [{ _id: granteeId, sessionVersion: 0 }]);
+  const access = approvedAccess();
+  const save = stubAccess(access);
+  mock.method(VaultItem, 'find', () => ({ sort: async () => [] }));
+
+  // Viewing someone else's vault needs my own vault unlocked
+  assert.equal((await request('GET', `/${access._id}/vault`, granteeId)).status, 401);
+  assert.equal(save.mock.callCount(), 0);
+
+  const unlockHeaders = stubUnlocked(mock);
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await request('GET', `/${access._id}/vault`, granteeId, null, unlockHeaders)).status, 200);
+  }
+  assert.equal(access.events.filter(event => event.action === 'vaultViewed').length, 1);
+  assert.equal(save.mock.callCount(), 1);
+
+  // A view after the interval is recorded again
+  access.events.at(-1).at = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  await request('GET', `/${access._id}/vault`, granteeId, null, unlockHeaders);
+  assert.equal(access.events.filter(event => event.action === 'vaultViewed').length, 2);
+});
+
+test('a takeover uses up the grant', async () => {
+  const access = approvedAccess();
+  const grantor = new User({ email: 'grantor@example.com', password: 'hash', masterKey: 'hash' });
+  mock.method(grantor, 'save', async () => grantor);
+  mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {}
+  }));
+  mock.method(VaultItem, 'find', () => ({ select: () => ({ session: async () => [] }) }));
+  mock.method(User, 'findByIdAndUpdate', () => ({ select: async () => ({ vaultRevision: 2 }) }));
+  mock.method(ItemRevision, 'deleteMany', async () => ({}));
+  mock.method(UnlockSession, 'deleteMany', async () => ({}));
+  const updateOne = mock.method(EmergencyAccess, 'updateOne', async () => ({}));
+  const updateMany = mock.method(EmergencyAccess, 'updateMany', async () => ({}));
+
+  await rekeyVault(grantor, [], { takeover: { accessId: access._id, actorId: granteeId } });
+
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.equal(filter._id, access._id);
+  assert.equal(update.$set.status, 'takenOver');
+  assert.equal(update.$set.keyEncrypted, null);
+  assert.equal(update.$push.events.action, 'takeover');
+  // Other contacts are reset to confirm again, the used grant is left out
+  assert.deepEqual(updateMany.mock.calls[0].arguments[0]._id, { $ne: access._id });
+
+  // The used grant no longer opens the vault or a second takeover
+  stubUsers(mock, [{ _id: granteeId, sessionVersion: 0 }]);
+  stubAccess(approvedAccess({ status: 'takenOver', keyEncrypted: null }));
+  const unlockHeaders = stubUnlocked(mock);
+  assert.equal((await request('GET', `/${access._id}/vault`, granteeId, null, unlockHeaders)).status, 403);
+  const res = await request('POST', `/${access._id}/takeover`, granteeId, {
+    password: 'new-password',
+    masterKey: 'new-master-key',
+    kdf: {},
+    items: []
+  });
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,88 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Folder from '../models/Folder.js';
+import { MAX_FOLDER_DEPTH, getDescendantFolderIds, checkFolderPlacement } from '../utils/folderTree.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+const asQuery = (result) => {
+  const query = Promise.resolve(result);
+  query.select = () => query;
+  return query;
+};
+
+// Stub the Folder lookups of utils/folderTree.js over fixed folders
+const stubFolders = (folders) => {
+  const byId = (id) => folders.find(folder => String(folder._id) === String(id)) || null;
+  mock.method(Folder, 'exists', async (filter) => byId(filter._id) && { _id: filter._id });
+  mock.method(Folder, 'findOne', (filter) => asQuery(byId(filter._id)));
+  mock.method(Folder, 'find', (filter) => {
+    const parents = filter.parentId.$in.map(String);
+    return asQuery(folders.filter(folder => folder.parentId && parents.includes(String(folder.parentId))));
+  });
+};
+
+// A chain of length folders, each one inside the previous
+const chain = (length) => {
+  const folders = [];
+  for (let i = 0; i < length; i++) {
+    folders.push({ _id: new mongoose.Types.ObjectId(), parentId: i === 0 ? null : folders[i - 1]._id });
+  }
+  return folders;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a corrupted parent cycle does not loop forever', async () => {
+  const [a, b, c] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+  stubFolders([
+    { _id: a, parentId: c },
+    { _id: b, parentId: a },
+    { _id: c, parentId: b }
+  ]);
+
+  const descendants = await getDescendantFolderIds(userId, a);
+  assert.deepEqual(descendants.map(String), [String(b), String(c)]);
+});
+
+test('a folder can be created anywhere up to the depth limit', async () => {
+  const folders = chain(MAX_FOLDER_DEPTH);
+  stubFolders(folders);
+
+  assert.equal(await checkFolderPlacement(userId, null, null), null);
+  assert.equal(await checkFolderPlacement(userId, null, folders[MAX_FOLDER_DEPTH - 2]._id), null);
+  assert.equal(
+    await checkFolderPlacement(userId, null, folders[MAX_FOLDER_DEPTH - 1]._id),
+    `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`
+  );
+  assert.equal(
+    await checkFolderPlacement(userId, null, new mongoose.Types.ObjectId()),
+    'Parent folder not found'
+  );
+});
+
+test('a folder cannot be moved into itself or one of its subfolders', async () => {
+  const folders = chain(3);
+  stubFolders(folders);
+  const [top, middle, bottom] = folders;
+
+  const message = 'A folder cannot be moved into itself or one of its subfolders';
+  assert.equal(await checkFolderPlacement(userId, top._id, top._id), message);
+  assert.equal(await checkFolderPlacement(userId, top._id, bottom._id), message);
+  assert.equal(await checkFolderPlacement(userId, middle._id, bottom._id), message);
+  assert.equal(await checkFolderPlacement(userId, bottom._id, top._id), null);
+});
+
+test('a moved folder brings its subtree into the depth limit', async () => {
+  const deep = chain(MAX_FOLDER_DEPTH - 2);
+  const subtree = chain(3);
+  stubFolders([...deep, ...subtree]);
+
+  // deep has MAX_FOLDER_DEPTH - 2 levels, the subtree 3 more
+  assert.equal(
+    await checkFolderPlacement(userId, subtree[0]._id, deep[deep.length - 1]._id),
+    `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`
+  );
+  assert.equal(await checkFolderPlacement(userId, subtree[1]._id, deep[deep.length - 1]._id), null);
+});
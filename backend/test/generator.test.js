@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CHARACTER_CLASSES,
+  AMBIGUOUS_CHARACTERS,
+  WORDLIST,
+  normalizeGeneratorOptions,
+  generateSecret
+} from '../utils/generator.js';
+
+// Entropy is reported rounded to one decimal
+const assertBits = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 0.06, `${actual} != ${expected}`);
+
+const count = (value, characters) => [...value].filter(character => characters.includes(character)).length;
+
+test('options are filled in with the defaults of their type', () => {
+  const { options } = normalizeGeneratorOptions({ length: 12 });
+  assert.equal(options.type, 'password');
+  assert.equal(options.length, 12);
+  assert.equal(options.minDigits, 1);
+
+  assert.equal(normalizeGeneratorOptions({ type: 'passphrase' }).options.words, 6);
+});
+
+test('impossible constraints are rejected', () => {
+  const check = (input) => normalizeGeneratorOptions(input).errors;
+
+  assert.deepEqual(check({ type: 'pin' }), ['Unknown generator type: pin']);
+  assert.ok(check({ length: 3 }).some(error => error.startsWith('length must be')));
+  assert.ok(check({ digits: false }).includes('minDigits requires digits to be enabled'));
+  assert.ok(check({ lowercase: false, uppercase: false, digits: false, symbols: false, minDigits: 0 })
+    .includes('At least one character class must be enabled'));
+  assert.ok(check({ length: 4, minUppercase: 3, minSymbols: 2 })
+    .includes('Minimum counts add up to more than the length'));
+  assert.ok(check({ uppercase: 'yes' }).includes('uppercase must be a boolean'));
+});
+
+test('passwords honour the length, minimum counts and excluded characters', () => {
+  const { options } = normalizeGeneratorOptions({
+    length: 16,
+    excludeAmbiguous: true,
+    minUppercase: 3,
+    minDigits: 4,
+    minSymbols: 2
+  });
+
+  for (let i = 0; i < 50; i++) {
+    const { value } = generateSecret(options);
+    assert.equal(value.length, 16);
+    assert.ok(count(value, CHARACTER_CLASSES.uppercase) >= 3);
+    assert.ok(count(value, CHARACTER_CLASSES.digits) >= 4);
+    assert.ok(count(value, CHARACTER_CLASSES.symbols) >= 2);
+    assert.equal(count(value, AMBIGUOUS_CHARACTERS), 0);
+  }
+});
+
+test('password entropy counts required positions by the size of their class', () => {
+  const { options: free } = normalizeGeneratorOptions({ length: 10, digits: false, symbols: false, minDigits: 0 });
+  assertBits(generateSecret(free).entropy, 10 * Math.log2(52));
+
+  const { options: constrained } = normalizeGeneratorOptions({ length: 10, minDigits: 4, minUppercase: 2 });
+  const expected = 4 * Math.log2(10) + 2 * Math.log2(26) + 4 * Math.log2(89);
+  assertBits(generateSecret(constrained).entropy, expected);
+
+  // All positions required from one class: no more than that class can give
+  const { options: digitsOnly } = normalizeGeneratorOptions({ length: 6, minDigits: 6 });
+  assertBits(generateSecret(digitsOnly).entropy, 6 * Math.log2(10));
+});
+
+test('passphrases are made of wordlist words', () => {
+  const { options } = normalizeGeneratorOptions({ type: 'passphrase', words: 5, separator: ' ' });
+  const { value, entropy } = generateSecret(options);
+
+  const words = value.split(' ');
+  assert.equal(words.length, 5);
+  assert.ok(words.every(word => WORDLIST.includes(word)));
+  assertBits(entropy, 5 * Math.log2(WORDLIST.length));
+});
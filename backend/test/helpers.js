@@ -0,0 +1,50 @@
+// Shared setup for route tests: an app with one router mounted and a session
+// cookie for a user. Models are stubbed per test with node:test mocks, no
+// database is needed.
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import jwt from 'jsonwebtoken';
+import User from '../models/user.js';
+import UnlockSession from '../models/UnlockSession.js';
+import { UNLOCK_HEADER } from '../utils/unlock.js';
+
+const startApp = (mounts) => new Promise((resolve) => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  for (const [path, ...handlers] of mounts) {
+    app.use(path, ...handlers);
+  }
+
+  const server = app.listen(0, () => {
+    const { port } = server.address();
+    resolve({
+      url: `http://127.0.0.1:${port}`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+const sessionCookie = (userId, payload = {}) =>
+  `token=${jwt.sign({ userId, ...payload }, process.env.JWT_SECRET || 'fallback-secret')}`;
+
+// Stub User.findById with fixed users. The result can be awaited or narrowed
+// with .select() like a query; the auth middleware looks users up this way too.
+const stubUsers = (mock, users) => mock.method(User, 'findById', (id) => {
+  const user = users.find(candidate => String(candidate._id) === String(id)) || null;
+  const query = Promise.resolve(user);
+  query.select = () => query;
+  return query;
+});
+
+// Treat every unlock token as a live unlock session. Returns the header to send.
+const stubUnlocked = (mock) => {
+  mock.method(UnlockSession, 'findOne', async () => ({
+    idleTimeoutMinutes: 15,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    save: async () => {}
+  }));
+  return { [UNLOCK_HEADER]: 'unlock-token' };
+};
+
+export { startApp, sessionCookie, stubUsers, stubUnlocked };
@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvRecords } from '../importers/csv.js';
+import { toTags } from '../importers/shape.js';
+import {
+  parseExport,
+  parseBitwardenJson,
+  parseBitwardenCsv,
+  parseOnePasswordCsv,
+  parseLastPassCsv,
+  parseKeePassCsv
+} from '../importers/index.js';
+
+test('quoted fields keep commas, escaped quotes and newlines', () => {
+  assert.deepEqual(parseCsv('a,"b,c","say ""hi""","line 1\r\nline 2"\r\nd,e,f,g\r\n'), [
+    ['a', 'b,c', 'say "hi"', 'line 1\r\nline 2'],
+    ['d', 'e', 'f', 'g']
+  ]);
+});
+
+test('a byte order mark and blank lines are skipped', () => {
+  assert.deepEqual(parseCsvRecords('\uFEFFname,url\n\nGitHub,https://github.com\n,\n'), [
+    { name: 'GitHub', url: 'https://github.com' }
+  ]);
+});
+
+test('short rows are padded and extra cells dropped', () => {
+  assert.deepEqual(parseCsvRecords('name,url,username\nonly name\na,b,c,d,e'), [
+    { name: 'only name', url: '', username: '' },
+    { name: 'a', url: 'b', username: 'c' }
+  ]);
+});
+
+test('an unterminated quote runs to the end of the file', () => {
+  assert.deepEqual(parseCsv('a,"b\nc,d'), [['a', 'b\nc,d']]);
+});
+
+test('Bitwarden JSON maps every item type and resolves folders', () => {
+  const entries = parseBitwardenJson(JSON.stringify({
+    encrypted: false,
+    folders: [{ id: 'f1', name: 'Work' }],
+    items: [
+      {
+        type: 1,
+        name: 'GitHub',
+        folderId: 'f1',
+        login: { uris: [{ uri: 'https://github.com' }], username: 'me', password: 'secret', totp: null }
+      },
+      { type: 2, name: 'Note', notes: 'text' },
+      { type: 3, name: 'Visa', card: { number: '4111 1111 1111 1234', expMonth: '7', expYear: '2030', code: '123' } },
+      { type: 99, name: 'Unknown kind' }
+    ]
+  }));
+
+  assert.deepEqual(entries[0], {
+    type: 'login',
+    title: 'GitHub',
+    metadata: { uris: ['https://github.com'] },
+    payload: { username: 'me', password: 'secret' },
+    tags: [],
+    folder: 'Work'
+  });
+  assert.equal(entries[1].type, 'secureNote');
+  assert.deepEqual(entries[2].metadata, { last4: '1234', expMonth: 7, expYear: 2030 });
+  assert.equal(entries[2].payload.code, '123');
+  assert.equal(entries[3].type, 'secureNote');
+});
+
+test('encrypted or malformed Bitwarden JSON is refused', () => {
+  assert.throws(() => parseBitwardenJson('{"encrypted":true}'), /Encrypted Bitwarden exports/);
+  assert.throws(() => parseBitwardenJson('{"items": ['), SyntaxError);
+  assert.deepEqual(parseBitwardenJson('{}'), []);
+});
+
+test('Bitwarden CSV splits notes from logins', () => {
+  const csv = [
+    'folder,favorite,type,name,notes,fields,reprompt,login_uri,login_username,login_password,login_totp',
+    'Work,,login,GitHub,,,0,"https://github.com,https://gist.github.com",me,secret,',
+    ',,note,Wifi,"ssid: home\npass: x",,0,,,,'
+  ].join('\n');
+
+  const [login, note] = parseBitwardenCsv(csv);
+  assert.deepEqual(login.metadata.uris, ['https://github.com', 'https://gist.github.com']);
+  assert.equal(login.folder, 'Work');
+  assert.deepEqual(note, {
+    type: 'secureNote',
+    title: 'Wifi',
+    metadata: {},
+    payload: { notes: 'ssid: home\npass: x' },
+    tags: [],
+    folder: null
+  });
+});
+
+test('1Password columns are matched case-insensitively, archived rows dropped', () => {
+  const csv = [
+    'TITLE,Website,Username,Password,OTPAuth,Archived,Tags,Notes,Unknown column',
+    'GitHub,https://github.com,me,secret,otpauth://totp/x,false,"work; dev",,ignored',
+    'Old,https://old.example.com,me,old,,true,,,',
+    'Plain note,,,,,,,some text,'
+  ].join('\n');
+
+  const entries = parseOnePasswordCsv(csv);
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].title, 'GitHub');
+  assert.deepEqual(entries[0].tags, ['work', 'dev']);
+  assert.equal(entries[0].payload.totp, 'otpauth://totp/x');
+  assert.equal(entries[1].type, 'secureNote');
+});
+
+test('LastPass secure notes and nested groups', () => {
+  const csv = [
+    'url,username,password,totp,extra,name,grouping,fav',
+    'https://github.com,me,secret,,,GitHub,Work\\Dev,0',
+    'http://sn,,,,"NoteType:Server\nHostname:x",Server,,0'
+  ].join('\r\n');
+
+  const [login, note] = parseLastPassCsv(csv);
+  assert.equal(login.folder, 'Work/Dev');
+  assert.equal(note.type, 'secureNote');
+  assert.equal(note.payload.notes, 'NoteType:Server\nHostname:x');
+});
+
+test('KeePass drops the Root group and treats empty logins as notes', () => {
+  const csv = [
+    '"Group","Title","Username","Password","URL","Notes","TOTP","Icon"',
+    '"Root/Email","Mail","me","secret","https://mail.example.com","","","0"',
+    '"Root","Just text","","","","remember this","","0"'
+  ].join('\n');
+
+  const [login, note] = parseKeePassCsv(csv);
+  assert.equal(login.folder, 'Email');
+  assert.equal(login.title, 'Mail');
+  assert.equal(note.type, 'secureNote');
+  assert.equal(note.folder, null);
+});
+
+test('rows without a title get a placeholder', () => {
+  const [entry] = parseLastPassCsv('url,username,password,totp,extra,name,grouping,fav\n,me,secret,,,,,0');
+  assert.equal(entry.title, 'Untitled login');
+  assert.deepEqual(entry.metadata, {});
+});
+
+test('tags are split, trimmed and emptied out', () => {
+  assert.deepEqual(toTags(' a, b ,,c '), ['a', 'b', 'c']);
+  assert.deepEqual(toTags(undefined), []);
+});
+
+test('unknown formats are refused', () => {
+  assert.throws(() => parseExport('dashlane-csv', ''), /Unsupported import format: dashlane-csv/);
+  assert.deepEqual(parseExport('keepass-csv', ''), []);
+});
@@ -0,0 +1,171 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import VaultItem from '../models/VaultItem.js';
+import ItemShare from '../models/ItemShare.js';
+import OrgMembership from '../models/OrgMembership.js';
+import vaultRoutes from '../routes/vault.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+const orgId = new mongoose.Types.ObjectId();
+const fakeSession = { id: 'transaction' };
+
+const ownItem = (fields = {}) => new VaultItem({ userId, title: 'title', encryptedData: 'data', iv: 'iv', ...fields });
+
+// The item the route finds, a share of it for me when share is set, and the
+// update the route makes. Returns the mocks to inspect.
+const stubItem = (item, { share = null, role = 'member' } = {}) => {
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  mock.method(VaultItem, 'findOne', async () => item);
+  mock.method(ItemShare, 'findOne', async () => share);
+  mock.method(OrgMembership, 'findOne', async () => ({ orgId, userId, role, status: 'confirmed' }));
+  mock.method(User, 'findByIdAndUpdate', () => ({ select: async () => ({ vaultRevision: 5 }) }));
+  return {
+    transaction: mock.method(mongoose.connection, 'transaction', async (fn) => fn(fakeSession)),
+    update: mock.method(VaultItem, 'findByIdAndUpdate', async (id, update) => ({
+      _id: id,
+      lastUsedAt: update.$set.lastUsedAt,
+      useCount: (item.useCount || 0) + (update.$inc ? update.$inc.useCount : 0)
+    })),
+    countDocuments: mock.method(VaultItem, 'countDocuments', async (filter) => filter._id.$in.length),
+    bulkWrite: mock.method(VaultItem, 'bulkWrite', async () => ({}))
+  };
+};
+
+const request = async (method, path, body) => {
+  const unlockHeaders = stubUnlocked(mock);
+  const app = await startApp([['/api/vault', vaultRoutes]]);
+  try {
+    const res = await fetch(`${app.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie(String(userId)), ...unlockHeaders },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    await app.close();
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+// PUT /items/:id/flags
+
+test('flags are set without touching the item version or updatedAt', async () => {
+  const item = ownItem();
+  const { update, transaction } = stubItem(item);
+
+  const { status } = await request('PUT', `/api/vault/items/${item._id}/flags`, { favorite: true });
+  assert.equal(status, 200);
+
+  const [id, changes, options] = update.mock.calls[0].arguments;
+  assert.equal(String(id), String(item._id));
+  assert.deepEqual(changes, { $set: { favorite: true, revision: 5 } });
+  assert.equal(options.timestamps, false);
+  assert.equal(options.session, fakeSession);
+  assert.equal(transaction.mock.callCount(), 1);
+});
+
+test('flags on an organization item are set without a personal revision', async () => {
+  const item = ownItem({ organizationId: orgId, collectionId: new mongoose.Types.ObjectId() });
+  const { update, transaction } = stubItem(item);
+
+  const { status } = await request('PUT', `/api/vault/items/${item._id}/flags`, { pinned: false });
+  assert.equal(status, 200);
+  assert.deepEqual(update.mock.calls[0].arguments[1], { $set: { pinned: false } });
+  assert.equal(transaction.mock.callCount(), 0);
+});
+
+test('share recipients cannot set flags and flags must be booleans', async () => {
+  const setFlags = async (item, share, body) => {
+    const { update } = stubItem(item, { share });
+    const { status } = await request('PUT', `/api/vault/items/${item._id}/flags`, body);
+    mock.restoreAll();
+    return { status, updated: update.mock.callCount() === 1 };
+  };
+
+  const othersItem = ownItem({ userId: new mongoose.Types.ObjectId() });
+  const writeShare = { itemId: othersItem._id, recipientId: userId, permission: 'write' };
+  assert.deepEqual(await setFlags(othersItem, writeShare, { favorite: true }), { status: 404, updated: false });
+  assert.deepEqual(await setFlags(othersItem, null, { favorite: true }), { status: 404, updated: false });
+  assert.deepEqual(await setFlags(ownItem(), null, { favorite: 'true' }), { status: 400, updated: false });
+});
+
+// POST /items/:id/used
+
+test('using an item counts the use, share recipients included', async () => {
+  const item = ownItem({ userId: new mongoose.Types.ObjectId(), useCount: 2 });
+  const { update } = stubItem(item, { share: { itemId: item._id, recipientId: userId, permission: 'read' } });
+
+  const { status, body } = await request('POST', `/api/vault/items/${item._id}/used`);
+  assert.equal(status, 200);
+  assert.equal(body.useCount, 3);
+  assert.ok(Date.parse(body.lastUsedAt));
+
+  const [, changes, options] = update.mock.calls[0].arguments;
+  assert.deepEqual(changes.$inc, { useCount: 1 });
+  assert.equal(options.timestamps, false);
+});
+
+test('using an item I cannot read is refused', async () => {
+  const item = ownItem({ userId: new mongoose.Types.ObjectId() });
+  const { update } = stubItem(item);
+
+  assert.equal((await request('POST', `/api/vault/items/${item._id}/used`)).status, 404);
+  assert.equal((await request('POST', '/api/vault/items/not-an-id/used')).status, 400);
+  assert.equal(update.mock.callCount(), 0);
+});
+
+// PUT /items/order
+
+test('the manual order numbers items from one in the order given', async () => {
+  const { countDocuments, bulkWrite } = stubItem(null);
+  const [first, second] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()].map(String);
+
+  const { status } = await request('PUT', '/api/vault/items/order', { itemIds: [second, first, second] });
+  assert.equal(status, 200);
+
+  const filter = countDocuments.mock.calls[0].arguments[0];
+  assert.equal(String(filter.userId), String(userId));
+  assert.equal(filter.organizationId, null);
+  assert.deepEqual(filter._id, { $in: [second, first] });
+
+  const [operations, options] = bulkWrite.mock.calls[0].arguments;
+  assert.deepEqual(operations.map(({ updateOne }) => [updateOne.filter._id, updateOne.update.$set]), [
+    [second, { sortOrder: 1, revision: 5 }],
+    [first, { sortOrder: 2, revision: 5 }]
+  ]);
+  assert.equal(operations[0].updateOne.timestamps, false);
+  assert.equal(options.session, fakeSession);
+});
+
+test('the order is refused when an item is not mine or not live', async () => {
+  const { bulkWrite } = stubItem(null);
+  mock.method(VaultItem, 'countDocuments', async () => 1);
+
+  const itemIds = [String(new mongoose.Types.ObjectId()), String(new mongoose.Types.ObjectId())];
+  assert.equal((await request('PUT', '/api/vault/items/order', { itemIds })).status, 400);
+  assert.equal((await request('PUT', '/api/vault/items/order', { itemIds: [] })).status, 400);
+  assert.equal(bulkWrite.mock.callCount(), 0);
+});
+
+test('organization items are ordered by members, not read-only members', async () => {
+  const order = async (role) => {
+    const { bulkWrite, transaction } = stubItem(null, { role });
+    const { status } = await request('PUT', '/api/vault/items/order', {
+      itemIds: [String(new mongoose.Types.ObjectId())],
+      organizationId: String(orgId)
+    });
+    mock.restoreAll();
+    return {
+      status,
+      ordered: bulkWrite.mock.callCount() === 1,
+      inTransaction: transaction.mock.callCount() === 1
+    };
+  };
+
+  assert.deepEqual(await order('readonly'), { status: 403, ordered: false, inTransaction: false });
+  assert.deepEqual(await order('member'), { status: 200, ordered: true, inTransaction: false });
+});
@@ -0,0 +1,130 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import VaultItem from '../models/VaultItem.js';
+import ItemRevision from '../models/ItemRevision.js';
+import vaultRoutes from '../routes/vault.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+const fakeSession = { id: 'transaction' };
+
+const storedItem = (version) => {
+  const item = new VaultItem({
+    userId,
+    title: 'title',
+    encryptedData: 'data',
+    iv: 'iv',
+    version
+  });
+  item.isNew = false;
+  return item;
+};
+
+// The item as loaded by the route, and optionally another client's update that
+// lands between that read and the route's save
+const stubItem = (item, { changedTo = null } = {}) => {
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  mock.method(VaultItem, 'findOne', async () => item);
+  mock.method(VaultItem, 'findById', async () => changedTo);
+  mock.method(ItemRevision, 'create', async () => []);
+  mock.method(ItemRevision, 'find', () => {
+    const query = { sort: () => query, skip: () => query, select: () => query, session: async () => [] };
+    return query;
+  });
+  mock.method(mongoose.connection, 'transaction', async (fn) => fn(fakeSession));
+  mock.method(User, 'findByIdAndUpdate', () => ({ select: async () => ({ vaultRevision: 3 }) }));
+
+  const saved = [];
+  mock.method(VaultItem.prototype, 'save', async function (options) {
+    if (this === item && changedTo) {
+      throw new mongoose.Error.DocumentNotFoundError(this.$where, 'VaultItem', 1, this);
+    }
+    saved.push({ doc: this, where: this.$where, options });
+    return this;
+  });
+  return saved;
+};
+
+const update = async (item, headers, body = {}) => {
+  const unlockHeaders = stubUnlocked(mock);
+  const app = await startApp([['/api/vault', vaultRoutes]]);
+  try {
+    return await fetch(`${app.url}/api/vault/items/${item._id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie(String(userId)), ...unlockHeaders, ...headers },
+      body: JSON.stringify({ title: 'new title', encryptedData: 'new data', iv: 'new iv', ...body })
+    });
+  } finally {
+    await app.close();
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+test('an update without If-Match is refused', async () => {
+  const item = storedItem(2);
+  stubItem(item);
+
+  const res = await update(item, {});
+  assert.equal(res.status, 428);
+});
+
+test('an update with a stale ETag gets 409 and the server copy', async () => {
+  const item = storedItem(2);
+  const saved = stubItem(item);
+
+  const res = await update(item, { 'If-Match': '"1"' });
+  assert.equal(res.status, 409);
+  assert.equal(res.headers.get('etag'), '"2"');
+  assert.equal((await res.json()).item.title, 'title');
+  assert.equal(saved.length, 0);
+});
+
+test('a matching update is saved only while the item keeps the matched version', async () => {
+  const item = storedItem(2);
+  const saved = stubItem(item);
+
+  const res = await update(item, { 'If-Match': '"2"' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(saved[0].where, { version: 2 });
+  assert.equal(saved[0].options.session, fakeSession);
+});
+
+test('the old version is kept as a revision in the same transaction as the save', async () => {
+  const item = storedItem(2);
+  stubItem(item);
+
+  await update(item, { 'If-Match': '"2"' });
+  const [[revision], options] = ItemRevision.create.mock.calls[0].arguments;
+  assert.equal(revision.title, 'title');
+  assert.equal(revision.encryptedData, 'data');
+  assert.equal(options.session, fakeSession);
+});
+
+test('an update that lost the race to another write gets 409 with the newer copy', async () => {
+  const item = storedItem(2);
+  const changedTo = storedItem(3);
+  changedTo.title = 'other device';
+  stubItem(item, { changedTo });
+
+  const res = await update(item, { 'If-Match': '"2"' });
+  assert.equal(res.status, 409);
+  assert.equal(res.headers.get('etag'), '"3"');
+  assert.equal((await res.json()).item.title, 'other device');
+  assert.equal(ItemRevision.create.mock.callCount(), 0);
+});
+
+test('an update that lost the race is kept as a conflict copy on request', async () => {
+  const item = storedItem(2);
+  const changedTo = storedItem(3);
+  const saved = stubItem(item, { changedTo });
+
+  const res = await update(item, { 'If-Match': '"2"' }, { onConflict: 'copy' });
+  assert.equal(res.status, 201);
+  const { conflictCopy } = await res.json();
+  assert.equal(conflictCopy.conflictOf, String(item._id));
+  assert.equal(conflictCopy.title, 'new title');
+  assert.equal(saved.length, 1);
+});
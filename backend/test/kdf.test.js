@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  KDF_LIMITS,
+  generateSalt,
+  defaultKdf,
+  normalizeKdf,
+  isWeakerKdf,
+  preloginKdf
+} from '../utils/kdf.js';
+
+const salt = generateSalt();
+
+test('missing parameters take the algorithm defaults and a new salt', () => {
+  const { kdf } = normalizeKdf({ algorithm: 'argon2id' });
+  assert.deepEqual({ ...kdf, salt: undefined }, { ...defaultKdf('argon2id'), salt: undefined });
+  assert.equal(Buffer.from(kdf.salt, 'base64').length, 16);
+  assert.notEqual(normalizeKdf({}).kdf.salt, normalizeKdf({}).kdf.salt);
+});
+
+test('parameters within the limits are kept', () => {
+  const { kdf } = normalizeKdf({ algorithm: 'pbkdf2-sha256', iterations: 700000, salt });
+  assert.deepEqual(kdf, { algorithm: 'pbkdf2-sha256', iterations: 700000, memory: null, parallelism: null, salt });
+});
+
+test('weak or malformed parameters are rejected', () => {
+  const { min } = KDF_LIMITS['pbkdf2-sha256'].iterations;
+  assert.deepEqual(normalizeKdf({ algorithm: 'pbkdf2-sha256', iterations: min - 1, salt }).errors, [
+    `iterations must be an integer from ${min} to 10000000 for pbkdf2-sha256`
+  ]);
+  assert.deepEqual(normalizeKdf({ algorithm: 'argon2id', memory: 1024, parallelism: 1.5, salt }).errors, [
+    'memory must be an integer from 16384 to 1048576 for argon2id',
+    'parallelism must be an integer from 1 to 16 for argon2id'
+  ]);
+  assert.deepEqual(normalizeKdf({ algorithm: 'scrypt' }).errors, ['algorithm must be one of pbkdf2-sha256, argon2id']);
+  assert.deepEqual(normalizeKdf({ salt: 'c2hvcnQ=' }).errors, ['salt must be base64 of at least 16 bytes']);
+  assert.deepEqual(normalizeKdf([]).errors, ['kdf must be an object']);
+});
+
+test('a change may not lower the cost of the key derivation', () => {
+  const pbkdf2 = { algorithm: 'pbkdf2-sha256', iterations: 600000 };
+  const argon2 = { algorithm: 'argon2id', iterations: 3, memory: 65536, parallelism: 4 };
+
+  assert.equal(isWeakerKdf({ ...pbkdf2, iterations: 500000 }, pbkdf2), true);
+  assert.equal(isWeakerKdf({ ...pbkdf2, iterations: 700000 }, pbkdf2), false);
+  assert.equal(isWeakerKdf(pbkdf2, argon2), true);
+  assert.equal(isWeakerKdf(argon2, { ...pbkdf2, iterations: 10000000 }), false);
+  assert.equal(isWeakerKdf({ ...argon2, memory: 32768 }, argon2), true);
+  assert.equal(isWeakerKdf({ ...argon2, parallelism: 1 }, argon2), false);
+});
+
+test('prelogin gives stable parameters for unknown emails', () => {
+  const user = { kdf: { algorithm: 'argon2id', iterations: 4, memory: 65536, parallelism: 2, salt } };
+  assert.deepEqual(preloginKdf(user, 'known@example.com'), user.kdf);
+
+  const unknown = preloginKdf(null, 'nobody@example.com');
+  assert.deepEqual(unknown, preloginKdf(null, 'nobody@example.com'));
+  assert.notEqual(unknown.salt, preloginKdf(null, 'someone@example.com').salt);
+  assert.equal(Buffer.from(unknown.salt, 'base64').length, 16);
+  assert.equal(unknown.algorithm, defaultKdf().algorithm);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import VaultItem from '../models/VaultItem.js';
+import { validateReencryptedItem, planReencryption } from '../utils/masterKeyChange.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+const storedItem = (fields = {}) => new VaultItem({
+  userId,
+  title: 'old title',
+  encryptedData: 'old data',
+  iv: 'old iv',
+  ...fields
+});
+
+const row = (item, fields = {}) => ({
+  id: String(item._id),
+  title: 'new title',
+  encryptedData: 'new data',
+  iv: 'new iv',
+  ...fields
+});
+
+test('a re-encrypted item needs an id and the encrypted fields', () => {
+  assert.deepEqual(validateReencryptedItem(row(storedItem())), []);
+  assert.deepEqual(validateReencryptedItem(null), ['Item must be an object']);
+  assert.deepEqual(validateReencryptedItem({ id: 'x', title: ' ', encryptedItemKey: 5 }), [
+    'id must be an item id',
+    'title is required',
+    'encryptedData is required',
+    'iv is required',
+    'encryptedItemKey must be a string'
+  ]);
+  assert.deepEqual(
+    validateReencryptedItem(row(storedItem(), { attachments: [{ id: 'x', fileName: 'a.pdf' }] })),
+    ['attachments must be a list of { id, fileName, key }']
+  );
+});
+
+test('every item of the vault is replaced with its re-encrypted version', () => {
+  const first = storedItem();
+  const second = storedItem({ encryptedItemKey: 'old key' });
+
+  const { operations } = planReencryption(
+    [first, second],
+    [row(first, { searchTokens: ['token'] }), row(second, { encryptedItemKey: 'new key' })],
+    9
+  );
+
+  assert.equal(operations.length, 2);
+  assert.deepEqual(operations[0].updateOne.filter, { _id: first._id });
+  assert.deepEqual(operations[0].updateOne.update, {
+    $set: {
+      title: 'new title',
+      encryptedData: 'new data',
+      iv: 'new iv',
+      encryptedItemKey: null,
+      tags: [],
+      searchTokens: ['token'],
+      titleSortKey: null,
+      passwordFingerprint: null,
+      revision: 9
+    },
+    $inc: { version: 1 }
+  });
+  assert.equal(operations[1].updateOne.update.$set.encryptedItemKey, 'new key');
+});
+
+test('a batch that does not match the vault is rejected as a whole', () => {
+  const kept = storedItem();
+  const missing = storedItem();
+  const keyed = storedItem({ encryptedItemKey: 'old key' });
+  const unknownId = String(new mongoose.Types.ObjectId());
+
+  const { operations, errors } = planReencryption(
+    [kept, missing, keyed],
+    [row(kept), row(kept), row(keyed), { ...row(kept), id: unknownId }],
+    9
+  );
+
+  assert.equal(operations, undefined);
+  assert.deepEqual(errors, [
+    `Item ${kept._id} is listed more than once`,
+    `Item ${unknownId} is not in your vault`,
+    `Item ${missing._id} is missing from the batch`,
+    `Item ${keyed._id} needs its item key re-wrapped (encryptedItemKey)`
+  ]);
+});
+
+test('attachments keep their blobs and get the re-encrypted name and key', () => {
+  const item = storedItem({
+    attachments: [{ fileName: 'old name', key: 'old key', size: 10, storageKey: 'stored/blob' }]
+  });
+  const attachmentId = String(item.attachments[0]._id);
+
+  assert.deepEqual(planReencryption([item], [row(item)], 9).errors, [
+    `Item ${item._id} is missing re-encrypted attachments`
+  ]);
+
+  const { operations } = planReencryption(
+    [item],
+    [row(item, { attachments: [{ id: attachmentId, fileName: 'new name', key: 'new key' }] })],
+    9
+  );
+  const [attachment] = operations[0].updateOne.update.$set.attachments;
+  assert.equal(attachment.fileName, 'new name');
+  assert.equal(attachment.key, 'new key');
+  assert.equal(attachment.storageKey, 'stored/blob');
+  assert.equal(attachment.size, 10);
+});
+
+test('tag names are re-encrypted along with the items', () => {
+  const item = storedItem({ tags: [{ token: 'Xq3vL0tHnq1RFa7bEo0cJw', name: 'old name' }] });
+
+  assert.deepEqual(planReencryption([item], [row(item)], 9).errors, [
+    `Item ${item._id} needs its tags re-encrypted (tags)`
+  ]);
+
+  const tags = [{ token: 'Xq3vL0tHnq1RFa7bEo0cJw', name: 'new name' }];
+  const { operations } = planReencryption([item], [row(item, { tags })], 9);
+  assert.deepEqual(operations[0].updateOne.update.$set.tags, tags);
+});
@@ -0,0 +1,156 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import OrgMembership from '../models/OrgMembership.js';
+import Collection from '../models/Collection.js';
+import VaultItem from '../models/VaultItem.js';
+import organizationRoutes from '../routes/organizations.js';
+import vaultRoutes from '../routes/vault.js';
+import { ORG_ROLES, hasOrgRole } from '../utils/orgRoles.js';
+import { findAccessibleItem } from '../utils/itemAccess.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+const orgId = new mongoose.Types.ObjectId();
+
+const membership = (role, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orgId,
+  userId: new mongoose.Types.ObjectId(),
+  role,
+  status: 'confirmed',
+  save: mock.fn(async () => {}),
+  deleteOne: mock.fn(async () => {}),
+  ...fields
+});
+
+// My membership is found by userId, the member a route acts on by _id
+const stubMemberships = (mine, target = null, owners = 1) => {
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  mock.method(OrgMembership, 'findOne', async (filter) => (filter.userId ? mine : target));
+  mock.method(OrgMembership, 'countDocuments', async () => owners);
+};
+
+const request = async (method, path, body, headers = {}) => {
+  const app = await startApp([['/api/organizations', organizationRoutes], ['/api/vault', vaultRoutes]]);
+  try {
+    const res = await fetch(`${app.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie(String(userId)), ...headers },
+      body: body && JSON.stringify(body)
+    });
+    return res.status;
+  } finally {
+    await app.close();
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+test('roles are ordered from owner down to read-only', () => {
+  assert.deepEqual(ORG_ROLES, ['owner', 'admin', 'member', 'readonly']);
+  assert.equal(hasOrgRole('owner', 'admin'), true);
+  assert.equal(hasOrgRole('admin', 'admin'), true);
+  assert.equal(hasOrgRole('member', 'admin'), false);
+  assert.equal(hasOrgRole('readonly', 'member'), false);
+  assert.equal(hasOrgRole('guest', 'readonly'), false);
+});
+
+test('organization routes need a confirmed membership with the route role', async () => {
+  const renameAs = async (mine) => {
+    stubMemberships(mine);
+    const rename = mock.method(Organization, 'findByIdAndUpdate', async () => ({ _id: orgId, name: 'New' }));
+    const status = await request('PUT', `/api/organizations/${orgId}`, { name: 'New' });
+    mock.restoreAll();
+    return { status, renamed: rename.mock.callCount() === 1 };
+  };
+
+  assert.deepEqual(await renameAs(null), { status: 404, renamed: false });
+  assert.deepEqual(await renameAs(membership('readonly', { userId })), { status: 403, renamed: false });
+  assert.deepEqual(await renameAs(membership('member', { userId })), { status: 403, renamed: false });
+  assert.deepEqual(await renameAs(membership('admin', { userId })), { status: 200, renamed: true });
+  assert.deepEqual(await renameAs(membership('owner', { userId })), { status: 200, renamed: true });
+});
+
+test('only owners hand out or take away the owner and admin roles', async () => {
+  const change = async (actorRole, targetRole, role, owners = 2) => {
+    const target = membership(targetRole);
+    stubMemberships(membership(actorRole, { userId }), target, owners);
+    const status = await request('PUT', `/api/organizations/${orgId}/members/${target._id}`, { role });
+    mock.restoreAll();
+    return { status, saved: target.save.mock.callCount() === 1 };
+  };
+
+  assert.deepEqual(await change('admin', 'member', 'readonly'), { status: 200, saved: true });
+  assert.deepEqual(await change('admin', 'member', 'admin'), { status: 403, saved: false });
+  assert.deepEqual(await change('admin', 'admin', 'member'), { status: 403, saved: false });
+  assert.deepEqual(await change('admin', 'owner', 'member'), { status: 403, saved: false });
+  assert.deepEqual(await change('owner', 'member', 'admin'), { status: 200, saved: true });
+  assert.deepEqual(await change('owner', 'owner', 'admin'), { status: 200, saved: true });
+  assert.deepEqual(await change('owner', 'owner', 'admin', 1), { status: 400, saved: false });
+  assert.deepEqual(await change('member', 'readonly', 'member'), { status: 403, saved: false });
+});
+
+test('members leave on their own, only admins remove others', async () => {
+  const remove = async (actor, target) => {
+    stubMemberships(actor, target, 2);
+    const status = await request('DELETE', `/api/organizations/${orgId}/members/${target._id}`);
+    mock.restoreAll();
+    return { status, removed: target.deleteOne.mock.callCount() === 1 };
+  };
+
+  const me = membership('readonly', { userId });
+  assert.deepEqual(await remove(me, me), { status: 200, removed: true });
+  assert.deepEqual(
+    await remove(membership('member', { userId }), membership('readonly')),
+    { status: 403, removed: false }
+  );
+  assert.deepEqual(await remove(membership('admin', { userId }), membership('member')), { status: 200, removed: true });
+  assert.deepEqual(await remove(membership('admin', { userId }), membership('owner')), { status: 403, removed: false });
+});
+
+test('read-only members cannot add organization items', async () => {
+  const add = async (role) => {
+    stubMemberships(membership(role, { userId }));
+    const unlockHeaders = stubUnlocked(mock);
+    mock.method(Collection, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const save = mock.method(VaultItem.prototype, 'save', async function () { return this; });
+
+    const status = await request('POST', '/api/vault/items', {
+      title: 'title',
+      encryptedData: 'data',
+      iv: 'iv',
+      organizationId: String(orgId),
+      collectionId: String(new mongoose.Types.ObjectId())
+    }, unlockHeaders);
+    mock.restoreAll();
+    return { status, saved: save.mock.callCount() === 1 };
+  };
+
+  assert.deepEqual(await add('readonly'), { status: 403, saved: false });
+  assert.deepEqual(await add('member'), { status: 201, saved: true });
+});
+
+test('organization items are readable by every member and writable from member up', async () => {
+  const item = new VaultItem({
+    userId: new mongoose.Types.ObjectId(),
+    organizationId: orgId,
+    collectionId: new mongoose.Types.ObjectId(),
+    title: 'title',
+    encryptedData: 'data',
+    iv: 'iv'
+  });
+  let mine = membership('readonly', { userId });
+  mock.method(VaultItem, 'findOne', async () => item);
+  mock.method(OrgMembership, 'findOne', async () => mine);
+
+  assert.ok(await findAccessibleItem(item._id, userId));
+  assert.equal(await findAccessibleItem(item._id, userId, { write: true }), null);
+
+  mine = membership('member', { userId });
+  assert.ok(await findAccessibleItem(item._id, userId, { write: true }));
+
+  mine = null;
+  assert.equal(await findAccessibleItem(item._id, userId), null);
+});
@@ -0,0 +1,80 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import vaultRoutes from '../routes/vault.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+import { validationResult } from 'express-validator';
+import { SORT_KEYS, listQueryValidators, paginate } from '../utils/pagination.js';
+
+const validate = async (query) => {
+  const req = { query };
+  for (const validator of listQueryValidators) {
+    await validator.run(req);
+  }
+  return validationResult(req);
+};
+
+afterEach(() => mock.restoreAll());
+
+const cursor = (content) => Buffer.from(JSON.stringify(content)).toString('base64url');
+const id = '64b000000000000000000001';
+
+test('title sorts by the client-computed sort key', async () => {
+  assert.ok(SORT_KEYS.includes('title'));
+  const model = {
+    find: mock.fn(() => ({ sort: () => ({ limit: async () => [] }) })),
+    countDocuments: async () => 0
+  };
+
+  await paginate(model, {}, { sort: 'title', order: 'asc', fields: 'title', cursor: cursor({ k: 'title', v: 'm', id }) });
+  const [filter, projection] = model.find.mock.calls[0].arguments;
+  assert.deepEqual(filter.$and[0].$or[1], { titleSortKey: { $gt: 'm' } });
+  assert.equal(projection, 'title titleSortKey');
+});
+
+test('cursor values must have the type of their sort key', async () => {
+  const accepted = [
+    { sort: 'updatedAt', cursor: cursor({ k: 'updatedAt', v: '2025-06-30T12:00:00.000Z', id }) },
+    { sort: 'lastUsedAt', cursor: cursor({ k: 'lastUsedAt', v: null, id }) },
+    { sort: 'useCount', cursor: cursor({ k: 'useCount', v: 3, id }) },
+    { sort: 'title', cursor: cursor({ k: 'title', v: null, id }) }
+  ];
+  for (const query of accepted) {
+    assert.equal((await validate(query)).isEmpty(), true, query.sort);
+  }
+
+  const rejected = [
+    { sort: 'updatedAt', cursor: cursor({ k: 'updatedAt', v: { $gt: '' }, id }) },
+    { sort: 'updatedAt', cursor: cursor({ k: 'updatedAt', v: 'yesterday', id }) },
+    { sort: 'createdAt', cursor: cursor({ k: 'createdAt', v: null, id }) },
+    { sort: 'useCount', cursor: cursor({ k: 'useCount', v: '3', id }) },
+    { sort: 'title', cursor: cursor({ k: 'title', v: ['a'], id }) },
+    { sort: 'title', cursor: cursor({ k: 'title', v: 'a', id: { $ne: null } }) },
+    { cursor: cursor(null) }
+  ];
+  for (const query of rejected) {
+    assert.equal((await validate(query)).isEmpty(), false, query.cursor);
+  }
+});
+
+test('plaintext sort keys are accepted', async () => {
+  const result = await validate({ sort: 'updatedAt', order: 'asc', limit: '10' });
+  assert.equal(result.isEmpty(), true);
+});
+
+test('a cursor value of the wrong type is a 400 on the listing', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  const unlockHeaders = stubUnlocked(mock);
+
+  const app = await startApp([['/api/vault', vaultRoutes]]);
+  try {
+    const bad = cursor({ k: 'createdAt', v: { $gt: '' }, id });
+    const res = await fetch(`${app.url}/api/vault/items?cursor=${bad}`, {
+      headers: { Cookie: sessionCookie(String(userId)), ...unlockHeaders }
+    });
+    assert.equal(res.status, 400);
+  } finally {
+    await app.close();
+  }
+});
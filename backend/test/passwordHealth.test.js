@@ -0,0 +1,164 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import VaultItem from '../models/VaultItem.js';
+import BreachedPassword from '../models/BreachedPassword.js';
+import vaultRoutes from '../routes/vault.js';
+import { isFingerprint, isStrength, buildHealthReport } from '../utils/passwordHealth.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T00:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+
+const item = (title, fields = {}) => ({
+  _id: title,
+  type: 'login',
+  title,
+  folderId: null,
+  passwordFingerprint: null,
+  passwordStrength: null,
+  passwordBreached: null,
+  updatedAt: daysAgo(1),
+  ...fields
+});
+
+const titles = (items) => items.map(entry => entry.title);
+
+afterEach(() => mock.restoreAll());
+
+test('items sharing a fingerprint are grouped as reused, largest group first', () => {
+  const report = buildHealthReport([
+    item('a', { passwordFingerprint: 'fingerprint-one-1' }),
+    item('b', { passwordFingerprint: 'fingerprint-two-2' }),
+    item('c', { passwordFingerprint: 'fingerprint-two-2' }),
+    item('d', { passwordFingerprint: 'fingerprint-two-2' }),
+    item('e', { passwordFingerprint: 'fingerprint-one-1' }),
+    item('f', { passwordFingerprint: 'fingerprint-unique' })
+  ], { maxAgeDays: 365, weakStrength: 2, now });
+
+  assert.deepEqual(report.reused.map(group => [group.count, titles(group.items)]), [
+    [3, ['b', 'c', 'd']],
+    [2, ['a', 'e']]
+  ]);
+  assert.equal(report.summary.reusedGroups, 2);
+  assert.equal(report.summary.reusedItems, 5);
+});
+
+test('weak means at or below the threshold, weakest first', () => {
+  const items = [
+    item('fair', { passwordStrength: 2 }),
+    item('strong', { passwordStrength: 4 }),
+    item('terrible', { passwordStrength: 0 }),
+    item('poor', { passwordStrength: 1 })
+  ];
+
+  assert.deepEqual(titles(buildHealthReport(items, { maxAgeDays: 365, weakStrength: 2, now }).weak),
+    ['terrible', 'poor', 'fair']);
+  assert.deepEqual(titles(buildHealthReport(items, { maxAgeDays: 365, weakStrength: 0, now }).weak),
+    ['terrible']);
+});
+
+test('breached and old items are reported, oldest first', () => {
+  const report = buildHealthReport([
+    item('breached', { passwordBreached: true }),
+    item('clean', { passwordBreached: false, updatedAt: daysAgo(30) }),
+    item('year', { passwordStrength: 4, updatedAt: daysAgo(366) }),
+    item('decade', { passwordStrength: 4, updatedAt: daysAgo(3650) }),
+    item('exactly', { passwordStrength: 4, updatedAt: daysAgo(365) })
+  ], { maxAgeDays: 365, weakStrength: 2, now });
+
+  assert.deepEqual(titles(report.breached), ['breached']);
+  assert.deepEqual(titles(report.old), ['decade', 'year']);
+});
+
+test('items without any health data are left out', () => {
+  const report = buildHealthReport([
+    item('note', { type: 'secureNote', updatedAt: daysAgo(1000) }),
+    item('login', { passwordStrength: 3 })
+  ], { maxAgeDays: 365, weakStrength: 2, now });
+
+  assert.deepEqual(report.summary, {
+    checkedItems: 1,
+    reusedGroups: 0,
+    reusedItems: 0,
+    weakItems: 0,
+    breachedItems: 0,
+    oldItems: 0
+  });
+});
+
+test('fingerprints and strength scores are checked', () => {
+  assert.equal(isFingerprint('Xq3vL0tHnq1RFa7bEo0cJw'), true);
+  assert.equal(isFingerprint('short'), false);
+  assert.equal(isFingerprint('not a fingerprint!!'), false);
+  assert.equal(isFingerprint(null), false);
+
+  assert.equal(isStrength(0), true);
+  assert.equal(isStrength(4), true);
+  assert.equal(isStrength(5), false);
+  assert.equal(isStrength(2.5), false);
+  assert.equal(isStrength('2'), false);
+});
+
+// GET /health
+
+const userId = new mongoose.Types.ObjectId();
+
+const getHealth = async (query) => {
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  const unlockHeaders = stubUnlocked(mock);
+  const find = mock.method(VaultItem, 'find', () => ({
+    select: async () => [
+      item('zero', { passwordStrength: 0 }),
+      item('one', { passwordStrength: 1 })
+    ]
+  }));
+  mock.method(BreachedPassword, 'exists', async () => null);
+
+  const app = await startApp([['/api/vault', vaultRoutes]]);
+  try {
+    const res = await fetch(`${app.url}/api/vault/health${query}`, {
+      headers: { Cookie: sessionCookie(String(userId)), ...unlockHeaders }
+    });
+    return { status: res.status, body: await res.json(), find };
+  } finally {
+    await app.close();
+  }
+};
+
+test('the health report covers my live personal items with the requested thresholds', async () => {
+  const { status, body, find } = await getHealth('?weakStrength=0&maxAgeDays=30');
+  assert.equal(status, 200);
+  assert.equal(body.weakStrength, 0);
+  assert.equal(body.maxAgeDays, 30);
+  assert.equal(body.breachCorpusLoaded, false);
+  assert.deepEqual(titles(body.weak), ['zero']);
+
+  const filter = find.mock.calls[0].arguments[0];
+  assert.equal(String(filter.userId), String(userId));
+  assert.equal(filter.organizationId, null);
+  assert.equal(filter.deletedAt, null);
+});
+
+test('health thresholds out of range are refused', async () => {
+  assert.equal((await getHealth('?weakStrength=5')).status, 400);
+  mock.restoreAll();
+  assert.equal((await getHealth('?maxAgeDays=0')).status, 400);
+});
+
+test('the weak strength threshold can be configured down to zero', async () => {
+  const load = async (value) => {
+    process.env.VAULT_HEALTH_WEAK_STRENGTH = value;
+    try {
+      return (await import(`../config/vault.js?weak=${value}`)).HEALTH_WEAK_STRENGTH;
+    } finally {
+      delete process.env.VAULT_HEALTH_WEAK_STRENGTH;
+    }
+  };
+
+  assert.equal(await load('0'), 0);
+  assert.equal(await load('3'), 3);
+  assert.equal(await load('-1'), 2);
+  assert.equal(await load('weak'), 2);
+});
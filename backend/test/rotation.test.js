@@ -0,0 +1,100 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import VaultItem from '../models/VaultItem.js';
+import ItemRevision from '../models/ItemRevision.js';
+import vaultRoutes from '../routes/vault.js';
+import { rotationDueDate, isRotateEvery, isDateString } from '../utils/rotation.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const rotatedAt = new Date('2026-01-01T00:00:00Z');
+const days = (count) => new Date(rotatedAt.getTime() + count * 24 * 60 * 60 * 1000);
+
+afterEach(() => mock.restoreAll());
+
+test('an item without a policy has no deadline', () => {
+  assert.equal(rotationDueDate({ rotatedAt }), null);
+  assert.equal(rotationDueDate({ rotateEvery: null, expiresAt: null, rotatedAt }), null);
+});
+
+test('the deadline counts rotateEvery days from the last rotation', () => {
+  assert.deepEqual(rotationDueDate({ rotateEvery: 90, rotatedAt }), days(90));
+  // Items rotated before rotatedAt was kept count from their last update
+  assert.deepEqual(rotationDueDate({ rotateEvery: 30, rotatedAt: null, updatedAt: rotatedAt }), days(30));
+});
+
+test('the earlier of the rotation period and the expiry is the deadline', () => {
+  assert.deepEqual(rotationDueDate({ expiresAt: days(10).toISOString() }), days(10));
+  assert.deepEqual(rotationDueDate({ rotateEvery: 90, expiresAt: days(10), rotatedAt }), days(10));
+  assert.deepEqual(rotationDueDate({ rotateEvery: 5, expiresAt: days(10), rotatedAt }), days(5));
+});
+
+test('rotation periods and dates are checked', () => {
+  assert.equal(isRotateEvery(1), true);
+  assert.equal(isRotateEvery(3650), true);
+  assert.equal(isRotateEvery(0), false);
+  assert.equal(isRotateEvery(3651), false);
+  assert.equal(isRotateEvery(1.5), false);
+  assert.equal(isDateString('2026-01-01'), true);
+  assert.equal(isDateString('soon'), false);
+  assert.equal(isDateString(null), false);
+});
+
+// PUT /items/:id
+
+const userId = new mongoose.Types.ObjectId();
+const fingerprint = 'Xq3vL0tHnq1RFa7bEo0cJw';
+
+const edit = async (body) => {
+  const item = new VaultItem({
+    userId,
+    title: 'title',
+    encryptedData: 'data',
+    iv: 'iv',
+    passwordFingerprint: fingerprint,
+    rotateEvery: 90,
+    rotatedAt,
+    version: 2
+  });
+  item.isNew = false;
+
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  mock.method(VaultItem, 'findOne', async () => item);
+  mock.method(ItemRevision, 'create', async () => []);
+  mock.method(ItemRevision, 'find', () => {
+    const query = { sort: () => query, skip: () => query, select: () => query, session: async () => [] };
+    return query;
+  });
+  mock.method(mongoose.connection, 'transaction', async (fn) => fn(null));
+  mock.method(User, 'findByIdAndUpdate', () => ({ select: async () => ({ vaultRevision: 3 }) }));
+  mock.method(VaultItem.prototype, 'save', async function () { return this; });
+  const unlockHeaders = stubUnlocked(mock);
+
+  const app = await startApp([['/api/vault', vaultRoutes]]);
+  try {
+    const res = await fetch(`${app.url}/api/vault/items/${item._id}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Cookie: sessionCookie(String(userId)),
+        'If-Match': '"2"',
+        ...unlockHeaders
+      },
+      body: JSON.stringify({ title: 'new title', encryptedData: 'new data', iv: 'new iv', ...body })
+    });
+    mock.restoreAll();
+    return { status: res.status, rotated: item.rotatedAt.getTime() !== rotatedAt.getTime() };
+  } finally {
+    await app.close();
+  }
+};
+
+test('only an edit that changes the password starts a new rotation period', async () => {
+  assert.deepEqual(await edit({ passwordFingerprint: fingerprint }), { status: 200, rotated: false });
+  assert.deepEqual(await edit({}), { status: 200, rotated: false });
+  assert.deepEqual(await edit({ passwordChanged: false }), { status: 200, rotated: false });
+  assert.deepEqual(await edit({ passwordFingerprint: '9fKx2cWm4AbT0uYp1Ls8Dg' }), { status: 200, rotated: true });
+  assert.deepEqual(await edit({ passwordChanged: true }), { status: 200, rotated: true });
+  assert.deepEqual(await edit({ passwordChanged: 'yes' }), { status: 400, rotated: false });
+});
@@ -0,0 +1,120 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import VaultItem from '../models/VaultItem.js';
+import ItemShare from '../models/ItemShare.js';
+import authRoutes from '../routes/auth.js';
+import shareRoutes from '../routes/shares.js';
+import { findAccessibleItem } from '../utils/itemAccess.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const ownerId = new mongoose.Types.ObjectId();
+const recipientId = new mongoose.Types.ObjectId();
+
+const ownItem = (fields = {}) => new VaultItem({
+  userId: ownerId,
+  title: 'title',
+  encryptedData: 'data',
+  iv: 'iv',
+  encryptedItemKey: 'item key wrapped for the owner',
+  ...fields
+});
+
+const request = async (method, path, body, headers = {}) => {
+  const app = await startApp([['/api/auth', authRoutes], ['/api/vault/shares', shareRoutes]]);
+  try {
+    const res = await fetch(`${app.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie(String(ownerId)), ...headers },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    await app.close();
+  }
+};
+
+// A recipient found by email, and the share upsert
+const stubShare = (item, recipient) => {
+  stubUsers(mock, [{ _id: ownerId, sessionVersion: 0 }]);
+  mock.method(VaultItem, 'findOne', async () => item);
+  mock.method(User, 'findOne', () => ({ select: async () => recipient }));
+  return mock.method(ItemShare, 'findOneAndUpdate', async (filter, update) => ({ ...filter, ...update }));
+};
+
+const share = (headers, body = {}) => request('POST', '/api/vault/shares', {
+  itemId: String(new mongoose.Types.ObjectId()),
+  email: 'colleague@example.com',
+  wrappedKey: 'item key wrapped for the recipient',
+  ...body
+}, headers);
+
+afterEach(() => mock.restoreAll());
+
+test('a key pair is only replaced from an unlocked vault', async () => {
+  stubUsers(mock, [{ _id: ownerId, sessionVersion: 0 }]);
+  const update = mock.method(User, 'findByIdAndUpdate', async () => ({ _id: ownerId }));
+  const keys = { publicKey: 'public key', encryptedPrivateKey: 'wrapped private key', privateKeyIv: 'iv' };
+
+  assert.equal((await request('PUT', '/api/auth/keys', keys)).status, 401);
+  assert.equal(update.mock.callCount(), 0);
+
+  const unlockHeaders = stubUnlocked(mock);
+  assert.equal((await request('PUT', '/api/auth/keys', keys, unlockHeaders)).status, 200);
+  assert.deepEqual(update.mock.calls[0].arguments[1], keys);
+});
+
+test('an item is shared with the key wrapped to the recipient', async () => {
+  const upsert = stubShare(ownItem(), { _id: recipientId, publicKey: 'recipient public key' });
+
+  const { status } = await share(stubUnlocked(mock), { permission: 'write' });
+  assert.equal(status, 201);
+
+  const [filter, update, options] = upsert.mock.calls[0].arguments;
+  assert.ok(filter.recipientId.equals(recipientId));
+  assert.deepEqual(update, {
+    ownerId: String(ownerId),
+    wrappedKey: 'item key wrapped for the recipient',
+    permission: 'write'
+  });
+  assert.equal(options.upsert, true);
+});
+
+test('sharing needs an item key, a recipient key and another user', async () => {
+  const attempt = async (item, recipient) => {
+    const upsert = stubShare(item, recipient);
+    const { status } = await share(stubUnlocked(mock));
+    mock.restoreAll();
+    return { status, shared: upsert.mock.callCount() > 0 };
+  };
+
+  assert.deepEqual(
+    await attempt(ownItem({ encryptedItemKey: null }), { _id: recipientId, publicKey: 'key' }),
+    { status: 400, shared: false }
+  );
+  assert.deepEqual(
+    await attempt(ownItem(), { _id: recipientId, publicKey: null }),
+    { status: 404, shared: false }
+  );
+  assert.deepEqual(
+    await attempt(ownItem(), { _id: ownerId, publicKey: 'my own key' }),
+    { status: 400, shared: false }
+  );
+});
+
+test('a recipient writes only through a write share', async () => {
+  const item = ownItem();
+  let itemShare = { itemId: item._id, recipientId, permission: 'read' };
+  mock.method(VaultItem, 'findOne', async () => item);
+  mock.method(ItemShare, 'findOne', async () => itemShare);
+
+  assert.ok(await findAccessibleItem(item._id, recipientId));
+  assert.equal(await findAccessibleItem(item._id, recipientId, { write: true }), null);
+
+  itemShare = { ...itemShare, permission: 'write' };
+  assert.equal((await findAccessibleItem(item._id, recipientId, { write: true })).share.permission, 'write');
+
+  itemShare = null;
+  assert.equal(await findAccessibleItem(item._id, recipientId), null);
+});
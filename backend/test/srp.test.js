@@ -0,0 +1,170 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import srpRoutes from '../routes/srp.js';
+import {
+  isSrpSalt,
+  isGroupElement,
+  generateSrpSalt,
+  fakeSrpSalt,
+  createServerEphemeral,
+  verifyClientProof
+} from '../utils/srp.js';
+import { startApp, sessionCookie, stubUsers } from './helpers.js';
+
+// The client side of utils/srp.js, as documented there
+const N = BigInt('0x' +
+  'AC6BDB41324A9A9BF166DE5E1389582FAF72B6651987EE07FC3192943DB56050' +
+  'A37329CBB4A099ED8193E0757767A13DD52312AB4B03310DCD7F48A9DA04FD50' +
+  'E8083969EDB767B0CF6095179A163AB3661A05FBD5FAAAE82918A9962F0B93B8' +
+  '55F97993EC975EEAA80D740ADBF4FF747359D041D5C33EA71D281E446B14773B' +
+  'CA97B43A23FB801676BD207A436C6481F1D2B9078717461A5B9D32E688F87748' +
+  '544523B524B0D57D5EA77A2775D2ECFA032CFBDBF52FB3786160279004E57AE6' +
+  'AF874E7303CE53299CCC041C7BC308D82A5698F3A8D0C38271AE35F8E9DBFBB6' +
+  '94B5C803D89F7AE435DE236D525F54759B65E372FCD68EF20FA7111F9E4AFF73');
+const g = 2n;
+
+const H = (...parts) => {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+};
+const toBigInt = (buffer) => BigInt('0x' + buffer.toString('hex'));
+const pad = (value) => Buffer.from(value.toString(16).padStart(512, '0'), 'hex');
+const modPow = (base, exponent, modulus) => {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+};
+
+const privateKey = (identity, password, salt) =>
+  toBigInt(H(Buffer.from(salt, 'hex'), H(Buffer.from(`${identity}:${password}`, 'utf8'))));
+
+const register = (identity, password) => {
+  const salt = generateSrpSalt();
+  return { salt, verifier: modPow(g, privateKey(identity, password, salt), N).toString(16) };
+};
+
+// Run a login against a fresh server ephemeral, returns the server's answer
+// and the M2 the client expects
+const login = (identity, password, account) => {
+  const ephemeral = createServerEphemeral(account.verifier);
+  const a = toBigInt(crypto.randomBytes(32));
+  const A = modPow(g, a, N);
+  const B = BigInt('0x' + ephemeral.public);
+
+  const x = privateKey(identity, password, account.salt);
+  const k = toBigInt(H(pad(N), pad(g)));
+  const u = toBigInt(H(pad(A), pad(B)));
+  const base = ((B - k * modPow(g, x, N)) % N + N) % N;
+  const K = H(pad(modPow(base, a + u * x, N)));
+
+  const hN = H(pad(N));
+  const hg = H(pad(g));
+  const M1 = H(Buffer.from(hN.map((byte, index) => byte ^ hg[index])), H(Buffer.from(identity, 'utf8')),
+    Buffer.from(account.salt, 'hex'), pad(A), pad(B), K);
+
+  const M2 = verifyClientProof({
+    identity,
+    salt: account.salt,
+    verifier: account.verifier,
+    clientPublic: A.toString(16),
+    serverSecret: ephemeral.secret,
+    serverPublic: ephemeral.public,
+    clientProof: M1.toString('hex')
+  });
+  return { M2, expectedM2: H(pad(A), M1, K).toString('hex') };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('a client that knows the password is accepted and can check the server', () => {
+  const account = register('user@example.com', 'correct horse');
+  const { M2, expectedM2 } = login('user@example.com', 'correct horse', account);
+  assert.equal(M2, expectedM2);
+});
+
+test('a wrong password or another identity is refused', () => {
+  const account = register('user@example.com', 'correct horse');
+  assert.equal(login('user@example.com', 'wrong horse', account).M2, null);
+  assert.equal(login('other@example.com', 'correct horse', account).M2, null);
+});
+
+test('degenerate client values are refused', () => {
+  const account = register('user@example.com', 'correct horse');
+  const ephemeral = createServerEphemeral(account.verifier);
+  const proof = {
+    identity: 'user@example.com',
+    salt: account.salt,
+    verifier: account.verifier,
+    serverSecret: ephemeral.secret,
+    serverPublic: ephemeral.public,
+    clientProof: '00'.repeat(32)
+  };
+
+  // A = 0 or N would make the session key known without the password
+  assert.equal(verifyClientProof({ ...proof, clientPublic: '0' }), null);
+  assert.equal(verifyClientProof({ ...proof, clientPublic: N.toString(16) }), null);
+  assert.equal(verifyClientProof({ ...proof, clientPublic: '2', clientProof: 'zz' }), null);
+});
+
+test('salts and group elements are checked', () => {
+  assert.equal(isSrpSalt(generateSrpSalt()), true);
+  assert.equal(isSrpSalt('abcd'), false);
+  assert.equal(isGroupElement('1'), true);
+  assert.equal(isGroupElement('0'), false);
+  assert.equal(isGroupElement(N.toString(16)), false);
+  assert.equal(isGroupElement('xyz'), false);
+
+  assert.equal(fakeSrpSalt('nobody@example.com'), fakeSrpSalt('nobody@example.com'));
+  assert.equal(isSrpSalt(fakeSrpSalt('nobody@example.com')), true);
+});
+
+// PUT /verifier
+
+const userId = new mongoose.Types.ObjectId();
+
+const putVerifier = async (user, body) => {
+  stubUsers(mock, [user]);
+  const update = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const app = await startApp([['/api/auth/srp', srpRoutes]]);
+  try {
+    const res = await fetch(`${app.url}/api/auth/srp/verifier`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie(String(userId), { sv: 0 }) },
+      body: JSON.stringify({ ...register('user@example.com', 'new password'), ...body })
+    });
+    return { status: res.status, updated: update.mock.callCount() > 0 };
+  } finally {
+    await app.close();
+  }
+};
+
+test('an SRP-only account replaces its verifier only with the current master key', async () => {
+  const user = { _id: userId, sessionVersion: 0, password: null, masterKey: await bcrypt.hash('master key', 4) };
+
+  assert.deepEqual(await putVerifier(user, {}), { status: 400, updated: false });
+  assert.deepEqual(await putVerifier(user, { currentMasterKey: 'guess' }), { status: 400, updated: false });
+  assert.deepEqual(await putVerifier(user, { currentMasterKey: 'master key' }), { status: 200, updated: true });
+});
+
+test('an account with a password confirms the password', async () => {
+  const user = {
+    _id: userId,
+    sessionVersion: 0,
+    password: await bcrypt.hash('password', 4),
+    masterKey: await bcrypt.hash('master key', 4)
+  };
+
+  assert.deepEqual(await putVerifier(user, { currentMasterKey: 'master key' }), { status: 400, updated: false });
+  assert.deepEqual(await putVerifier(user, { password: 'password' }), { status: 200, updated: true });
+});
@@ -0,0 +1,47 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import VaultItem from '../models/VaultItem.js';
+import { saveWithRevision } from '../utils/sync.js';
+
+const userId = new mongoose.Types.ObjectId();
+const fakeSession = { id: 'transaction' };
+
+const newItem = (fields = {}) => new VaultItem({
+  userId,
+  title: 'title',
+  encryptedData: 'data',
+  iv: 'iv',
+  ...fields
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a personal item is saved in the transaction that allocates its revision', async () => {
+  mock.method(mongoose.connection, 'transaction', async (fn) => fn(fakeSession));
+  const bump = mock.method(User, 'findByIdAndUpdate', (id, update, options) => ({
+    select: async () => {
+      assert.equal(options.session, fakeSession);
+      return { vaultRevision: 7 };
+    }
+  }));
+
+  const item = newItem();
+  const save = mock.method(item, 'save', async () => item);
+  await saveWithRevision(item);
+
+  assert.equal(bump.mock.callCount(), 1);
+  assert.equal(item.revision, 7);
+  assert.equal(save.mock.calls[0].arguments[0].session, fakeSession);
+});
+
+test('an organization item is saved without a revision or transaction', async () => {
+  const transaction = mock.method(mongoose.connection, 'transaction', async (fn) => fn(fakeSession));
+  const item = newItem({ organizationId: new mongoose.Types.ObjectId() });
+  const save = mock.method(item, 'save', async () => item);
+  await saveWithRevision(item);
+
+  assert.equal(transaction.mock.callCount(), 0);
+  assert.equal(save.mock.calls[0].arguments[0].session, null);
+});
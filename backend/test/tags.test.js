@@ -0,0 +1,159 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import VaultItem from '../models/VaultItem.js';
+import TagSetting from '../models/TagSetting.js';
+import OrgMembership from '../models/OrgMembership.js';
+import tagRoutes from '../routes/tags.js';
+import vaultRoutes from '../routes/vault.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+const orgId = new mongoose.Types.ObjectId();
+const work = 'Xq3vL0tHnq1RFa7bEo0cJw';
+const jobs = '9fKx2cWm4AbT0uYp1Ls8Dg';
+const fakeSession = { withTransaction: async (fn) => fn(), endSession: async () => {} };
+
+// Stub the models the tag routes use. Returns the mocks to inspect.
+const stubTags = ({ itemIds = [new mongoose.Types.ObjectId()], setting = null, role = 'admin' } = {}) => {
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  mock.method(OrgMembership, 'findOne', async () => ({ orgId, userId, role }));
+  mock.method(mongoose, 'startSession', async () => fakeSession);
+  mock.method(User, 'findByIdAndUpdate', () => ({ select: async () => ({ vaultRevision: 7 }) }));
+  mock.method(VaultItem, 'distinct', () => ({ session: async () => itemIds }));
+  return {
+    updateMany: mock.method(VaultItem, 'updateMany', async () => ({ modifiedCount: itemIds.length })),
+    exists: mock.method(TagSetting, 'exists', () => ({ session: async () => null })),
+    findOne: mock.method(TagSetting, 'findOne', () => ({ session: async () => setting })),
+    deleteMany: mock.method(TagSetting, 'deleteMany', async () => ({ deletedCount: 0 }))
+  };
+};
+
+const request = async (method, path, body) => {
+  const unlockHeaders = stubUnlocked(mock);
+  const app = await startApp([['/api/vault/tags', tagRoutes], ['/api/vault', vaultRoutes]]);
+  try {
+    const res = await fetch(`${app.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie(String(userId)), ...unlockHeaders },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  } finally {
+    await app.close();
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+test('tags are listed by token with their counts and my settings', async () => {
+  stubTags();
+  mock.method(VaultItem, 'aggregate', async () => [{ _id: work, name: 'encrypted work', count: 3 }]);
+  mock.method(TagSetting, 'find', async () => [
+    { token: work, color: '#ff0000', description: null },
+    { token: jobs, color: null, description: 'encrypted description' }
+  ]);
+
+  const { status, body } = await request('GET', '/api/vault/tags');
+  assert.equal(status, 200);
+  assert.deepEqual(body.tags, [
+    { token: jobs, name: null, count: 0, color: null, description: 'encrypted description' },
+    { token: work, name: 'encrypted work', count: 3, color: '#ff0000', description: null }
+  ]);
+});
+
+test('a rename replaces the tag on every item and moves my settings', async () => {
+  const setting = { token: work, save: mock.fn(async () => {}) };
+  const { updateMany, deleteMany } = stubTags({ setting });
+
+  const { status } = await request('POST', '/api/vault/tags/rename', {
+    from: work,
+    to: { token: jobs, name: 'encrypted jobs' }
+  });
+  assert.equal(status, 200);
+
+  const [push, pull] = updateMany.mock.calls.map(call => call.arguments);
+  assert.deepEqual(push[0]['tags.token'], { $ne: jobs });
+  assert.deepEqual(push[1], { $push: { tags: { token: jobs, name: 'encrypted jobs' } } });
+  assert.deepEqual(pull[1], {
+    $pull: { tags: { token: { $in: [work] } } },
+    $inc: { version: 1 },
+    $set: { revision: 7 }
+  });
+
+  assert.equal(setting.token, jobs);
+  assert.equal(setting.save.mock.callCount(), 1);
+  assert.deepEqual(deleteMany.mock.calls[0].arguments[0].token, { $in: [work] });
+});
+
+test('an organization rename leaves my personal tag settings alone', async () => {
+  const { updateMany, exists, findOne, deleteMany } = stubTags();
+
+  const { status } = await request('POST', '/api/vault/tags/rename', {
+    from: work,
+    to: { token: jobs, name: 'encrypted jobs' },
+    organizationId: String(orgId)
+  });
+  assert.equal(status, 200);
+
+  // Organization items are not part of the personal sync
+  assert.equal(updateMany.mock.calls[1].arguments[1].$set, undefined);
+  assert.equal(exists.mock.callCount(), 0);
+  assert.equal(findOne.mock.callCount(), 0);
+  assert.equal(deleteMany.mock.callCount(), 0);
+});
+
+test('only organization admins rewrite organization tags', async () => {
+  const { updateMany } = stubTags({ role: 'member' });
+
+  const { status } = await request('DELETE', `/api/vault/tags/${work}?organizationId=${orgId}`);
+  assert.equal(status, 403);
+  assert.equal(updateMany.mock.callCount(), 0);
+});
+
+test('a merge removes every source but the target', async () => {
+  const { updateMany } = stubTags();
+
+  const { status } = await request('POST', '/api/vault/tags/merge', {
+    from: [work, jobs, work],
+    to: { token: jobs, name: 'encrypted jobs' }
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(updateMany.mock.calls[1].arguments[1].$pull, { tags: { token: { $in: [work] } } });
+});
+
+test('renaming a tag to itself is refused', async () => {
+  const { updateMany } = stubTags();
+
+  const { status } = await request('POST', '/api/vault/tags/rename', {
+    from: work,
+    to: { token: work, name: 'encrypted work' }
+  });
+  assert.equal(status, 400);
+  assert.equal(updateMany.mock.callCount(), 0);
+});
+
+test('tag routes and item routes accept the same tags', async () => {
+  stubTags();
+  mock.method(VaultItem.prototype, 'save', async function () { return this; });
+  mock.method(mongoose.connection, 'transaction', async (fn) => fn(null));
+
+  const item = { title: 'title', encryptedData: 'data', iv: 'iv' };
+  const invalid = [
+    'work',
+    { token: 'work', name: 'encrypted work' },
+    { token: work, name: '' }
+  ];
+
+  for (const tag of invalid) {
+    const rename = await request('POST', '/api/vault/tags/rename', { from: jobs, to: tag });
+    const create = await request('POST', '/api/vault/items', { ...item, tags: [tag] });
+    assert.equal(rename.status, 400);
+    assert.equal(create.status, 400);
+  }
+
+  const tag = { token: work, name: 'encrypted work' };
+  assert.equal((await request('POST', '/api/vault/tags/rename', { from: jobs, to: tag })).status, 200);
+  assert.equal((await request('POST', '/api/vault/items', { ...item, tags: [tag] })).status, 201);
+});
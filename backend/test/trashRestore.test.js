@@ -0,0 +1,62 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import VaultItem from '../models/VaultItem.js';
+import Collection from '../models/Collection.js';
+import OrgMembership from '../models/OrgMembership.js';
+import vaultRoutes from '../routes/vault.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+const orgId = new mongoose.Types.ObjectId();
+
+const trashedOrgItem = () => new VaultItem({
+  userId,
+  organizationId: orgId,
+  collectionId: null,
+  title: 'title',
+  encryptedData: 'data',
+  iv: 'iv',
+  deletedAt: new Date()
+});
+
+const restore = async (item, body) => {
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  const unlockHeaders = stubUnlocked(mock);
+  mock.method(VaultItem, 'findOne', async () => item);
+  mock.method(OrgMembership, 'findOne', async () => ({ orgId, userId, role: 'admin' }));
+  mock.method(item, 'save', async () => item);
+
+  const app = await startApp([['/api/vault', vaultRoutes]]);
+  try {
+    return await fetch(`${app.url}/api/vault/trash/${item._id}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie(String(userId)), ...unlockHeaders },
+      body: JSON.stringify(body)
+    });
+  } finally {
+    await app.close();
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+test('an item of a deleted collection is not restored without a new collection', async () => {
+  mock.method(Collection, 'exists', async () => null);
+  const item = trashedOrgItem();
+
+  const res = await restore(item, {});
+  assert.equal(res.status, 400);
+  assert.notEqual(item.deletedAt, null);
+});
+
+test('an item of a deleted collection can be restored into another collection', async () => {
+  const collectionId = new mongoose.Types.ObjectId();
+  mock.method(Collection, 'exists', async (filter) => (String(filter._id) === String(collectionId) ? { _id: collectionId } : null));
+  const item = trashedOrgItem();
+
+  const res = await restore(item, { collectionId: String(collectionId) });
+  assert.equal(res.status, 200);
+  assert.equal(item.deletedAt, null);
+  assert.equal(String(item.collectionId), String(collectionId));
+});
@@ -0,0 +1,85 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import VaultItem from '../models/VaultItem.js';
+import UnlockSession from '../models/UnlockSession.js';
+import vaultRoutes from '../routes/vault.js';
+import attachmentRoutes from '../routes/attachments.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+// Mounted like server.js, attachments on their own router in front of the vault routes
+const get = async (path, headers = {}, method = 'GET') => {
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0, vaultRevision: 0 }]);
+  const app = await startApp([
+    ['/api/vault/items/:id/attachments', attachmentRoutes],
+    ['/api/vault', vaultRoutes]
+  ]);
+  try {
+    return await fetch(`${app.url}/api/vault${path}`, {
+      method,
+      headers: { Cookie: sessionCookie(String(userId)), ...headers }
+    });
+  } finally {
+    await app.close();
+  }
+};
+
+afterEach(() => mock.restoreAll());
+
+for (const path of ['/search', '/sync']) {
+  test(`${path} needs an unlocked vault`, async () => {
+    const find = mock.method(VaultItem, 'find', () => {
+      throw new Error('items must not be read while the vault is locked');
+    });
+
+    const res = await get(path);
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).locked, true);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  test(`${path} refuses an unlock token that is no longer live`, async () => {
+    mock.method(UnlockSession, 'findOne', async () => null);
+
+    const res = await get(path, { 'X-Unlock-Token': 'expired-token' });
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).locked, true);
+  });
+}
+
+test('an unlocked vault can be synced', async () => {
+  const unlockHeaders = stubUnlocked(mock);
+  mock.method(VaultItem, 'find', () => ({ sort: async () => [] }));
+
+  const res = await get('/sync', unlockHeaders);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).fullSync, true);
+});
+
+test('item and attachment routes need an unlocked vault', async () => {
+  const findOne = mock.method(VaultItem, 'findOne', () => {
+    throw new Error('items must not be read while the vault is locked');
+  });
+  mock.method(VaultItem, 'find', () => {
+    throw new Error('items must not be read while the vault is locked');
+  });
+  const itemId = new mongoose.Types.ObjectId();
+  const attachmentId = new mongoose.Types.ObjectId();
+
+  const routes = [
+    ['GET', '/items'],
+    ['GET', `/items/${itemId}`],
+    ['PUT', `/items/${itemId}`],
+    ['POST', `/items/${itemId}/attachments`],
+    ['GET', `/items/${itemId}/attachments/${attachmentId}`],
+    ['DELETE', `/items/${itemId}/attachments/${attachmentId}`]
+  ];
+  for (const [method, path] of routes) {
+    const res = await get(path, {}, method);
+    assert.equal(res.status, 401, `${method} ${path}`);
+    assert.equal((await res.json()).locked, true);
+  }
+  assert.equal(findOne.mock.callCount(), 0);
+});
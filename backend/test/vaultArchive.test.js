@@ -0,0 +1,88 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import backupRoutes from '../routes/backup.js';
+import { buildArchive, computeChecksum, verifyArchive } from '../utils/vaultArchive.js';
+import { MAX_FOLDER_DEPTH } from '../utils/folderTree.js';
+import { startApp, sessionCookie, stubUsers, stubUnlocked } from './helpers.js';
+
+const item = (fields = {}) => ({
+  _id: '64b000000000000000000001',
+  type: 'login',
+  title: 'encrypted-title',
+  metadata: { uris: ['https://example.com'] },
+  encryptedData: 'data',
+  iv: 'iv',
+  tags: [{ token: 'Xq3vL0tHnq1RFa7bEo0cJw', name: 'encrypted-tag' }],
+  searchTokens: ['abcdefghijklmnop'],
+  ...fields
+});
+
+// Rebuild the checksum after tampering, like anyone holding the file can
+const reseal = (archive) => ({ ...archive, checksum: computeChecksum(archive) });
+
+test('a freshly built archive verifies', () => {
+  const archive = buildArchive({ email: 'a@example.com', folders: [], items: [item()] });
+  assert.equal(verifyArchive(archive), null);
+});
+
+test('a modified archive fails the checksum', () => {
+  const archive = buildArchive({ email: 'a@example.com', folders: [], items: [item()] });
+  archive.items[0].title = 'changed';
+  assert.match(verifyArchive(archive), /checksum/);
+});
+
+test('resealed archives are still validated item by item', () => {
+  const archive = buildArchive({ email: 'a@example.com', folders: [], items: [item()] });
+
+  const badMetadata = reseal({ ...archive, items: [{ ...archive.items[0], metadata: { password: 'x' } }] });
+  assert.match(verifyArchive(badMetadata), /Item 0 is invalid: password is not allowed/);
+
+  const badTokens = reseal({ ...archive, items: [{ ...archive.items[0], searchTokens: ['short'] }] });
+  assert.match(verifyArchive(badTokens), /Item 0 is invalid: searchTokens/);
+
+  const badDate = reseal({ ...archive, items: [{ ...archive.items[0], deletedAt: 'not a date' }] });
+  assert.match(verifyArchive(badDate), /Item 0 is invalid: deletedAt must be a date/);
+
+  const badStrength = reseal({ ...archive, items: [{ ...archive.items[0], passwordStrength: 9 }] });
+  assert.match(verifyArchive(badStrength), /passwordStrength/);
+});
+
+const folder = (id, parentId = null) => ({ id, name: `folder ${id}`, parentId });
+const withFolders = (folders) => reseal({ ...buildArchive({ email: 'a@example.com', folders: [], items: [] }), folders });
+
+test('archived folders must form a tree', () => {
+  assert.equal(verifyArchive(withFolders([folder('a'), folder('b', 'a')])), null);
+
+  assert.match(verifyArchive(withFolders([folder('a', 'missing')])), /Folder 0 is invalid: parent missing/);
+  assert.match(verifyArchive(withFolders([folder('a', 'a')])), /cannot contain themselves/);
+  assert.match(verifyArchive(withFolders([folder('a', 'b'), folder('b', 'a')])), /cannot contain themselves/);
+  assert.match(verifyArchive(withFolders([folder('a'), folder('a')])), /duplicate id/);
+
+  const chain = (length) => Array.from({ length }, (_, i) => folder(`f${i}`, i === 0 ? null : `f${i - 1}`));
+  assert.equal(verifyArchive(withFolders(chain(MAX_FOLDER_DEPTH))), null);
+  assert.match(verifyArchive(withFolders(chain(MAX_FOLDER_DEPTH + 1))), /nested more than/);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a cyclic archive is rejected before anything is written', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  const unlockHeaders = stubUnlocked(mock);
+  const startSession = mock.method(mongoose, 'startSession');
+
+  const app = await startApp([['/api/vault', backupRoutes]]);
+  try {
+    const res = await fetch(`${app.url}/api/vault/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie(String(userId)), ...unlockHeaders },
+      body: JSON.stringify({ archive: withFolders([folder('a', 'b'), folder('b', 'a')]), mode: 'replace' })
+    });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /cannot contain themselves/);
+    assert.equal(startSession.mock.callCount(), 0);
+  } finally {
+    await app.close();
+  }
+});
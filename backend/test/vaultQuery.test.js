@@ -0,0 +1,102 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import SavedSearch from '../models/SavedSearch.js';
+import savedSearchRoutes from '../routes/savedSearches.js';
+import { MAX_TERMS, parseVaultQuery } from '../utils/vaultQuery.js';
+import { startApp, sessionCookie, stubUsers } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2025-06-30T12:00:00.000Z');
+const work = 'Xq3vL0tHnq1RFa7bEo0cJw';
+const old = '9fKx2cWm4AbT0uYp1Ls8Dg';
+
+afterEach(() => mock.restoreAll());
+
+test('terms are combined, negated terms excluded', () => {
+  const { filter } = parseVaultQuery(`tag:${work} type:login -tag:${old} favorite:true`, now);
+  assert.deepEqual(filter, {
+    $and: [{ 'tags.token': work }, { type: 'login' }, { favorite: true }],
+    $nor: [{ 'tags.token': old }]
+  });
+});
+
+test('quoted values may contain spaces', () => {
+  assert.deepEqual(parseVaultQuery('type:"secure note" folder:none', now).errors, ['Unknown item type: secure note']);
+});
+
+test('an empty query matches everything', () => {
+  assert.deepEqual(parseVaultQuery('', now), { filter: {} });
+});
+
+test('relative and absolute dates', () => {
+  assert.deepEqual(parseVaultQuery('updated:<30d', now).filter.$and[0], {
+    updatedAt: { $gt: new Date(now.getTime() - 30 * DAY_MS) }
+  });
+  assert.deepEqual(parseVaultQuery('used:>2w', now).filter.$and[0], {
+    lastUsedAt: { $lt: new Date(now.getTime() - 14 * DAY_MS) }
+  });
+  assert.deepEqual(parseVaultQuery('created:<2024-01-31', now).filter.$and[0], {
+    createdAt: { $lt: new Date('2024-01-31T00:00:00.000Z') }
+  });
+  // "after the date" starts with the next day
+  assert.deepEqual(parseVaultQuery('created:>2024-01-31', now).filter.$and[0], {
+    createdAt: { $gte: new Date('2024-02-01T00:00:00.000Z') }
+  });
+});
+
+test('flags, breaches, rotation and attachments', () => {
+  const { filter } = parseVaultQuery('breached:false overdue:true has:attachments', now);
+  assert.deepEqual(filter.$and, [
+    { passwordBreached: { $ne: true } },
+    { rotationDueAt: { $lte: now } },
+    { 'attachments.0': { $exists: true } }
+  ]);
+});
+
+test('ids are cast for folder and collection terms', () => {
+  const folderId = new mongoose.Types.ObjectId();
+  const { filter } = parseVaultQuery(`folder:${folderId}`, now);
+  assert.ok(filter.$and[0].folderId.equals(folderId));
+});
+
+test('every bad term is reported', () => {
+  const { errors } = parseVaultQuery('type:car tag:work secret favorite:maybe color:red folder:x updated:soon', now);
+  assert.deepEqual(errors, [
+    'Unknown item type: car',
+    'Invalid tag token: work',
+    'Free text is not supported, search encrypted fields with blind index tokens: secret',
+    'favorite must be true or false',
+    'Unknown search key: color',
+    'Invalid folder id: x',
+    'Invalid updated: value: soon'
+  ]);
+});
+
+test('queries are limited in terms and length', () => {
+  const terms = Array.from({ length: MAX_TERMS + 1 }, (_, i) => `favorite:${i % 2 === 0}`).join(' ');
+  assert.deepEqual(parseVaultQuery(terms, now).errors, [`Query cannot have more than ${MAX_TERMS} terms`]);
+  assert.equal(parseVaultQuery('x'.repeat(501), now).errors.length, 1);
+  assert.deepEqual(parseVaultQuery(42, now).errors, ['Query must be a string']);
+});
+
+test('a saved search name taken by a concurrent request is reported as a duplicate', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  stubUsers(mock, [{ _id: userId, sessionVersion: 0 }]);
+  mock.method(SavedSearch.prototype, 'save', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  const app = await startApp([['/api/saved-searches', savedSearchRoutes]]);
+  try {
+    const res = await fetch(`${app.url}/api/saved-searches`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: sessionCookie(String(userId)) },
+      body: JSON.stringify({ name: 'Work', query: `tag:${work}` })
+    });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).message, 'A saved search with this name already exists');
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,60 @@
+import User from '../models/user.js';
+import { getStorage } from '../storage/index.js';
+import { STORAGE_QUOTA_BYTES } from '../config/vault.js';
+
+// Attachments count against the quota of the item's userId:
+// the owner for personal items, the creator for organization items.
+
+const storageQuota = (user) => user.storageQuota ?? STORAGE_QUOTA_BYTES;
+
+// Reserve size bytes of the user's quota.
+// Returns false (and reserves nothing) when the quota would be exceeded.
+const reserveStorage = async (userId, size) => {
+  const user = await User.findById(userId).select('storageQuota');
+  if (!user) return false;
+
+  const remaining = storageQuota(user) - size;
+  if (remaining < 0) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ storageUsed: { $lte: remaining } }, { storageUsed: { $exists: false } }]
+    },
+    { $inc: { storageUsed: size } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const releaseStorage = (userId, size) =>
+  User.updateOne({ _id: userId }, { $inc: { storageUsed: -size } });
+
+// Delete the attachment blobs of items that were purged and give the space back.
+// A blob that cannot be removed is logged and left behind.
+const removeAttachments = async (items) => {
+  const storage = getStorage();
+  const freedByUser = new Map();
+
+  for (const item of items) {
+    for (const attachment of item.attachments || []) {
+      try {
+        await storage.remove(attachment.storageKey);
+      } catch (error) {
+        console.error('Failed to remove attachment blob:', error.message);
+      }
+      const key = String(item.userId);
+      freedByUser.set(key, (freedByUser.get(key) || 0) + attachment.size);
+    }
+  }
+
+  for (const [userId, size] of freedByUser) {
+    await releaseStorage(userId, size);
+  }
+};
+
+export {
+  storageQuota,
+  reserveStorage,
+  releaseStorage,
+  removeAttachments
+};
@@ -0,0 +1,133 @@
+// Blind index search tokens.
+//
+// Clients encrypt `title` and `tags` and never send them in plaintext. To keep
+// items searchable each item carries `searchTokens`, computed on the client as
+//
+//   token = base64url(first 16 bytes of HMAC-SHA256(searchKey, kind + ':' + word))
+//
+// where searchKey is derived from the user's key material and never leaves the
+// client, word is a lowercased, NFKC-normalized word of the title or a tag, and
+// kind is 'w' for the whole word or 'p' for each of its prefixes of
+// MIN_PREFIX_LENGTH characters or more. To search, the client computes the 'w'
+// token for words that must match exactly and the 'p' token for words typed as
+// prefixes; the server returns items that carry every requested token.
+//
+// Each tag is stored as { token, name }: name is the tag encrypted on the client
+// and token the blind index of the whole tag, kind 't' over normalizeTag(tag).
+// Equal tags get equal tokens, so the server can count, rename, merge and
+// filter tags (routes/tags.js, tag: in utils/vaultQuery.js) by token alone.
+// A rename writes one encrypted name to many items, so tag names are encrypted
+// with the vault key (the organization's key for organization items), not an
+// item key.
+//
+// computeSearchTokens, computeQueryTokens and computeTagToken only use
+// WebCrypto, so clients can import this module as-is.
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,88}$/;
+const MAX_TOKENS_PER_ITEM = 512;
+const MAX_QUERY_TOKENS = 16;
+const MIN_PREFIX_LENGTH = 2;
+const MAX_TAGS_PER_ITEM = 100;
+const MAX_TAG_NAME_LENGTH = 1024;
+
+// Returns an error message when tokens is not a valid searchTokens value
+const validateSearchTokens = (tokens, max = MAX_TOKENS_PER_ITEM) => {
+  if (!Array.isArray(tokens)) return 'searchTokens must be an array';
+  if (tokens.length > max) return `searchTokens cannot have more than ${max} entries`;
+  if (!tokens.every(token => typeof token === 'string' && TOKEN_PATTERN.test(token))) {
+    return 'searchTokens must be base64url or hex strings of 16 to 88 characters';
+  }
+  return null;
+};
+
+const isTagToken = (value) => typeof value === 'string' && TOKEN_PATTERN.test(value);
+
+// Returns an error message when tag is not a valid { token, name } pair
+const validateTag = (tag) => {
+  if (tag === null || typeof tag !== 'object' || Array.isArray(tag)) return 'tag must be an object';
+  if (!isTagToken(tag.token)) return 'tag token must be a base64url or hex string of 16 to 88 characters';
+  if (typeof tag.name !== 'string' || tag.name === '' || tag.name.length > MAX_TAG_NAME_LENGTH) {
+    return `tag name must be an encrypted string of at most ${MAX_TAG_NAME_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Returns an error message when tags is not a valid tags value of an item
+const validateTags = (tags) => {
+  if (!Array.isArray(tags)) return 'tags must be an array';
+  if (tags.length > MAX_TAGS_PER_ITEM) return `tags cannot have more than ${MAX_TAGS_PER_ITEM} entries`;
+  for (const tag of tags) {
+    const tagError = validateTag(tag);
+    if (tagError) return tagError;
+  }
+  if (new Set(tags.map(tag => tag.token)).size !== tags.length) return 'tags cannot list a tag twice';
+  return null;
+};
+
+const splitWords = (text) =>
+  text.normalize('NFKC').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const importSearchKey = (rawKey) =>
+  globalThis.crypto.subtle.importKey('raw', rawKey, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+
+const tokenFor = async (key, kind, word) => {
+  const data = new TextEncoder().encode(`${kind}:${word}`);
+  const signature = await globalThis.crypto.subtle.sign('HMAC', key, data);
+  return toBase64Url(new Uint8Array(signature).slice(0, 16));
+};
+
+// Tokens to store on an item for its title (and optionally its tags)
+const computeSearchTokens = async (rawKey, texts) => {
+  const key = await importSearchKey(rawKey);
+  const tokens = new Set();
+
+  for (const word of new Set(texts.flatMap(splitWords))) {
+    tokens.add(await tokenFor(key, 'w', word));
+    for (let length = MIN_PREFIX_LENGTH; length <= word.length; length++) {
+      tokens.add(await tokenFor(key, 'p', word.slice(0, length)));
+    }
+  }
+
+  return [...tokens].slice(0, MAX_TOKENS_PER_ITEM);
+};
+
+// Tags that differ only in case, width or spacing are the same tag
+const normalizeTag = (tag) => tag.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Token of a tag, for VaultItem.tags and the tag routes
+const computeTagToken = async (rawKey, tag) => tokenFor(await importSearchKey(rawKey), 't', normalizeTag(tag));
+
+// Tokens to send to GET /api/vault/search for a query string.
+// The last word is treated as a prefix unless exact is set.
+const computeQueryTokens = async (rawKey, queryText, { exact = false } = {}) => {
+  const key = await importSearchKey(rawKey);
+  const words = splitWords(queryText).slice(0, MAX_QUERY_TOKENS);
+
+  return Promise.all(words.map((word, index) => {
+    const isPrefix = !exact && index === words.length - 1 && word.length >= MIN_PREFIX_LENGTH;
+    return tokenFor(key, isPrefix ? 'p' : 'w', word);
+  }));
+};
+
+export {
+  TOKEN_PATTERN,
+  MAX_TOKENS_PER_ITEM,
+  MAX_QUERY_TOKENS,
+  MIN_PREFIX_LENGTH,
+  MAX_TAGS_PER_ITEM,
+  MAX_TAG_NAME_LENGTH,
+  isTagToken,
+  validateSearchTokens,
+  validateTag,
+  validateTags,
+  normalizeTag,
+  computeSearchTokens,
+  computeQueryTokens,
+  computeTagToken
+};
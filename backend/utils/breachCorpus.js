@@ -0,0 +1,120 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import BreachedPassword from '../models/BreachedPassword.js';
+
+// Breach lookups follow the k-anonymity range model: clients hash the password
+// with SHA-1, send only the first PREFIX_LENGTH hex characters and compare the
+// returned suffixes themselves, so the server never learns which password was checked.
+
+const PREFIX_LENGTH = 5;
+const PREFIX_PATTERN = /^[0-9A-F]{5}$/i;
+
+const FULL_HASH_LINE = /^([0-9A-F]{40})(?::(\d+))?$/i;
+const SUFFIX_LINE = /^([0-9A-F]{35})(?::(\d+))?$/i;
+// Range files as written by the Have I Been Pwned downloader are named after their prefix
+const RANGE_FILE_NAME = /^([0-9A-F]{5})(\.txt)?$/i;
+
+// Parse one corpus line into { prefix, suffix, count }, or null when it isn't one.
+// Lines are either a full hash (HASH:COUNT) or, in a range file, a suffix (SUFFIX:COUNT).
+const parseBreachLine = (line, rangePrefix = null) => {
+  const trimmed = line.trim();
+  const full = !rangePrefix && FULL_HASH_LINE.exec(trimmed);
+  if (full) {
+    const hash = full[1].toUpperCase();
+    return {
+      prefix: hash.slice(0, PREFIX_LENGTH),
+      suffix: hash.slice(PREFIX_LENGTH),
+      count: full[2] ? parseInt(full[2], 10) : 1
+    };
+  }
+
+  const range = rangePrefix && SUFFIX_LINE.exec(trimmed);
+  if (range) {
+    return {
+      prefix: rangePrefix.toUpperCase(),
+      suffix: range[1].toUpperCase(),
+      count: range[2] ? parseInt(range[2], 10) : 1
+    };
+  }
+
+  return null;
+};
+
+const writeBatch = (batch) => BreachedPassword.bulkWrite(
+  batch.map(({ prefix, suffix, count }) => ({
+    updateOne: {
+      filter: { prefix, suffix },
+      update: { $set: { count } },
+      upsert: true
+    }
+  })),
+  { ordered: false }
+);
+
+const importFile = async (filePath, batchSize, totals) => {
+  const nameMatch = RANGE_FILE_NAME.exec(path.basename(filePath));
+  const rangePrefix = nameMatch ? nameMatch[1] : null;
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  let batch = [];
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const entry = parseBreachLine(line, rangePrefix);
+    if (!entry) {
+      totals.skipped++;
+      continue;
+    }
+    batch.push(entry);
+    if (batch.length >= batchSize) {
+      await writeBatch(batch);
+      totals.imported += batch.length;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    await writeBatch(batch);
+    totals.imported += batch.length;
+  }
+};
+
+// Import a corpus file, or every file in a directory of range files.
+// Entries already in the database are updated, so imports can be re-run.
+const importBreachCorpus = async (source, { batchSize = 5000 } = {}) => {
+  const totals = { files: 0, imported: 0, skipped: 0 };
+  const stats = await fsPromises.stat(source);
+
+  const files = stats.isDirectory()
+    ? (await fsPromises.readdir(source)).sort().map(name => path.join(source, name))
+    : [source];
+
+  for (const file of files) {
+    await importFile(file, batchSize, totals);
+    totals.files++;
+  }
+
+  return totals;
+};
+
+// Suffixes of every breached hash starting with prefix
+const findBreachRange = async (prefix) => {
+  const entries = await BreachedPassword.find({ prefix: prefix.toUpperCase() })
+    .select('-_id suffix count')
+    .sort({ suffix: 1 })
+    .lean();
+  return entries;
+};
+
+export {
+  PREFIX_LENGTH,
+  PREFIX_PATTERN,
+  parseBreachLine,
+  importBreachCorpus,
+  findBreachRange
+};
@@ -0,0 +1,85 @@
+import EmergencyAccess from '../models/EmergencyAccess.js';
+import User from '../models/user.js';
+import transporter from '../config/nodemailer.js';
+import { generateEmergencyAccessNoticeEmail } from '../config/emailTemplate.js';
+import { EMERGENCY_ACCESS_VIEW_EVENT_MINUTES } from '../config/vault.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const recordEvent = (access, action, actorId = null) => {
+  access.events.push({ action, actorId, at: new Date() });
+};
+
+// Record a vault view unless the same contact's last view was recorded less than
+// EMERGENCY_ACCESS_VIEW_EVENT_MINUTES ago, so a client polling the vault doesn't
+// grow the audit trail without bound. Returns true when an event was added.
+const recordViewEvent = (access, actorId) => {
+  const lastView = access.events.findLast(event =>
+    event.action === 'vaultViewed' && String(event.actorId) === String(actorId));
+  if (lastView && Date.now() - lastView.at.getTime() < EMERGENCY_ACCESS_VIEW_EVENT_MINUTES * 60 * 1000) {
+    return false;
+  }
+  recordEvent(access, 'vaultViewed', actorId);
+  return true;
+};
+
+// When a pending request is granted automatically
+const approvalDate = (access) =>
+  new Date(access.recoveryInitiatedAt.getTime() + access.waitTimeDays * DAY_MS);
+
+// Email failures are logged but never block the emergency access flow
+const sendEmergencyMail = async (to, subject, html) => {
+  try {
+    await transporter.sendMail({ from: process.env.SENDER_EMAIL, to, subject, html });
+  } catch (emailError) {
+    console.error('Failed to send emergency access email:', emailError.message);
+  }
+};
+
+// Approve a request whose waiting period is over. Returns true when it changed.
+const approveIfWaitOver = async (access) => {
+  if (access.status !== 'recoveryInitiated' || approvalDate(access) > new Date()) {
+    return false;
+  }
+
+  access.status = 'recoveryApproved';
+  recordEvent(access, 'recoveryApprovedAutomatically');
+  await access.save();
+
+  const [grantor, grantee] = await Promise.all([
+    User.findById(access.grantorId).select('email'),
+    User.findById(access.granteeId).select('email')
+  ]);
+  if (grantee) {
+    await sendEmergencyMail(grantee.email, 'Emergency access granted', generateEmergencyAccessNoticeEmail(
+      'Emergency access granted',
+      `The waiting period is over. You now have ${access.accessType === 'takeover' ? 'takeover' : 'read-only'} access to the vault of ${grantor ? grantor.email : 'your contact'}.`
+    ));
+  }
+  if (grantor) {
+    await sendEmergencyMail(grantor.email, 'Emergency access granted', generateEmergencyAccessNoticeEmail(
+      'Emergency access granted',
+      `${grantee ? grantee.email : 'Your trusted contact'} was granted emergency access to your vault because the request was not rejected in time.`
+    ));
+  }
+  return true;
+};
+
+// Approve every request whose waiting period has run out
+const approveExpiredRequests = async () => {
+  const pending = await EmergencyAccess.find({ status: 'recoveryInitiated' });
+  let approved = 0;
+  for (const access of pending) {
+    if (await approveIfWaitOver(access)) approved++;
+  }
+  return approved;
+};
+
+export {
+  recordEvent,
+  recordViewEvent,
+  approvalDate,
+  sendEmergencyMail,
+  approveIfWaitOver,
+  approveExpiredRequests
+};
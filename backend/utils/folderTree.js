@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import Folder from '../models/Folder.js';
+
+const MAX_FOLDER_DEPTH = 10;
+
+// Ids of every folder nested under folderId, not including folderId itself.
+// Folders already visited are skipped, so a corrupted parent cycle can't loop forever.
+const getDescendantFolderIds = async (userId, folderId) => {
+  const descendants = [];
+  const visited = new Set([String(folderId)]);
+  let frontier = [folderId];
+
+  while (frontier.length > 0) {
+    const children = await Folder.find({
+      userId,
+      parentId: { $in: frontier }
+    }).select('_id');
+
+    frontier = children.map(child => child._id).filter(id => !visited.has(String(id)));
+    frontier.forEach(id => visited.add(String(id)));
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
+
+// Ids from parentId up to the root, parentId first
+const getAncestorFolderIds = async (userId, parentId) => {
+  const ancestors = [];
+  let currentId = parentId;
+
+  while (currentId && ancestors.length <= MAX_FOLDER_DEPTH) {
+    const folder = await Folder.findOne({ _id: currentId, userId }).select('parentId');
+    if (!folder) break;
+    ancestors.push(folder._id);
+    currentId = folder.parentId;
+  }
+
+  return ancestors;
+};
+
+// Height of the subtree rooted at folderId, 1 for a folder without children.
+// Like getDescendantFolderIds it stops at folders already visited.
+const getSubtreeHeight = async (userId, folderId) => {
+  let height = 1;
+  const visited = new Set([String(folderId)]);
+  let frontier = [folderId];
+
+  while (true) {
+    const children = await Folder.find({
+      userId,
+      parentId: { $in: frontier }
+    }).select('_id');
+
+    frontier = children.map(child => child._id).filter(id => !visited.has(String(id)));
+    if (frontier.length === 0) return height;
+    frontier.forEach(id => visited.add(String(id)));
+    height++;
+  }
+};
+
+// Returns an error message when folderId cannot be placed under parentId
+const checkFolderPlacement = async (userId, folderId, parentId) => {
+  if (!parentId) return null;
+
+  const parentExists = await Folder.exists({ _id: parentId, userId });
+  if (!parentExists) return 'Parent folder not found';
+
+  const ancestors = await getAncestorFolderIds(userId, parentId);
+  if (folderId && ancestors.some(id => id.equals(folderId))) {
+    return 'A folder cannot be moved into itself or one of its subfolders';
+  }
+
+  const height = folderId ? await getSubtreeHeight(userId, folderId) : 1;
+  if (ancestors.length + height > MAX_FOLDER_DEPTH) {
+    return `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`;
+  }
+
+  return null;
+};
+
+// Split a "Parent/Child" folder path into trimmed segments
+const splitFolderPath = (path) =>
+  path.split('/').map(segment => segment.trim()).filter(Boolean);
+
+// Map folder paths to folder ids, reusing the user's existing folders by name.
+// Folders that don't exist yet are returned unsaved in newFolders.
+const planFolderPaths = async (userId, paths) => {
+  const existing = await Folder.find({ userId }).select('name parentId');
+  const idByKey = new Map(
+    existing.map(folder => [`${folder.parentId || 'root'}/${folder.name}`, folder._id])
+  );
+
+  const folderIdByPath = new Map();
+  const newFolders = [];
+
+  for (const path of paths) {
+    let parentId = null;
+    for (const name of splitFolderPath(path)) {
+      const key = `${parentId || 'root'}/${name}`;
+      let folderId = idByKey.get(key);
+      if (!folderId) {
+        folderId = new mongoose.Types.ObjectId();
+        idByKey.set(key, folderId);
+        newFolders.push({ _id: folderId, userId, name, parentId });
+      }
+      parentId = folderId;
+    }
+    folderIdByPath.set(path, parentId);
+  }
+
+  return { folderIdByPath, newFolders };
+};
+
+export {
+  MAX_FOLDER_DEPTH,
+  splitFolderPath,
+  planFolderPaths,
+  getDescendantFolderIds,
+  getAncestorFolderIds,
+  checkFolderPlacement
+};
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Password and passphrase generation. Every random choice goes through
+// crypto.randomInt, which draws from the OS CSPRNG without modulo bias.
+
+const CHARACTER_CLASSES = {
+  lowercase: 'abcdefghijklmnopqrstuvwxyz',
+  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digits: '0123456789',
+  symbols: '!@#$%^&*()-_=+[]{};:,.<>/?~'
+};
+const CLASS_NAMES = Object.keys(CHARACTER_CLASSES);
+
+// Characters that are easy to mistake for one another when read or typed
+const AMBIGUOUS_CHARACTERS = 'Il1O0o{}[]()/;:,.<>~';
+
+const PASSWORD_LENGTH = { min: 4, max: 128, default: 20 };
+const PASSPHRASE_WORDS = { min: 3, max: 20, default: 6 };
+const MAX_SEPARATOR_LENGTH = 5;
+
+// EFF large wordlist, 7776 words (https://www.eff.org/dice), CC BY 3.0
+const WORDLIST = fs.readFileSync(new URL('../data/eff_large_wordlist.txt', import.meta.url), 'utf8')
+  .split('\n')
+  .map(line => line.split('\t')[1])
+  .filter(Boolean);
+
+const DEFAULT_OPTIONS = {
+  password: {
+    type: 'password',
+    length: PASSWORD_LENGTH.default,
+    lowercase: true,
+    uppercase: true,
+    digits: true,
+    symbols: true,
+    excludeAmbiguous: false,
+    minLowercase: 0,
+    minUppercase: 0,
+    minDigits: 1,
+    minSymbols: 0
+  },
+  passphrase: {
+    type: 'passphrase',
+    words: PASSPHRASE_WORDS.default,
+    separator: '-',
+    capitalize: false,
+    includeNumber: false
+  }
+};
+
+const minimumKey = (className) => `min${className[0].toUpperCase()}${className.slice(1)}`;
+
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Fill in defaults and check generator options.
+// Returns { options } or { errors } with a list of problems.
+const normalizeGeneratorOptions = (input = {}) => {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['options must be an object'] };
+  }
+
+  const type = input.type || 'password';
+  if (!DEFAULT_OPTIONS[type]) {
+    return { errors: [`Unknown generator type: ${type}`] };
+  }
+
+  const options = { ...DEFAULT_OPTIONS[type] };
+  for (const key of Object.keys(options)) {
+    if (input[key] !== undefined) options[key] = input[key];
+  }
+
+  const errors = [];
+  for (const [key, fallback] of Object.entries(DEFAULT_OPTIONS[type])) {
+    if (typeof fallback === 'boolean' && typeof options[key] !== 'boolean') {
+      errors.push(`${key} must be a boolean`);
+    }
+  }
+
+  if (type === 'passphrase') {
+    if (!isIntegerBetween(options.words, PASSPHRASE_WORDS.min, PASSPHRASE_WORDS.max)) {
+      errors.push(`words must be between ${PASSPHRASE_WORDS.min} and ${PASSPHRASE_WORDS.max}`);
+    }
+    if (typeof options.separator !== 'string' || options.separator.length > MAX_SEPARATOR_LENGTH) {
+      errors.push(`separator must be a string of at most ${MAX_SEPARATOR_LENGTH} characters`);
+    }
+    return errors.length > 0 ? { errors } : { options };
+  }
+
+  if (!isIntegerBetween(options.length, PASSWORD_LENGTH.min, PASSWORD_LENGTH.max)) {
+    errors.push(`length must be between ${PASSWORD_LENGTH.min} and ${PASSWORD_LENGTH.max}`);
+  }
+
+  let minimumTotal = 0;
+  for (const className of CLASS_NAMES) {
+    const minimum = options[minimumKey(className)];
+    if (!isIntegerBetween(minimum, 0, PASSWORD_LENGTH.max)) {
+      errors.push(`${minimumKey(className)} must be a non-negative integer`);
+      continue;
+    }
+    if (minimum > 0 && options[className] === false) {
+      errors.push(`${minimumKey(className)} requires ${className} to be enabled`);
+    }
+    minimumTotal += minimum;
+  }
+
+  if (!CLASS_NAMES.some(className => options[className] === true)) {
+    errors.push('At least one character class must be enabled');
+  }
+  if (Number.isInteger(options.length) && minimumTotal > options.length) {
+    errors.push('Minimum counts add up to more than the length');
+  }
+
+  return errors.length > 0 ? { errors } : { options };
+};
+
+const classCharacters = (className, excludeAmbiguous) => {
+  const characters = CHARACTER_CLASSES[className];
+  return excludeAmbiguous
+    ? [...characters].filter(character => !AMBIGUOUS_CHARACTERS.includes(character)).join('')
+    : characters;
+};
+
+const pick = (characters) => characters[crypto.randomInt(characters.length)];
+
+// Fisher-Yates shuffle, in place
+const shuffle = (values) => {
+  for (let i = values.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [values[i], values[j]] = [values[j], values[i]];
+  }
+  return values;
+};
+
+// Entropy adds up the choices actually made: a character required by a
+// minimum count comes from its class only, the rest from the whole pool.
+// The few bits the shuffle adds are not counted.
+const generatePassword = (options) => {
+  const enabled = CLASS_NAMES.filter(className => options[className]);
+  const pool = enabled.map(className => classCharacters(className, options.excludeAmbiguous)).join('');
+
+  const characters = [];
+  let entropy = 0;
+  for (const className of enabled) {
+    const classPool = classCharacters(className, options.excludeAmbiguous);
+    for (let i = 0; i < options[minimumKey(className)]; i++) {
+      characters.push(pick(classPool));
+      entropy += Math.log2(classPool.length);
+    }
+  }
+  while (characters.length < options.length) {
+    characters.push(pick(pool));
+    entropy += Math.log2(pool.length);
+  }
+
+  return {
+    value: shuffle(characters).join(''),
+    entropy
+  };
+};
+
+const generatePassphrase = (options) => {
+  const words = Array.from({ length: options.words }, () => pick(WORDLIST))
+    .map(word => (options.capitalize ? word[0].toUpperCase() + word.slice(1) : word));
+
+  let entropy = options.words * Math.log2(WORDLIST.length);
+  if (options.includeNumber) {
+    const index = crypto.randomInt(words.length);
+    words[index] += crypto.randomInt(10);
+    entropy += Math.log2(10) + Math.log2(words.length);
+  }
+
+  return {
+    value: words.join(options.separator),
+    entropy
+  };
+};
+
+// Generate from normalized options, entropy is in bits rounded to one decimal
+const generateSecret = (options) => {
+  const { value, entropy } = options.type === 'passphrase'
+    ? generatePassphrase(options)
+    : generatePassword(options);
+  return { value, entropy: Math.round(entropy * 10) / 10 };
+};
+
+export {
+  CHARACTER_CLASSES,
+  AMBIGUOUS_CHARACTERS,
+  WORDLIST,
+  DEFAULT_OPTIONS,
+  normalizeGeneratorOptions,
+  generateSecret
+};
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import VaultItem from '../models/VaultItem.js';
+import ItemShare from '../models/ItemShare.js';
+import { getMembership } from './orgAccess.js';
+import { hasOrgRole } from './orgRoles.js';
+
+// Find a live item the user may access: as its owner, as a member of the
+// organization that owns it, or through a share.
+// Returns { item, share, membership } (share and membership are null when they
+// don't apply), or null when the user has no access or only read access and
+// write is requested.
+const findAccessibleItem = async (itemId, userId, { write = false } = {}) => {
+  if (!mongoose.isValidObjectId(itemId)) return null;
+
+  const item = await VaultItem.findOne({ _id: itemId, deletedAt: null });
+  if (!item) return null;
+
+  if (item.organizationId) {
+    const membership = await getMembership(item.organizationId, userId);
+    if (!membership) return null;
+    if (write && !hasOrgRole(membership.role, 'member')) return null;
+    return { item, share: null, membership };
+  }
+
+  if (item.userId.equals(userId)) {
+    return { item, share: null, membership: null };
+  }
+
+  const share = await ItemShare.findOne({ itemId: item._id, recipientId: userId });
+  if (!share) return null;
+  if (write && share.permission !== 'write') return null;
+
+  return { item, share, membership: null };
+};
+
+export { findAccessibleItem };
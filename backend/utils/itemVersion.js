@@ -0,0 +1,14 @@
+// Every vault item carries a version that goes up with each change.
+// It is sent to clients as a strong ETag and checked against If-Match on updates.
+const itemETag = (vaultItem) => `"${vaultItem.version}"`;
+
+// True when an If-Match header lists the item's current ETag, or is "*"
+const matchesETag = (header, vaultItem) => {
+  const etag = itemETag(vaultItem);
+  return header
+    .split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === '*' || tag === etag);
+};
+
+export { itemETag, matchesETag };
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import {
+  KDF_DEFAULT_ALGORITHM,
+  KDF_PBKDF2_ITERATIONS,
+  KDF_ARGON2_ITERATIONS,
+  KDF_ARGON2_MEMORY_KIB,
+  KDF_ARGON2_PARALLELISM
+} from '../config/vault.js';
+
+// Parameters clients use to derive the user's key from the master key.
+// The server never derives the key itself, it only stores and hands out:
+//   algorithm   - 'pbkdf2-sha256' or 'argon2id'
+//   iterations  - PBKDF2 iterations, or Argon2id passes
+//   memory      - Argon2id memory in KiB (null for PBKDF2)
+//   parallelism - Argon2id lanes (null for PBKDF2)
+//   salt        - base64, at least 16 bytes
+
+const KDF_ALGORITHMS = ['pbkdf2-sha256', 'argon2id'];
+
+// Accepted ranges, the lower bounds keep clients from choosing a weak setup
+const KDF_LIMITS = {
+  'pbkdf2-sha256': {
+    iterations: { min: 100000, max: 10000000 }
+  },
+  argon2id: {
+    iterations: { min: 2, max: 10 },
+    memory: { min: 16 * 1024, max: 1024 * 1024 },
+    parallelism: { min: 1, max: 16 }
+  }
+};
+
+const SALT_BYTES = 16;
+const SALT_PATTERN = /^[A-Za-z0-9+/]{22,88}={0,2}$/;
+
+const generateSalt = () => crypto.randomBytes(SALT_BYTES).toString('base64');
+
+// Default parameters of an algorithm, without a salt
+const defaultKdf = (algorithm = KDF_DEFAULT_ALGORITHM) => (algorithm === 'argon2id'
+  ? {
+    algorithm,
+    iterations: KDF_ARGON2_ITERATIONS,
+    memory: KDF_ARGON2_MEMORY_KIB,
+    parallelism: KDF_ARGON2_PARALLELISM
+  }
+  : { algorithm, iterations: KDF_PBKDF2_ITERATIONS, memory: null, parallelism: null });
+
+const inRange = (value, { min, max }) => Number.isInteger(value) && value >= min && value <= max;
+
+// Validate client-supplied parameters, missing ones take the algorithm's defaults.
+// Returns { kdf } or { errors }. Without a salt in the input a new one is generated.
+const normalizeKdf = (input) => {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['kdf must be an object'] };
+  }
+
+  const algorithm = input.algorithm || KDF_DEFAULT_ALGORITHM;
+  if (!KDF_ALGORITHMS.includes(algorithm)) {
+    return { errors: [`algorithm must be one of ${KDF_ALGORITHMS.join(', ')}`] };
+  }
+
+  const kdf = { ...defaultKdf(algorithm), salt: input.salt ?? generateSalt() };
+  const limits = KDF_LIMITS[algorithm];
+  const errors = [];
+
+  for (const [field, range] of Object.entries(limits)) {
+    if (input[field] === undefined || input[field] === null) continue;
+    if (!inRange(input[field], range)) {
+      errors.push(`${field} must be an integer from ${range.min} to ${range.max} for ${algorithm}`);
+    } else {
+      kdf[field] = input[field];
+    }
+  }
+
+  if (typeof kdf.salt !== 'string' || !SALT_PATTERN.test(kdf.salt) ||
+    Buffer.from(kdf.salt, 'base64').length < SALT_BYTES) {
+    errors.push(`salt must be base64 of at least ${SALT_BYTES} bytes`);
+  }
+
+  return errors.length > 0 ? { errors } : { kdf };
+};
+
+// Argon2id is considered stronger than any PBKDF2 setup. Within one algorithm
+// no cost parameter may go down; parallelism only spreads the work and is not compared.
+const isWeakerKdf = (next, current) => {
+  if (next.algorithm !== current.algorithm) {
+    return next.algorithm === 'pbkdf2-sha256';
+  }
+  if (next.iterations < current.iterations) return true;
+  return next.algorithm === 'argon2id' && next.memory < current.memory;
+};
+
+const saltSecret = () => process.env.KDF_SALT_SECRET || process.env.JWT_SECRET || 'fallback-secret';
+
+// Salt for an email without a stored one: stable, and looks like a random salt
+const derivedSalt = (email) => crypto.createHmac('sha256', saltSecret())
+  .update(`kdf-salt:${email}`)
+  .digest()
+  .subarray(0, SALT_BYTES)
+  .toString('base64');
+
+// Public KDF parameters of a user, or made-up but stable ones for an unknown email,
+// so prelogin does not reveal which emails have an account
+const preloginKdf = (user, email) => {
+  const kdf = user && user.kdf && user.kdf.algorithm ? user.kdf : defaultKdf();
+  return {
+    algorithm: kdf.algorithm,
+    iterations: kdf.iterations,
+    memory: kdf.memory ?? null,
+    parallelism: kdf.parallelism ?? null,
+    salt: (user && user.kdf && user.kdf.salt) || derivedSalt(email)
+  };
+};
+
+export {
+  KDF_ALGORITHMS,
+  KDF_LIMITS,
+  generateSalt,
+  defaultKdf,
+  normalizeKdf,
+  isWeakerKdf,
+  preloginKdf
+};
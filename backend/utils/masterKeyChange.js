@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+import VaultItem from '../models/VaultItem.js';
+import ItemRevision from '../models/ItemRevision.js';
+import EmergencyAccess from '../models/EmergencyAccess.js';
+import UnlockSession from '../models/UnlockSession.js';
+import { validateSearchTokens, validateTags } from './blindIndex.js';
+import { isFingerprint } from './passwordHealth.js';
+import { nextRevision } from './sync.js';
+
+// A master key change re-encrypts the whole personal vault on the client and
+// hands every item back in one batch. Only the fields encrypted with (or derived
+// from) the user's key are replaced; attachment blobs are not re-uploaded, so
+// they must be encrypted with an item or attachment key, which is re-wrapped here.
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Returns the list of problems with one re-encrypted item
+const validateReencryptedItem = (row) => {
+  if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+    return ['Item must be an object'];
+  }
+
+  const errors = [];
+
+  if (!mongoose.isValidObjectId(row.id)) errors.push('id must be an item id');
+  if (!isNonEmptyString(row.title)) errors.push('title is required');
+  if (!isNonEmptyString(row.encryptedData)) errors.push('encryptedData is required');
+  if (!isNonEmptyString(row.iv)) errors.push('iv is required');
+
+  if (row.encryptedItemKey !== undefined && row.encryptedItemKey !== null &&
+    !isNonEmptyString(row.encryptedItemKey)) {
+    errors.push('encryptedItemKey must be a string');
+  }
+
+  if (row.searchTokens !== undefined) {
+    const tokenError = validateSearchTokens(row.searchTokens);
+    if (tokenError) errors.push(tokenError);
+  }
+
+  if (row.titleSortKey !== undefined && row.titleSortKey !== null &&
+    (typeof row.titleSortKey !== 'string' || row.titleSortKey.length > 256)) {
+    errors.push('titleSortKey must be a string of at most 256 characters');
+  }
+
+  if (row.tags !== undefined) {
+    const tagError = validateTags(row.tags);
+    if (tagError) errors.push(tagError);
+  }
+
+  if (row.passwordFingerprint !== undefined && row.passwordFingerprint !== null &&
+    !isFingerprint(row.passwordFingerprint)) {
+    errors.push('passwordFingerprint is invalid');
+  }
+
+  if (row.attachments !== undefined) {
+    if (!Array.isArray(row.attachments) || !row.attachments.every(attachment =>
+      attachment !== null && typeof attachment === 'object' &&
+      mongoose.isValidObjectId(attachment.id) &&
+      isNonEmptyString(attachment.fileName) &&
+      (attachment.key === undefined || attachment.key === null || isNonEmptyString(attachment.key)))) {
+      errors.push('attachments must be a list of { id, fileName, key }');
+    }
+  }
+
+  return errors;
+};
+
+// Match the batch against every personal item of the user.
+// Returns { operations } for VaultItem.bulkWrite, or { errors } when an item is
+// missing, unknown, listed twice or lacks a re-wrapped key it needs.
+const planReencryption = (existingItems, rows, revision) => {
+  const rowsById = new Map();
+  const errors = [];
+
+  for (const row of rows) {
+    if (rowsById.has(row.id)) {
+      errors.push(`Item ${row.id} is listed more than once`);
+    }
+    rowsById.set(row.id, row);
+  }
+
+  const existingIds = new Set(existingItems.map(item => String(item._id)));
+  for (const id of rowsById.keys()) {
+    if (!existingIds.has(id)) errors.push(`Item ${id} is not in your vault`);
+  }
+
+  const operations = [];
+  for (const item of existingItems) {
+    const id = String(item._id);
+    const row = rowsById.get(id);
+    if (!row) {
+      errors.push(`Item ${id} is missing from the batch`);
+      continue;
+    }
+
+    if (item.encryptedItemKey && !row.encryptedItemKey) {
+      errors.push(`Item ${id} needs its item key re-wrapped (encryptedItemKey)`);
+    }
+    // Tag names are encrypted with the vault key, so they change with it
+    if (item.tags.length > 0 && !row.tags) {
+      errors.push(`Item ${id} needs its tags re-encrypted (tags)`);
+    }
+
+    const set = {
+      title: row.title,
+      encryptedData: row.encryptedData,
+      iv: row.iv,
+      encryptedItemKey: row.encryptedItemKey || null,
+      tags: row.tags || [],
+      searchTokens: row.searchTokens || [],
+      titleSortKey: row.titleSortKey || null,
+      passwordFingerprint: row.passwordFingerprint || null,
+      revision
+    };
+
+    if (item.attachments.length > 0) {
+      const attachmentsById = new Map((row.attachments || []).map(attachment => [attachment.id, attachment]));
+      const missing = item.attachments.filter(attachment => !attachmentsById.has(String(attachment._id)));
+      if (missing.length > 0) {
+        errors.push(`Item ${id} is missing re-encrypted attachments`);
+      } else {
+        set.attachments = item.attachments.map(attachment => {
+          const reencrypted = attachmentsById.get(String(attachment._id));
+          return {
+            ...attachment.toObject(),
+            fileName: reencrypted.fileName,
+            key: reencrypted.key || null
+          };
+        });
+      }
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: item._id },
+        update: { $set: set, $inc: { version: 1 } }
+      }
+    });
+  }
+
+  return errors.length > 0 ? { errors } : { operations };
+};
+
+// Swap the user's key material and every re-encrypted item in one transaction.
+// changes holds masterKeyHash, passwordHash, encryptedPrivateKey, privateKeyIv,
+// kdf, srp, revokeSessions (sign out every session) and takeover
+// ({ accessId, actorId } of the emergency access used for a takeover), each optional.
+// Revision history was encrypted with the old key and is dropped, trusted
+// contacts holding the old key have to be confirmed again (the takeover grant
+// ends as takenOver instead) and every device has to unlock the vault again.
+// Returns { itemsUpdated }, or { errors } when the batch does not match the vault.
+const rekeyVault = async (user, items, changes) => {
+  let result;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const existingItems = await VaultItem.find({ userId: user._id, organizationId: null })
+        .select('_id encryptedItemKey tags attachments')
+        .session(session);
+
+      const revision = await nextRevision(user._id, session);
+      const plan = planReencryption(existingItems, items, revision);
+      if (plan.errors) {
+        result = { errors: plan.errors };
+        await session.abortTransaction();
+        return;
+      }
+
+      if (plan.operations.length > 0) {
+        await VaultItem.bulkWrite(plan.operations, { session });
+      }
+      await ItemRevision.deleteMany({ itemId: { $in: existingItems.map(item => item._id) } }, { session });
+      const reconfirm = { grantorId: user._id, keyEncrypted: { $ne: null } };
+      if (changes.takeover) {
+        reconfirm._id = { $ne: changes.takeover.accessId };
+        await EmergencyAccess.updateOne(
+          { _id: changes.takeover.accessId },
+          {
+            $set: { keyEncrypted: null, status: 'takenOver', recoveryInitiatedAt: null },
+            $push: { events: { action: 'takeover', actorId: changes.takeover.actorId, at: new Date() } }
+          },
+          { session }
+        );
+      }
+      await EmergencyAccess.updateMany(
+        reconfirm,
+        {
+          $set: { keyEncrypted: null, status: 'accepted', recoveryInitiatedAt: null },
+          $push: { events: { action: 'masterKeyChanged', actorId: user._id, at: new Date() } }
+        },
+        { session }
+      );
+
+      if (changes.masterKeyHash) user.masterKey = changes.masterKeyHash;
+      if (changes.encryptedPrivateKey) {
+        user.encryptedPrivateKey = changes.encryptedPrivateKey;
+        user.privateKeyIv = changes.privateKeyIv;
+      }
+      if (changes.passwordHash) user.password = changes.passwordHash;
+      if (changes.kdf) user.kdf = changes.kdf;
+      if (changes.srp) user.srp = changes.srp;
+      if (changes.revokeSessions) user.sessionVersion = (user.sessionVersion || 0) + 1;
+      await user.save({ session });
+      await UnlockSession.deleteMany({ userId: user._id }, { session });
+
+      result = { itemsUpdated: plan.operations.length };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
+
+export { validateReencryptedItem, planReencryption, rekeyVault };
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import OrgMembership from '../models/OrgMembership.js';
+import { hasOrgRole } from './orgRoles.js';
+
+// Confirmed membership of the user in the organization, or null
+const getMembership = (orgId, userId) => {
+  if (!mongoose.isValidObjectId(orgId)) return null;
+  return OrgMembership.findOne({ orgId, userId, status: 'confirmed' });
+};
+
+// Base item filter for listing routes: the user's personal vault, or the
+// organization's vault when organizationId is given and the user's role allows it.
+// Returns { filter, membership } or { status, message } when access is denied.
+const resolveVaultScope = async (userId, organizationId, minimumRole = 'readonly') => {
+  if (!organizationId) {
+    return { filter: { userId, organizationId: null }, membership: null };
+  }
+
+  const membership = await getMembership(organizationId, userId);
+  if (!membership) {
+    return { status: 404, message: 'Organization not found' };
+  }
+  if (!hasOrgRole(membership.role, minimumRole)) {
+    return { status: 403, message: 'You do not have permission to do this in the organization' };
+  }
+
+  return { filter: { organizationId: membership.orgId }, membership };
+};
+
+export { getMembership, resolveVaultScope };
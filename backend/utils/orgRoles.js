@@ -0,0 +1,8 @@
+// Organization roles from most to least privileged
+const ORG_ROLES = ['owner', 'admin', 'member', 'readonly'];
+
+// True when role is at least as privileged as minimumRole
+const hasOrgRole = (role, minimumRole) =>
+  ORG_ROLES.includes(role) && ORG_ROLES.indexOf(role) <= ORG_ROLES.indexOf(minimumRole);
+
+export { ORG_ROLES, hasOrgRole };
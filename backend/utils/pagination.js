@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import { query } from 'express-validator';
+
+const SORT_KEYS = ['title', 'createdAt', 'updatedAt', 'lastUsedAt', 'useCount', 'sortOrder'];
+// title is encrypted on the client, so sort=title orders by the client-computed
+// titleSortKey instead. Items without one come first ascending.
+const SORT_FIELDS = { title: 'titleSortKey' };
+const DATE_SORT_KEYS = ['createdAt', 'updatedAt', 'lastUsedAt'];
+const NUMBER_SORT_KEYS = ['useCount', 'sortOrder'];
+// Keys that can be null, MongoDB sorts null before every other value
+const NULLABLE_SORT_KEYS = ['title', 'lastUsedAt'];
+const PROJECTABLE_FIELDS = [
+  'folderId', 'type', 'title', 'titleSortKey', 'metadata', 'encryptedData', 'iv',
+  'tags', 'deletedAt', 'createdAt', 'updatedAt',
+  'favorite', 'pinned', 'sortOrder', 'lastUsedAt', 'useCount'
+];
+
+const sortField = (sortKey) => SORT_FIELDS[sortKey] || sortKey;
+
+// Whether value can be the cursor value of sortKey
+const isCursorValue = (sortKey, value) => {
+  if (value === null) return NULLABLE_SORT_KEYS.includes(sortKey);
+  if (DATE_SORT_KEYS.includes(sortKey)) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+  }
+  if (NUMBER_SORT_KEYS.includes(sortKey)) return Number.isFinite(value);
+  return typeof value === 'string';
+};
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Cursors are opaque to clients: base64url JSON of the sort key, its value
+// and the _id of the last item on the previous page
+const encodeCursor = (sortKey, item) =>
+  Buffer.from(JSON.stringify({ k: sortKey, v: item[sortField(sortKey)] ?? null, id: String(item._id) }))
+    .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded === null || typeof decoded !== 'object' || !SORT_KEYS.includes(decoded.k) ||
+      !isCursorValue(decoded.k, decoded.v) || typeof decoded.id !== 'string' ||
+      !mongoose.isValidObjectId(decoded.id)) {
+      return null;
+    }
+    return decoded;
+  } catch {
+    return null;
+  }
+};
+
+const parseFields = (fields) =>
+  fields.split(',').map(field => field.trim()).filter(Boolean);
+
+// Validators for the list query parameters: limit, cursor, sort, order, fields
+const listQueryValidators = [
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }),
+  query('sort').optional().isIn(SORT_KEYS),
+  query('order').optional().isIn(['asc', 'desc']),
+  query('cursor').optional().custom((value, { req }) => {
+    const decoded = decodeCursor(value);
+    if (!decoded) throw new Error('Invalid cursor');
+    if (decoded.k !== (req.query.sort || 'createdAt')) {
+      throw new Error('Cursor does not match the sort key');
+    }
+    return true;
+  }),
+  query('fields').optional().custom(value => {
+    const unknown = parseFields(value).filter(field => !PROJECTABLE_FIELDS.includes(field));
+    if (unknown.length > 0) throw new Error(`Unknown fields: ${unknown.join(', ')}`);
+    return true;
+  })
+];
+
+// Run a cursor-paginated find. Ordering is stable because _id breaks ties
+// between items with the same sort value.
+const paginate = async (Model, filter, params) => {
+  const sortKey = params.sort || 'createdAt';
+  const field = sortField(sortKey);
+  const direction = params.order === 'asc' ? 1 : -1;
+  const limit = parseInt(params.limit, 10) || DEFAULT_LIMIT;
+
+  const pageFilter = { ...filter };
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    const value = DATE_SORT_KEYS.includes(sortKey) && cursor.v !== null ? new Date(cursor.v) : cursor.v;
+    const id = new mongoose.Types.ObjectId(cursor.id);
+    const op = direction === 1 ? '$gt' : '$lt';
+    const after = [{ [field]: value, _id: { [op]: id } }];
+
+    if (value !== null) {
+      after.push({ [field]: { [op]: value } });
+    }
+    // Nulls come first ascending and last descending
+    if (NULLABLE_SORT_KEYS.includes(sortKey)) {
+      if (value === null && direction === 1) {
+        after.push({ [field]: { $ne: null } });
+      } else if (value !== null && direction === -1) {
+        after.push({ [field]: null });
+      }
+    }
+
+    pageFilter.$and = [...(filter.$and || []), { $or: after }];
+  }
+
+  let projection = null;
+  if (params.fields) {
+    projection = [...new Set([...parseFields(params.fields), field])].join(' ');
+  }
+
+  const [items, total] = await Promise.all([
+    Model.find(pageFilter, projection)
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1),
+    Model.countDocuments(filter)
+  ]);
+
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    items: page,
+    total,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(sortKey, page[page.length - 1]) : null
+  };
+};
+
+export {
+  SORT_KEYS,
+  PROJECTABLE_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listQueryValidators,
+  paginate
+};
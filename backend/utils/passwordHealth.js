@@ -0,0 +1,91 @@
+// Password health is computed from two values clients send with each item:
+//   passwordFingerprint - HMAC of the password under a key derived from the
+//     user's key, so equal passwords give equal fingerprints but the password
+//     cannot be recovered from it
+//   passwordStrength - a 0-4 score (zxcvbn scale) computed on the client
+//   passwordBreached - the result of a breach range lookup (see utils/breachCorpus.js)
+
+const FINGERPRINT_PATTERN = /^[A-Za-z0-9_-]{16,88}$/;
+const MAX_STRENGTH = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isFingerprint = (value) => typeof value === 'string' && FINGERPRINT_PATTERN.test(value);
+
+const isStrength = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_STRENGTH;
+
+const summarizeItem = (item) => ({
+  id: item._id,
+  type: item.type,
+  title: item.title,
+  folderId: item.folderId,
+  passwordStrength: item.passwordStrength,
+  passwordBreached: item.passwordBreached,
+  updatedAt: item.updatedAt
+});
+
+// Group items sharing a fingerprint, and find weak, breached and old ones.
+// Only items with a fingerprint, a strength score or a breach result are considered.
+const buildHealthReport = (items, { maxAgeDays, weakStrength, now = new Date() }) => {
+  const cutoff = new Date(now.getTime() - maxAgeDays * DAY_MS);
+  const byFingerprint = new Map();
+  const weak = [];
+  const breached = [];
+  const old = [];
+  let checked = 0;
+
+  for (const item of items) {
+    const hasFingerprint = Boolean(item.passwordFingerprint);
+    const hasStrength = item.passwordStrength !== null && item.passwordStrength !== undefined;
+    const hasBreachResult = item.passwordBreached !== null && item.passwordBreached !== undefined;
+    if (!hasFingerprint && !hasStrength && !hasBreachResult) continue;
+    checked++;
+
+    if (hasFingerprint) {
+      if (!byFingerprint.has(item.passwordFingerprint)) {
+        byFingerprint.set(item.passwordFingerprint, []);
+      }
+      byFingerprint.get(item.passwordFingerprint).push(summarizeItem(item));
+    }
+    if (hasStrength && item.passwordStrength <= weakStrength) {
+      weak.push(summarizeItem(item));
+    }
+    if (item.passwordBreached) {
+      breached.push(summarizeItem(item));
+    }
+    if (item.updatedAt < cutoff) {
+      old.push(summarizeItem(item));
+    }
+  }
+
+  const reused = [...byFingerprint.values()]
+    .filter(group => group.length > 1)
+    .sort((a, b) => b.length - a.length)
+    .map(group => ({ count: group.length, items: group }));
+
+  weak.sort((a, b) => a.passwordStrength - b.passwordStrength);
+  old.sort((a, b) => a.updatedAt - b.updatedAt);
+
+  return {
+    summary: {
+      checkedItems: checked,
+      reusedGroups: reused.length,
+      reusedItems: reused.reduce((total, group) => total + group.count, 0),
+      weakItems: weak.length,
+      breachedItems: breached.length,
+      oldItems: old.length
+    },
+    reused,
+    weak,
+    breached,
+    old
+  };
+};
+
+export {
+  FINGERPRINT_PATTERN,
+  MAX_STRENGTH,
+  isFingerprint,
+  isStrength,
+  buildHealthReport
+};
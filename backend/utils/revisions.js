@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import ItemRevision from '../models/ItemRevision.js';
+import { REVISION_LIMIT } from '../config/vault.js';
+import { writeWithRevision } from './sync.js';
+
+// Store the state of an item before it gets overwritten, then drop the oldest
+// revisions beyond REVISION_LIMIT. vaultItem is the item itself or a snapshot
+// of it (toObject()). Pass a session to run inside a transaction.
+const saveRevision = async (vaultItem, session = null) => {
+  await ItemRevision.create([{
+    itemId: vaultItem._id,
+    userId: vaultItem.userId,
+    type: vaultItem.type,
+    title: vaultItem.title,
+    metadata: vaultItem.metadata,
+    encryptedData: vaultItem.encryptedData,
+    iv: vaultItem.iv,
+    encryptedItemKey: vaultItem.encryptedItemKey,
+    tags: vaultItem.tags,
+    searchTokens: vaultItem.searchTokens,
+    titleSortKey: vaultItem.titleSortKey,
+    passwordFingerprint: vaultItem.passwordFingerprint,
+    passwordStrength: vaultItem.passwordStrength,
+    passwordBreached: vaultItem.passwordBreached,
+    revisionDate: vaultItem.updatedAt
+  }], { session });
+
+  const stale = await ItemRevision.find({ itemId: vaultItem._id })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(REVISION_LIMIT)
+    .select('_id')
+    .session(session);
+
+  if (stale.length > 0) {
+    await ItemRevision.deleteMany(
+      { _id: { $in: stale.map(revision => revision._id) } },
+      { session }
+    );
+  }
+};
+
+// Save an edited item and keep previous, its snapshot taken before the edit, as a
+// revision. Both go in one transaction and the revision is written after the save,
+// so a save that fails its $where condition leaves no revision behind.
+// Organization items get the transaction but no vault revision, like writeWithRevision.
+const saveEditWithRevision = (vaultItem, previous) => {
+  const write = async (revisionFields, session) => {
+    Object.assign(vaultItem, revisionFields);
+    await vaultItem.save({ session });
+    await saveRevision(previous, session);
+  };
+  if (vaultItem.organizationId) {
+    return mongoose.connection.transaction(session => write({}, session));
+  }
+  return writeWithRevision(vaultItem, write);
+};
+
+const deleteRevisions = (itemIds, session = null) =>
+  ItemRevision.deleteMany({ itemId: { $in: itemIds } }, { session });
+
+export { saveRevision, saveEditWithRevision, deleteRevisions };
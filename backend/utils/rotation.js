@@ -0,0 +1,32 @@
+// Credential rotation: an item can have to be rotated every rotateEvery days
+// (counted from rotatedAt, when its password last changed) and/or by a
+// fixed expiresAt. The earlier of the two is stored as rotationDueAt so the
+// reminder job and the overdue listing can query it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_ROTATE_EVERY_DAYS = 3650;
+
+const rotationDueDate = ({ rotateEvery, expiresAt, rotatedAt, updatedAt }) => {
+  const deadlines = [];
+  if (rotateEvery) {
+    const base = rotatedAt || updatedAt || new Date();
+    deadlines.push(new Date(base.getTime() + rotateEvery * DAY_MS));
+  }
+  if (expiresAt) {
+    deadlines.push(new Date(expiresAt));
+  }
+  if (deadlines.length === 0) return null;
+  return new Date(Math.min(...deadlines.map(deadline => deadline.getTime())));
+};
+
+const isRotateEvery = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_ROTATE_EVERY_DAYS;
+
+const isDateString = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+export {
+  MAX_ROTATE_EVERY_DAYS,
+  rotationDueDate,
+  isRotateEvery,
+  isDateString
+};
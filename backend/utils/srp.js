@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+
+// SRP-6a (RFC 5054) with the 2048-bit group and SHA-256.
+// The server only stores the salt s and verifier v of a user and never sees the password.
+// Numbers travel as hex strings; PAD(x) is x as a big-endian byte string of the
+// length of N, and | is concatenation.
+//
+// Client, at registration:
+//   x  = H(s | H(I | ':' | password))      I is the normalized email
+//   v  = g^x % N                           sent with s
+// Client, to log in:
+//   A  = g^a % N                           a random, sent to /srp/init with I
+//   u  = H(PAD(A) | PAD(B))                B and s come back from /srp/init
+//   S  = (B - k * g^x) ^ (a + u * x) % N,  k = H(N | PAD(g))
+//   K  = H(PAD(S))
+//   M1 = H(H(N) xor H(g) | H(I) | s | PAD(A) | PAD(B) | K)   sent to /srp/verify
+//   the server answers with M2 = H(PAD(A) | M1 | K), which the client should check
+
+const N = BigInt('0x' +
+  'AC6BDB41324A9A9BF166DE5E1389582FAF72B6651987EE07FC3192943DB56050' +
+  'A37329CBB4A099ED8193E0757767A13DD52312AB4B03310DCD7F48A9DA04FD50' +
+  'E8083969EDB767B0CF6095179A163AB3661A05FBD5FAAAE82918A9962F0B93B8' +
+  '55F97993EC975EEAA80D740ADBF4FF747359D041D5C33EA71D281E446B14773B' +
+  'CA97B43A23FB801676BD207A436C6481F1D2B9078717461A5B9D32E688F87748' +
+  '544523B524B0D57D5EA77A2775D2ECFA032CFBDBF52FB3786160279004E57AE6' +
+  'AF874E7303CE53299CCC041C7BC308D82A5698F3A8D0C38271AE35F8E9DBFBB6' +
+  '94B5C803D89F7AE435DE236D525F54759B65E372FCD68EF20FA7111F9E4AFF73');
+const g = 2n;
+
+const N_BYTES = 256;
+const SALT_BYTES = 16;
+const EPHEMERAL_SECRET_BYTES = 32;
+
+const HEX_PATTERN = /^[0-9a-f]+$/i;
+
+const H = (...parts) => {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+};
+
+const toBigInt = (buffer) => BigInt('0x' + (buffer.toString('hex') || '0'));
+
+const pad = (value) => Buffer.from(value.toString(16).padStart(N_BYTES * 2, '0'), 'hex');
+
+const modPow = (base, exponent, modulus) => {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+};
+
+const k = toBigInt(H(pad(N), pad(g)));
+
+const isHex = (value, maxLength = N_BYTES * 2) =>
+  typeof value === 'string' && value.length <= maxLength && HEX_PATTERN.test(value);
+
+// A salt or a number of the group (1 to N - 1) in hex
+const isSrpSalt = (value) => isHex(value, 128) && value.length >= SALT_BYTES * 2 && value.length % 2 === 0;
+
+const isGroupElement = (value) => {
+  if (!isHex(value)) return false;
+  const number = BigInt('0x' + value);
+  return number > 0n && number < N;
+};
+
+const generateSrpSalt = () => crypto.randomBytes(SALT_BYTES).toString('hex');
+
+// Stable made-up salt for emails without a verifier, so /srp/init does not
+// reveal which emails have an account
+const fakeSrpSalt = (email) => crypto.createHmac('sha256', process.env.JWT_SECRET || 'fallback-secret')
+  .update(`srp-salt:${email}`)
+  .digest()
+  .subarray(0, SALT_BYTES)
+  .toString('hex');
+
+// Server ephemeral for a verifier: the secret b is kept until the client answers
+const createServerEphemeral = (verifierHex) => {
+  const v = BigInt('0x' + verifierHex);
+  const b = toBigInt(crypto.randomBytes(EPHEMERAL_SECRET_BYTES));
+  const B = (k * v + modPow(g, b, N)) % N;
+  return { secret: b.toString(16), public: B.toString(16) };
+};
+
+// Check the client proof M1. Returns the server proof M2 as hex, or null when
+// the client does not know the password (or sent a degenerate value).
+const verifyClientProof = ({ identity, salt, verifier, clientPublic, serverSecret, serverPublic, clientProof }) => {
+  const A = BigInt('0x' + clientPublic);
+  const B = BigInt('0x' + serverPublic);
+  const b = BigInt('0x' + serverSecret);
+  const v = BigInt('0x' + verifier);
+
+  if (A % N === 0n || !isHex(clientProof, 64) || clientProof.length !== 64) return null;
+
+  const u = toBigInt(H(pad(A), pad(B)));
+  if (u === 0n) return null;
+
+  const S = modPow(A * modPow(v, u, N), b, N);
+  const K = H(pad(S));
+
+  const hN = H(pad(N));
+  const hg = H(pad(g));
+  const hNxorg = Buffer.from(hN.map((byte, index) => byte ^ hg[index]));
+  const M1 = H(hNxorg, H(Buffer.from(identity, 'utf8')), Buffer.from(salt, 'hex'), pad(A), pad(B), K);
+
+  if (!crypto.timingSafeEqual(M1, Buffer.from(clientProof, 'hex'))) return null;
+
+  return H(pad(A), M1, K).toString('hex');
+};
+
+export {
+  isSrpSalt,
+  isGroupElement,
+  generateSrpSalt,
+  fakeSrpSalt,
+  createServerEphemeral,
+  verifyClientProof
+};
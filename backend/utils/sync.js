@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import ItemTombstone from '../models/ItemTombstone.js';
+
+// Bump the user's vault revision and return the new value.
+// Every change to a personal item is stamped with the revision it was made in,
+// so clients can ask for everything after the last revision they have seen.
+const nextRevision = async (userId, session = null) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { vaultRevision: 1 } },
+    { new: true, session }
+  ).select('vaultRevision');
+  return user ? user.vaultRevision : 0;
+};
+
+// Run write(revision, session) with the user's next revision, in one transaction.
+// Writers of the same vault conflict on the revision counter, so a revision
+// commits together with everything stamped with it and a client that has
+// seen revision N can never miss a change stamped N or lower.
+// connection.transaction() resets documents saved in an attempt that is retried.
+const withRevision = (userId, write) =>
+  mongoose.connection.transaction(async (session) =>
+    write(await nextRevision(userId, session), session));
+
+// Run write(revisionFields, session) for an item: { revision } inside withRevision
+// for personal items, {} without a transaction for organization items,
+// which are not part of the personal sync
+const writeWithRevision = (vaultItem, write) => {
+  if (vaultItem.organizationId) return write({}, null);
+  return withRevision(vaultItem.userId, (revision, session) => write({ revision }, session));
+};
+
+// Save an item stamped with a new revision
+const saveWithRevision = (vaultItem) =>
+  writeWithRevision(vaultItem, (revisionFields, session) => {
+    Object.assign(vaultItem, revisionFields);
+    return vaultItem.save({ session });
+  });
+
+// Leave tombstones for permanently deleted personal items,
+// one revision per owner for the whole batch, in session or a transaction of their own
+const recordTombstones = async (items, session = null) => {
+  const itemIdsByUser = new Map();
+  for (const item of items) {
+    if (item.organizationId) continue;
+    const key = String(item.userId);
+    if (!itemIdsByUser.has(key)) itemIdsByUser.set(key, []);
+    itemIdsByUser.get(key).push(item._id);
+  }
+
+  for (const [userId, itemIds] of itemIdsByUser) {
+    const insert = (revision, tombstoneSession) => ItemTombstone.insertMany(
+      itemIds.map(itemId => ({ userId, itemId, revision })),
+      { session: tombstoneSession }
+    );
+    if (session) {
+      await insert(await nextRevision(userId, session), session);
+    } else {
+      await withRevision(userId, insert);
+    }
+  }
+};
+
+export { nextRevision, withRevision, writeWithRevision, saveWithRevision, recordTombstones };
@@ -0,0 +1,22 @@
+import VaultItem from '../models/VaultItem.js';
+import ItemShare from '../models/ItemShare.js';
+import { deleteRevisions } from './revisions.js';
+import { recordTombstones } from './sync.js';
+import { removeAttachments } from './attachments.js';
+
+// Permanently delete the items matching filter together with their revisions
+// and attachments
+const purgeItems = async (filter) => {
+  const items = await VaultItem.find(filter).select('_id userId organizationId attachments');
+  if (items.length === 0) return 0;
+
+  const itemIds = items.map(item => item._id);
+  const result = await VaultItem.deleteMany({ _id: { $in: itemIds } });
+  await deleteRevisions(itemIds);
+  await ItemShare.deleteMany({ itemId: { $in: itemIds } });
+  await recordTombstones(items);
+  await removeAttachments(items);
+  return result.deletedCount;
+};
+
+export { purgeItems };
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import UnlockSession from '../models/UnlockSession.js';
+import { UNLOCK_IDLE_MINUTES, UNLOCK_MAX_MINUTES } from '../config/vault.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Limits for the per-user timeout settings
+const UNLOCK_IDLE_LIMITS = { min: 1, max: 24 * 60 };
+const UNLOCK_MAX_LIMITS = { min: 5, max: 7 * 24 * 60 };
+
+const UNLOCK_HEADER = 'X-Unlock-Token';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The user's timeouts in minutes, falling back to the server defaults
+const unlockTimeouts = (user) => ({
+  idleTimeoutMinutes: user.unlockIdleMinutes || UNLOCK_IDLE_MINUTES,
+  maxLifetimeMinutes: user.unlockMaxMinutes || UNLOCK_MAX_MINUTES
+});
+
+const nextIdleExpiry = (session, now) =>
+  new Date(Math.min(now.getTime() + session.idleTimeoutMinutes * MINUTE_MS, session.expiresAt.getTime()));
+
+// Unlock the vault for the login session identified by its cookie.
+// Returns the token (only ever handed out here) and when it runs out.
+const issueUnlockSession = async (user, sessionCookie) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const { idleTimeoutMinutes, maxLifetimeMinutes } = unlockTimeouts(user);
+  const now = new Date();
+
+  const session = new UnlockSession({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    sessionHash: hashToken(sessionCookie),
+    idleTimeoutMinutes,
+    expiresAt: new Date(now.getTime() + maxLifetimeMinutes * MINUTE_MS)
+  });
+  session.idleExpiresAt = nextIdleExpiry(session, now);
+  await session.save();
+
+  return { token, idleExpiresAt: session.idleExpiresAt, expiresAt: session.expiresAt };
+};
+
+// The live unlock session for a token, used by the given user and login session.
+// Using it pushes the idle timeout back. Returns null when the vault is locked.
+const touchUnlockSession = async (token, userId, sessionCookie) => {
+  if (typeof token !== 'string' || !token || !sessionCookie) return null;
+
+  const now = new Date();
+  const session = await UnlockSession.findOne({
+    tokenHash: hashToken(token),
+    userId,
+    sessionHash: hashToken(sessionCookie),
+    idleExpiresAt: { $gt: now },
+    expiresAt: { $gt: now }
+  });
+  if (!session) return null;
+
+  session.idleExpiresAt = nextIdleExpiry(session, now);
+  await session.save();
+  return session;
+};
+
+// Lock every vault unlocked in a login session, e.g. on logout
+const endUnlockSessionsFor = (sessionCookie) =>
+  UnlockSession.deleteMany({ sessionHash: hashToken(sessionCookie) });
+
+export {
+  UNLOCK_IDLE_LIMITS,
+  UNLOCK_MAX_LIMITS,
+  UNLOCK_HEADER,
+  hashToken,
+  unlockTimeouts,
+  issueUnlockSession,
+  touchUnlockSession,
+  endUnlockSessionsFor
+};
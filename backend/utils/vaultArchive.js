@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import { ITEM_TYPE_NAMES, validateItemMetadata } from './vaultItemTypes.js';
+import { validateSearchTokens, validateTags } from './blindIndex.js';
+import { isFingerprint, isStrength } from './passwordHealth.js';
+import { MAX_ROTATE_EVERY_DAYS, isRotateEvery, isDateString } from './rotation.js';
+import { MAX_FOLDER_DEPTH } from './folderTree.js';
+
+const ARCHIVE_FORMAT = 'mern-pass-vault';
+const ARCHIVE_VERSION = 1;
+const SUPPORTED_ARCHIVE_VERSIONS = [1];
+
+// JSON with object keys sorted at every level, so the checksum
+// doesn't depend on key order after the archive went through other tools
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// SHA-256 over everything in the archive except the checksum itself
+const computeChecksum = (archive) => {
+  const { checksum, ...content } = archive;
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+};
+
+const serializeFolder = (folder) => ({
+  id: String(folder._id),
+  name: folder.name,
+  parentId: folder.parentId ? String(folder.parentId) : null
+});
+
+const serializeItem = (item) => ({
+  id: String(item._id),
+  folderId: item.folderId ? String(item.folderId) : null,
+  type: item.type,
+  title: item.title,
+  metadata: item.metadata || {},
+  encryptedData: item.encryptedData,
+  iv: item.iv,
+  encryptedItemKey: item.encryptedItemKey || null,
+  tags: (item.tags || []).map(({ token, name }) => ({ token, name })),
+  searchTokens: item.searchTokens || [],
+  titleSortKey: item.titleSortKey || null,
+  passwordFingerprint: item.passwordFingerprint || null,
+  passwordStrength: item.passwordStrength ?? null,
+  passwordBreached: item.passwordBreached ?? null,
+  rotateEvery: item.rotateEvery ?? null,
+  expiresAt: item.expiresAt ? item.expiresAt.toISOString() : null,
+  rotatedAt: item.rotatedAt ? item.rotatedAt.toISOString() : null,
+  favorite: Boolean(item.favorite),
+  pinned: Boolean(item.pinned),
+  sortOrder: item.sortOrder || 0,
+  deletedAt: item.deletedAt ? item.deletedAt.toISOString() : null,
+  createdAt: item.createdAt ? item.createdAt.toISOString() : null,
+  updatedAt: item.updatedAt ? item.updatedAt.toISOString() : null
+});
+
+const buildArchive = ({ email, folders, items }) => {
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    account: { email },
+    counts: { folders: folders.length, items: items.length },
+    folders: folders.map(serializeFolder),
+    items: items.map(serializeItem)
+  };
+  archive.checksum = computeChecksum(archive);
+  return archive;
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value !== '';
+const isNullable = (value, check) => value === undefined || value === null || check(value);
+
+// The checksum only catches accidental damage, anyone can recompute it, so every
+// item gets the same checks as the item routes. Returns the first problem or null.
+const validateArchivedItem = (item) => {
+  if (item === null || typeof item !== 'object' || Array.isArray(item)) return 'item must be an object';
+  if (typeof item.id !== 'string') return 'id is required';
+  if (!isNullable(item.folderId, value => typeof value === 'string')) return 'folderId must be a string';
+  if (!ITEM_TYPE_NAMES.includes(item.type)) return `unknown item type: ${item.type}`;
+  if (!isNonEmptyString(item.title)) return 'title is required';
+  if (!isNonEmptyString(item.encryptedData)) return 'encryptedData is required';
+  if (!isNonEmptyString(item.iv)) return 'iv is required';
+  if (!isNullable(item.encryptedItemKey, value => typeof value === 'string')) {
+    return 'encryptedItemKey must be a string';
+  }
+
+  const [metadataError] = validateItemMetadata(item.type, item.metadata);
+  if (metadataError) return metadataError;
+
+  if (item.tags !== undefined && item.tags !== null) {
+    const tagError = validateTags(item.tags);
+    if (tagError) return tagError;
+  }
+  if (item.searchTokens !== undefined && item.searchTokens !== null) {
+    const tokenError = validateSearchTokens(item.searchTokens);
+    if (tokenError) return tokenError;
+  }
+  if (!isNullable(item.titleSortKey, value => typeof value === 'string' && value.length <= 256)) {
+    return 'titleSortKey must be a string of at most 256 characters';
+  }
+
+  if (!isNullable(item.passwordFingerprint, isFingerprint)) return 'passwordFingerprint is invalid';
+  if (!isNullable(item.passwordStrength, isStrength)) return 'passwordStrength must be an integer from 0 to 4';
+  if (!isNullable(item.passwordBreached, value => typeof value === 'boolean')) {
+    return 'passwordBreached must be a boolean';
+  }
+  if (!isNullable(item.rotateEvery, isRotateEvery)) {
+    return `rotateEvery must be an integer from 1 to ${MAX_ROTATE_EVERY_DAYS}`;
+  }
+  if (!isNullable(item.favorite, value => typeof value === 'boolean')) return 'favorite must be a boolean';
+  if (!isNullable(item.pinned, value => typeof value === 'boolean')) return 'pinned must be a boolean';
+  if (!isNullable(item.sortOrder, Number.isInteger)) return 'sortOrder must be an integer';
+
+  for (const field of ['expiresAt', 'rotatedAt', 'deletedAt', 'createdAt', 'updatedAt']) {
+    if (!isNullable(item[field], isDateString)) return `${field} must be a date`;
+  }
+
+  return null;
+};
+
+// Folders must form a tree like the folder routes keep it: every parentId names
+// another archived folder, without cycles and at most MAX_FOLDER_DEPTH levels deep.
+// Returns the first problem or null.
+const validateArchivedFolders = (folders) => {
+  const parentById = new Map();
+  for (const [index, folder] of folders.entries()) {
+    if (!folder || typeof folder.id !== 'string' || typeof folder.name !== 'string' || !folder.name.trim()) {
+      return `Folder ${index} is invalid`;
+    }
+    if (parentById.has(folder.id)) return `Folder ${index} is invalid: duplicate id ${folder.id}`;
+    if (!isNullable(folder.parentId, value => typeof value === 'string')) {
+      return `Folder ${index} is invalid: parentId must be a folder id`;
+    }
+    parentById.set(folder.id, folder.parentId ?? null);
+  }
+
+  for (const [index, folder] of folders.entries()) {
+    const seen = new Set([folder.id]);
+    let parentId = parentById.get(folder.id);
+    while (parentId !== null) {
+      if (!parentById.has(parentId)) return `Folder ${index} is invalid: parent ${parentId} is not in the archive`;
+      if (seen.has(parentId)) return `Folder ${index} is invalid: folders cannot contain themselves`;
+      seen.add(parentId);
+      if (seen.size > MAX_FOLDER_DEPTH) {
+        return `Folder ${index} is invalid: folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`;
+      }
+      parentId = parentById.get(parentId);
+    }
+  }
+
+  return null;
+};
+
+// Returns an error message when the archive can't be restored
+const verifyArchive = (archive) => {
+  if (archive === null || typeof archive !== 'object' || Array.isArray(archive)) {
+    return 'Archive must be an object';
+  }
+  if (archive.format !== ARCHIVE_FORMAT) {
+    return 'Unrecognized archive format';
+  }
+  if (!SUPPORTED_ARCHIVE_VERSIONS.includes(archive.version)) {
+    return `Unsupported archive version: ${archive.version}`;
+  }
+  if (typeof archive.checksum !== 'string' || archive.checksum !== computeChecksum(archive)) {
+    return 'Archive checksum does not match, the file is corrupted or was modified';
+  }
+  if (!Array.isArray(archive.folders) || !Array.isArray(archive.items)) {
+    return 'Archive is missing folders or items';
+  }
+
+  const folderError = validateArchivedFolders(archive.folders);
+  if (folderError) return folderError;
+
+  for (const [index, item] of archive.items.entries()) {
+    const itemError = validateArchivedItem(item);
+    if (itemError) return `Item ${index} is invalid: ${itemError}`;
+  }
+
+  return null;
+};
+
+export {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  SUPPORTED_ARCHIVE_VERSIONS,
+  canonicalJson,
+  computeChecksum,
+  buildArchive,
+  validateArchivedItem,
+  validateArchivedFolders,
+  verifyArchive
+};
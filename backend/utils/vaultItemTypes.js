@@ -0,0 +1,128 @@
+// Item type definitions for the vault.
+// `metadata` lists the only plaintext fields the server accepts for a type,
+// `payload` documents the fields clients put inside the encrypted blob.
+// The server never sees the payload, it is exposed so every client agrees on it.
+
+const ITEM_TYPES = {
+  login: {
+    metadata: {
+      uris: { type: 'array', of: 'string', maxItems: 20, maxLength: 2048 }
+    },
+    payload: ['username', 'password', 'totp', 'notes']
+  },
+  secureNote: {
+    metadata: {},
+    payload: ['notes']
+  },
+  card: {
+    metadata: {
+      brand: { type: 'string', maxLength: 40 },
+      last4: { type: 'string', pattern: /^\d{4}$/ },
+      expMonth: { type: 'number', min: 1, max: 12 },
+      expYear: { type: 'number', min: 2000, max: 2100 }
+    },
+    payload: ['cardholderName', 'number', 'expMonth', 'expYear', 'code', 'notes']
+  },
+  identity: {
+    metadata: {},
+    payload: [
+      'title', 'firstName', 'middleName', 'lastName', 'email', 'phone',
+      'company', 'address1', 'address2', 'city', 'state', 'postalCode',
+      'country', 'passportNumber', 'licenseNumber', 'notes'
+    ]
+  },
+  sshKey: {
+    metadata: {
+      keyType: { type: 'string', enum: ['ed25519', 'rsa', 'ecdsa'] },
+      fingerprint: { type: 'string', maxLength: 128 },
+      publicKey: { type: 'string', maxLength: 8192 }
+    },
+    payload: ['privateKey', 'passphrase', 'notes']
+  }
+};
+
+const ITEM_TYPE_NAMES = Object.keys(ITEM_TYPES);
+const DEFAULT_ITEM_TYPE = 'login';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkValue = (key, value, rule) => {
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) return `${key} must be an array`;
+    if (rule.maxItems && value.length > rule.maxItems) {
+      return `${key} cannot have more than ${rule.maxItems} entries`;
+    }
+    for (const entry of value) {
+      const error = checkValue(key, entry, { type: rule.of, maxLength: rule.maxLength });
+      if (error) return error;
+    }
+    return null;
+  }
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') return `${key} must be a string`;
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return `${key} cannot exceed ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) return `${key} is not valid`;
+    if (rule.enum && !rule.enum.includes(value)) {
+      return `${key} must be one of ${rule.enum.join(', ')}`;
+    }
+    return null;
+  }
+
+  if (rule.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+    if (rule.min !== undefined && value < rule.min) return `${key} must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `${key} must be at most ${rule.max}`;
+    return null;
+  }
+
+  return `${key} has an unsupported rule`;
+};
+
+// Returns a list of error messages, empty when the metadata is valid for the type
+const validateItemMetadata = (type, metadata) => {
+  const definition = ITEM_TYPES[type];
+  if (!definition) return [`Unknown item type: ${type}`];
+  if (metadata === undefined || metadata === null) return [];
+  if (!isPlainObject(metadata)) return ['metadata must be an object'];
+
+  const errors = [];
+  for (const [key, value] of Object.entries(metadata)) {
+    const rule = definition.metadata[key];
+    if (!rule) {
+      errors.push(`${key} is not allowed for ${type} items`);
+      continue;
+    }
+    const error = checkValue(key, value, rule);
+    if (error) errors.push(error);
+  }
+  return errors;
+};
+
+// Serializable view of the definitions for clients
+const describeItemTypes = () =>
+  Object.fromEntries(
+    Object.entries(ITEM_TYPES).map(([name, definition]) => [
+      name,
+      {
+        metadata: Object.fromEntries(
+          Object.entries(definition.metadata).map(([key, rule]) => [
+            key,
+            { ...rule, ...(rule.pattern && { pattern: rule.pattern.source }) }
+          ])
+        ),
+        payload: definition.payload
+      }
+    ])
+  );
+
+export {
+  ITEM_TYPES,
+  ITEM_TYPE_NAMES,
+  DEFAULT_ITEM_TYPE,
+  validateItemMetadata,
+  describeItemTypes
+};
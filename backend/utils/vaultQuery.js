@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+import { ITEM_TYPE_NAMES } from './vaultItemTypes.js';
+import { isTagToken } from './blindIndex.js';
+
+// A small query language over the unencrypted item fields, e.g.
+//   tag:Xq3vL0tHnq1RFa7bEo0cJw type:login updated:<30d favorite:true -tag:9fKx2cWm4AbT0uYp1Ls8Dg
+//
+// Terms are key:value pairs separated by spaces, all of them must match.
+// A leading - negates a term, values with spaces go in double quotes.
+//
+//   tag:TOKEN                 carries the tag, by its blind index token
+//                             (tags are encrypted, see utils/blindIndex.js)
+//   type:TYPE                 item type (see /api/vault/types)
+//   folder:ID | folder:none   in the folder, or in no folder
+//   collection:ID             in the organization collection
+//   favorite:, pinned:, breached:, overdue:   true or false
+//   has:attachments | has:rotation
+//   updated:, created:, used: a relative age or a date
+//       <30d  less than 30 days ago     >30d  more than 30 days ago
+//       <2024-01-31  before the date    >2024-01-31  after the date
+//     Units are d (days), w (weeks), m (months of 30 days) and y (years of 365 days).
+//
+// Titles and other fields are encrypted, free text is not supported:
+// clients search those through blind index tokens.
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_TERMS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_DAYS = { d: 1, w: 7, m: 30, y: 365 };
+
+const DATE_FIELDS = { updated: 'updatedAt', created: 'createdAt', used: 'lastUsedAt' };
+const FLAG_FIELDS = { favorite: 'favorite', pinned: 'pinned' };
+
+const RELATIVE_PATTERN = /^([<>])(\d{1,5})([dwmy])$/;
+const ABSOLUTE_PATTERN = /^([<>])(\d{4}-\d{2}-\d{2})$/;
+const TERM_PATTERN = /(-?)([a-z]+):(?:"([^"]*)"|(\S+))|(\S+)/gi;
+
+const parseBoolean = (value) => (value === 'true' ? true : value === 'false' ? false : null);
+
+// Condition for one date term, or null when the value is not understood
+const dateCondition = (field, value, now) => {
+  const relative = RELATIVE_PATTERN.exec(value);
+  if (relative) {
+    const [, op, amount, unit] = relative;
+    const boundary = new Date(now.getTime() - parseInt(amount, 10) * UNIT_DAYS[unit] * DAY_MS);
+    // "less than N days ago" means after the boundary
+    return { [field]: { [op === '<' ? '$gt' : '$lt']: boundary } };
+  }
+
+  const absolute = ABSOLUTE_PATTERN.exec(value);
+  if (absolute) {
+    const [, op, day] = absolute;
+    const date = new Date(`${day}T00:00:00.000Z`);
+    if (Number.isNaN(date.getTime())) return null;
+    return { [field]: { [op === '<' ? '$lt' : '$gte']: op === '<' ? date : new Date(date.getTime() + DAY_MS) } };
+  }
+
+  return null;
+};
+
+// Mongo condition for one key:value term, or an error message
+const termCondition = (key, value, now) => {
+  switch (key) {
+    case 'tag':
+      if (!isTagToken(value)) return { error: `Invalid tag token: ${value}` };
+      return { condition: { 'tags.token': value } };
+
+    case 'type':
+      if (!ITEM_TYPE_NAMES.includes(value)) return { error: `Unknown item type: ${value}` };
+      return { condition: { type: value } };
+
+    case 'folder':
+      if (value === 'none') return { condition: { folderId: null } };
+      if (!mongoose.isValidObjectId(value)) return { error: `Invalid folder id: ${value}` };
+      return { condition: { folderId: new mongoose.Types.ObjectId(value) } };
+
+    case 'collection':
+      if (!mongoose.isValidObjectId(value)) return { error: `Invalid collection id: ${value}` };
+      return { condition: { collectionId: new mongoose.Types.ObjectId(value) } };
+
+    case 'favorite':
+    case 'pinned': {
+      const flag = parseBoolean(value);
+      if (flag === null) return { error: `${key} must be true or false` };
+      return { condition: { [FLAG_FIELDS[key]]: flag } };
+    }
+
+    case 'breached': {
+      const flag = parseBoolean(value);
+      if (flag === null) return { error: 'breached must be true or false' };
+      return { condition: { passwordBreached: flag ? true : { $ne: true } } };
+    }
+
+    case 'overdue': {
+      const flag = parseBoolean(value);
+      if (flag === null) return { error: 'overdue must be true or false' };
+      return {
+        condition: flag
+          ? { rotationDueAt: { $lte: now } }
+          : { $or: [{ rotationDueAt: null }, { rotationDueAt: { $gt: now } }] }
+      };
+    }
+
+    case 'has':
+      if (value === 'attachments') return { condition: { 'attachments.0': { $exists: true } } };
+      if (value === 'rotation') return { condition: { rotationDueAt: { $ne: null } } };
+      return { error: `Unknown has: value: ${value}` };
+
+    case 'updated':
+    case 'created':
+    case 'used': {
+      const condition = dateCondition(DATE_FIELDS[key], value, now);
+      if (!condition) return { error: `Invalid ${key}: value: ${value}` };
+      return { condition };
+    }
+
+    default:
+      return { error: `Unknown search key: ${key}` };
+  }
+};
+
+// Parse a query into a filter to merge into an item filter.
+// Returns { filter } or { errors } with a message per bad term.
+const parseVaultQuery = (text, now = new Date()) => {
+  if (typeof text !== 'string') {
+    return { errors: ['Query must be a string'] };
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { errors: [`Query cannot be longer than ${MAX_QUERY_LENGTH} characters`] };
+  }
+
+  const matching = [];
+  const excluded = [];
+  const errors = [];
+  let terms = 0;
+
+  for (const match of text.matchAll(TERM_PATTERN)) {
+    const [term, negation, key, quoted, plain, freeText] = match;
+    if (++terms > MAX_TERMS) {
+      errors.push(`Query cannot have more than ${MAX_TERMS} terms`);
+      break;
+    }
+    if (freeText !== undefined) {
+      errors.push(`Free text is not supported, search encrypted fields with blind index tokens: ${term}`);
+      continue;
+    }
+
+    const { condition, error } = termCondition(key.toLowerCase(), quoted ?? plain, now);
+    if (error) {
+      errors.push(error);
+    } else {
+      (negation ? excluded : matching).push(condition);
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const filter = {};
+  if (matching.length > 0) filter.$and = matching;
+  if (excluded.length > 0) filter.$nor = excluded;
+  return { filter };
+};
+
+export {
+  MAX_QUERY_LENGTH,
+  MAX_TERMS,
+  parseVaultQuery
+};